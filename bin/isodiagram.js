@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+/**
+ * Isometric Diagram CLI
+ * Renders .dsl files to SVG or PNG images without a browser
+ */
+
+import { readFileSync } from 'node:fs';
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import DSLParser from '../src/parser.js';
+import HeadlessRenderer from '../src/headless.js';
+import { THEME_NAMES } from '../src/themes.js';
+
+const USAGE = `Usage: isodiagram render <input.dsl> [-o <output.svg|output.png>] [options]
+
+Options:
+  -o, --output <file>   Output file; format is taken from the extension (default: <input>.svg)
+  -s, --scale <n>       Output pixels per world unit (default: 2)
+  -p, --padding <n>     Padding around the diagram in world units (default: 20)
+  -v, --view <name>     Render only the elements of one of the diagram's views
+  -t, --theme <name>    Theme overriding the diagram's (${THEME_NAMES.join(', ')})
+  -h, --help            Show this help`;
+
+// Exit codes
+const EXIT_OK = 0;
+const EXIT_DIAGRAM_ERROR = 1;
+const EXIT_USAGE_ERROR = 2;
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+    const args = { command: null, input: null, output: null, scale: 2, padding: 20, view: null, theme: null, help: false };
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '-o':
+            case '--output':
+                args.output = argv[++i];
+                break;
+            case '-s':
+            case '--scale':
+                args.scale = parseNumber(arg, argv[++i], false);
+                break;
+            case '-p':
+            case '--padding':
+                args.padding = parseNumber(arg, argv[++i], true);
+                break;
+            case '-v':
+            case '--view':
+                args.view = argv[++i];
+                break;
+            case '-t':
+            case '--theme':
+                args.theme = argv[++i];
+                if (!THEME_NAMES.includes(args.theme)) {
+                    throw new Error(`Unknown theme: ${args.theme}`);
+                }
+                break;
+            case '-h':
+            case '--help':
+                args.help = true;
+                break;
+            default:
+                if (arg.startsWith('-')) {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                positional.push(arg);
+        }
+    }
+
+    [args.command, args.input] = positional;
+    return args;
+}
+
+/**
+ * Read the number given to an option: positive, or also zero when `allowZero`
+ */
+function parseNumber(option, value, allowZero) {
+    const number = Number(value);
+    if (!value?.trim() || !Number.isFinite(number) || number < 0 || (number === 0 && !allowZero)) {
+        throw new Error(`Invalid value for ${option}: '${value ?? ''}' (expected a ${allowZero ? 'non-negative' : 'positive'} number)`);
+    }
+    return number;
+}
+
+/**
+ * Resolve an `include` path relative to the including file
+ */
+function resolveInclude(includePath, fromFile) {
+    const file = path.join(path.dirname(fromFile), includePath);
+    try {
+        return { file, text: readFileSync(file, 'utf8') };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Format a parser diagnostic as `file:line:column: severity: message`
+ */
+function formatDiagnostic(file, diagnostic) {
+    const location = diagnostic.line ? `${diagnostic.line}:${diagnostic.column}` : '';
+    return `${diagnostic.file || file}:${location ? location + ':' : ''} ${diagnostic.severity}: ${diagnostic.message} [${diagnostic.code}]`;
+}
+
+/**
+ * Render a DSL file to an image file
+ */
+async function render(args) {
+    const format = path.extname(args.output).slice(1).toLowerCase();
+    if (format !== 'svg' && format !== 'png') {
+        throw new Error(`Unsupported output format '.${format}' (use .svg or .png)`);
+    }
+
+    const dslContent = await readFile(args.input, 'utf8');
+
+    const parser = new DSLParser({ resolveInclude });
+    const { diagram, diagnostics } = parser.analyze(dslContent, { file: path.normalize(args.input) });
+    for (const diagnostic of diagnostics) {
+        console.error(formatDiagnostic(args.input, diagnostic));
+    }
+
+    const errorCount = diagnostics.filter(diagnostic => diagnostic.severity === 'error').length;
+    if (errorCount > 0) {
+        const error = new Error(`${errorCount} error${errorCount === 1 ? '' : 's'}, nothing rendered`);
+        error.diagramError = true;
+        throw error;
+    }
+
+    if (args.view && !diagram.views[args.view]) {
+        const names = Object.keys(diagram.views);
+        throw new Error(`Unknown view '${args.view}'${names.length > 0 ? ` (views: ${names.join(', ')})` : ''}`);
+    }
+
+    const renderer = new HeadlessRenderer({
+        scale: args.scale,
+        padding: args.padding,
+        // Models are looked up next to the input file
+        readAsset: async assetPath => {
+            const data = await readFile(path.resolve(path.dirname(args.input), assetPath));
+            return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+        }
+    });
+    renderer.setTheme(args.theme);
+    renderer.setDiagramView(args.view);
+    renderer.render(diagram);
+    await renderer.assetsReady();
+    renderer.fitToContent();
+
+    if (!renderer.hasFiniteSize()) {
+        renderer.dispose();
+        const error = new Error('layout produced non-finite coordinates, nothing rendered');
+        error.diagramError = true;
+        throw error;
+    }
+
+    const output = format === 'png' ? await renderer.toPNG() : renderer.toSVG();
+    await writeFile(args.output, output);
+    renderer.dispose();
+
+    console.log(`Rendered ${args.input} -> ${args.output}`);
+}
+
+/**
+ * CLI entry point
+ */
+async function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return EXIT_USAGE_ERROR;
+    }
+
+    if (args.help) {
+        console.log(USAGE);
+        return EXIT_OK;
+    }
+
+    if (args.command !== 'render' || !args.input) {
+        console.error(USAGE);
+        return EXIT_USAGE_ERROR;
+    }
+
+    if (!args.output) {
+        args.output = args.input.replace(/\.[^./\\]*$/, '') + '.svg';
+    }
+
+    try {
+        await render(args);
+        return EXIT_OK;
+    } catch (error) {
+        console.error(`${args.input}: ${error.message}`);
+        return error.diagramError ? EXIT_DIAGRAM_ERROR : EXIT_USAGE_ERROR;
+    }
+}
+
+process.exitCode = await main();
@@ -0,0 +1,83 @@
+/**
+ * Context Menu
+ * Right-click menu of actions, with nested menus opening on hover
+ */
+
+export class ContextMenu {
+    constructor() {
+        this.element = document.createElement('ul');
+        this.element.className = 'context-menu';
+        this.element.style.display = 'none';
+        document.body.appendChild(this.element);
+
+        // Any click elsewhere, Escape, scrolling or resizing closes the menu
+        document.addEventListener('mousedown', (event) => {
+            if (!this.element.contains(event.target)) this.hide();
+        });
+        document.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') this.hide();
+        });
+        window.addEventListener('wheel', () => this.hide(), { passive: true });
+        window.addEventListener('resize', () => this.hide());
+    }
+
+    /**
+     * Open the menu at a page position
+     * Items are { label, action, disabled, items } (`items` makes a nested
+     * menu) or 'separator'
+     */
+    show(x, y, items) {
+        this.element.innerHTML = '';
+        this.appendItems(this.element, items);
+        this.element.style.display = 'block';
+
+        // Keep the menu on screen
+        const { width, height } = this.element.getBoundingClientRect();
+        this.element.style.left = `${Math.min(x, window.innerWidth - width - 4)}px`;
+        this.element.style.top = `${Math.min(y, window.innerHeight - height - 4)}px`;
+    }
+
+    /**
+     * Close the menu
+     */
+    hide() {
+        this.element.style.display = 'none';
+        this.element.innerHTML = '';
+    }
+
+    /**
+     * Add menu entries to a list
+     */
+    appendItems(list, items) {
+        for (const item of items) {
+            const entry = document.createElement('li');
+
+            if (item === 'separator') {
+                entry.className = 'context-menu-separator';
+                list.appendChild(entry);
+                continue;
+            }
+
+            entry.textContent = item.label;
+            const empty = item.items && item.items.length === 0;
+            if (item.disabled || empty) {
+                entry.classList.add('disabled');
+            } else if (item.items) {
+                entry.classList.add('has-submenu');
+                const submenu = document.createElement('ul');
+                submenu.className = 'context-menu submenu';
+                this.appendItems(submenu, item.items);
+                entry.appendChild(submenu);
+            } else {
+                entry.addEventListener('click', () => {
+                    this.hide();
+                    item.action();
+                });
+            }
+
+            list.appendChild(entry);
+        }
+    }
+}
+
+export default ContextMenu;
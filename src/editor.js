@@ -0,0 +1,555 @@
+/**
+ * DSL Code Editor
+ * Layers a syntax-highlighted copy of the text behind the transparent
+ * editor textarea, using the DSLParser tokenizer, and adds autocompletion
+ * and inline diagnostics
+ */
+
+import DSLParser, { KEYWORDS, PROPERTIES, DIRECTIONS, RELATION_PROPERTIES, LINE_STYLES } from './parser.js';
+import { BUILTIN_SHAPES } from './shapes.js';
+import { STYLE_PROPERTIES, FLOOR_PATTERNS, LABEL_POSITIONS } from './styles.js';
+import { THEME_NAMES } from './themes.js';
+import { VIEW_SELECTORS } from './views.js';
+
+const LAYOUT_PROPERTIES = ['direction', 'ranksep', 'nodesep'];
+const STYLE_DEFINITION_PROPERTIES = ['extend', ...STYLE_PROPERTIES];
+const BLOCK_PROPERTIES = PROPERTIES.filter(property => !LAYOUT_PROPERTIES.includes(property) && property !== 'extend');
+const ANNOTATION_PROPERTIES = ['tooltip', 'link'];
+const VIEW_MEMBERS = ['label', 'include', 'exclude'];
+// Statements naming an element next, where keywords and properties are ids too
+const ELEMENT_STATEMENTS = ['component', 'container', 'relation', 'annotation'];
+
+// Token types mapped to highlight classes
+const TOKEN_CLASSES = {
+    KEYWORD: 'tok-keyword',
+    PROPERTY: 'tok-property',
+    STRING: 'tok-string',
+    COLOR: 'tok-color',
+    NUMBER: 'tok-number',
+    ARROW: 'tok-operator',
+    EQUALS: 'tok-operator',
+    COLON: 'tok-operator',
+    LBRACE: 'tok-brace',
+    RBRACE: 'tok-brace',
+    UNKNOWN: 'tok-unknown'
+};
+
+export class DSLEditor {
+    constructor(textarea, options = {}) {
+        this.textarea = textarea;
+        this.parser = new DSLParser();
+        this.shapes = options.shapes || Object.keys(BUILTIN_SHAPES);
+        this.diagnostics = [];
+
+        // Completion popup state
+        this.completions = [];
+        this.completionIndex = 0;
+        this.completionRange = null;
+
+        this.createElements();
+        this.setupEventListeners();
+        this.refresh();
+    }
+
+    /**
+     * Wrap the textarea with the highlight layer, completion popup and
+     * a hidden element for measuring text
+     */
+    createElements() {
+        this.wrapper = document.createElement('div');
+        this.wrapper.className = 'code-editor';
+        this.textarea.parentNode.insertBefore(this.wrapper, this.textarea);
+
+        this.highlight = document.createElement('pre');
+        this.highlight.className = 'code-highlight';
+        this.highlight.setAttribute('aria-hidden', 'true');
+
+        this.popup = document.createElement('ul');
+        this.popup.className = 'completion-list';
+        this.popup.style.display = 'none';
+
+        this.measure = document.createElement('span');
+        this.measure.className = 'code-measure';
+
+        this.textarea.classList.add('code-input');
+        this.textarea.setAttribute('wrap', 'off');
+        this.textarea.setAttribute('spellcheck', 'false');
+        this.wrapper.append(this.highlight, this.textarea, this.popup, this.measure);
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.textarea.addEventListener('input', (e) => {
+            this.refresh();
+            if (e.inputType === 'insertText') {
+                this.updateCompletions(false);
+            } else {
+                this.hideCompletions();
+            }
+        });
+
+        this.textarea.addEventListener('scroll', () => {
+            this.highlight.scrollTop = this.textarea.scrollTop;
+            this.highlight.scrollLeft = this.textarea.scrollLeft;
+            this.hideCompletions();
+        });
+
+        this.textarea.addEventListener('keydown', this.handleKeyDown.bind(this));
+        this.textarea.addEventListener('blur', () => this.hideCompletions());
+        this.textarea.addEventListener('click', () => {
+            this.hideCompletions();
+            this.updateDiagnosticTitle();
+        });
+        this.textarea.addEventListener('keyup', () => this.updateDiagnosticTitle());
+
+        // Keep focus in the textarea while picking a completion
+        this.popup.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            const item = e.target.closest('li');
+            if (item) {
+                this.acceptCompletion(Number(item.dataset.index));
+            }
+        });
+    }
+
+    /**
+     * Replace the text without firing 'input'
+     */
+    setValue(text) {
+        this.textarea.value = text;
+        this.hideCompletions();
+        this.refresh();
+    }
+
+    /**
+     * Show parser diagnostics as squiggles under the affected text
+     */
+    setDiagnostics(diagnostics) {
+        this.diagnostics = diagnostics.filter(diagnostic => diagnostic.line);
+        this.refresh();
+    }
+
+    /**
+     * Re-render the highlight layer from the textarea content
+     */
+    refresh() {
+        const text = this.textarea.value;
+        this.highlight.innerHTML = this.renderHighlight(text);
+        this.highlight.scrollTop = this.textarea.scrollTop;
+        this.highlight.scrollLeft = this.textarea.scrollLeft;
+    }
+
+    /**
+     * Build highlighted HTML for the text
+     * Token and diagnostic ranges are cut into segments so squiggles can
+     * overlap token colors
+     */
+    renderHighlight(text) {
+        const ranges = [];
+        const tokens = this.parser.tokenize(text);
+
+        tokens.forEach((token, i) => {
+            const previous = tokens[i - 1];
+            let className = TOKEN_CLASSES[token.type];
+            if (token.type === 'IDENTIFIER' && previous && previous.line === token.line &&
+                (previous.type === 'KEYWORD' || previous.type === 'ARROW' || previous.value === 'type')) {
+                className = 'tok-name';
+            } else if (this.isElementId(token, previous)) {
+                className = 'tok-name';
+            }
+            if (className) {
+                ranges.push({ start: token.offset, end: token.endOffset, className });
+            }
+        });
+
+        // The tokenizer skips comment lines entirely
+        const lineStarts = this.getLineStarts(text);
+        text.split('\n').forEach((line, i) => {
+            if (line.trim().startsWith('//')) {
+                ranges.push({ start: lineStarts[i], end: lineStarts[i] + line.length, className: 'tok-comment' });
+            }
+        });
+
+        // Diagnostics at the end of a line (e.g. a missing value) mark an extra space
+        const endOfLineMarks = [];
+        for (const diagnostic of this.diagnostics) {
+            const lineStart = lineStarts[diagnostic.line - 1];
+            if (lineStart === undefined) continue;
+            const lineEnd = lineStarts[diagnostic.line] !== undefined ? lineStarts[diagnostic.line] - 1 : text.length;
+            const start = lineStart + diagnostic.column - 1;
+            const end = Math.min(lineStart + diagnostic.endColumn - 1, lineEnd);
+            const className = `squiggle-${diagnostic.severity}`;
+
+            if (start >= lineEnd) {
+                endOfLineMarks.push({ offset: lineEnd, className });
+            } else {
+                ranges.push({ start, end: Math.max(end, start + 1), className });
+            }
+        }
+
+        const boundaries = new Set([0, text.length, ...endOfLineMarks.map(mark => mark.offset)]);
+        for (const range of ranges) {
+            boundaries.add(range.start);
+            boundaries.add(Math.min(range.end, text.length));
+        }
+        const points = [...boundaries].sort((a, b) => a - b);
+
+        let html = '';
+        for (let i = 0; i < points.length; i++) {
+            const start = points[i];
+            for (const mark of endOfLineMarks.filter(candidate => candidate.offset === start)) {
+                html += `<span class="${mark.className}"> </span>`;
+            }
+            if (i + 1 === points.length) break;
+
+            const end = points[i + 1];
+            const classes = ranges
+                .filter(range => range.start <= start && range.end >= end)
+                .map(range => range.className);
+            const segment = this.escape(text.slice(start, end));
+            html += classes.length > 0 ? `<span class="${classes.join(' ')}">${segment}</span>` : segment;
+        }
+
+        // A trailing newline needs content to keep the last line's height
+        return html + '\n ';
+    }
+
+    /**
+     * Handle keys while the completion popup is open, and Ctrl+Space
+     */
+    handleKeyDown(e) {
+        if ((e.ctrlKey || e.metaKey) && e.key === ' ') {
+            e.preventDefault();
+            this.updateCompletions(true);
+            return;
+        }
+
+        if (!this.isCompletionOpen()) return;
+
+        switch (e.key) {
+            case 'ArrowDown':
+                this.selectCompletion(this.completionIndex + 1);
+                break;
+            case 'ArrowUp':
+                this.selectCompletion(this.completionIndex - 1);
+                break;
+            case 'Enter':
+            case 'Tab':
+                this.acceptCompletion(this.completionIndex);
+                break;
+            case 'Escape':
+                this.hideCompletions();
+                break;
+            default:
+                if (e.key === 'ArrowLeft' || e.key === 'ArrowRight' || e.key === 'Home' || e.key === 'End') {
+                    this.hideCompletions();
+                }
+                return;
+        }
+
+        // Keep the app's own shortcuts (e.g. Escape) out of it
+        e.preventDefault();
+        e.stopPropagation();
+    }
+
+    /**
+     * Compute and show completions at the caret
+     * Without `force`, keyword/property lists only open once a prefix is typed
+     */
+    updateCompletions(force) {
+        const text = this.textarea.value;
+        const caret = this.textarea.selectionStart;
+        if (caret !== this.textarea.selectionEnd) {
+            this.hideCompletions();
+            return;
+        }
+
+        const context = this.getCompletionContext(text, caret);
+        if (!context || (!force && !context.isValue && context.prefix === '')) {
+            this.hideCompletions();
+            return;
+        }
+
+        const prefix = context.prefix.toLowerCase();
+        this.completions = context.candidates
+            .filter((candidate, i, all) => all.indexOf(candidate) === i)
+            .filter(candidate => candidate.toLowerCase().startsWith(prefix) && candidate !== context.prefix)
+            .map(candidate => ({ text: candidate, suffix: context.suffix }));
+
+        if (this.completions.length === 0) {
+            this.hideCompletions();
+            return;
+        }
+
+        this.completionRange = { start: caret - context.prefix.length, end: caret };
+        this.renderCompletions();
+        this.positionPopup(text, this.completionRange.start);
+    }
+
+    /**
+     * Work out what can be typed at the caret
+     * Returns { prefix, candidates, suffix, isValue } or null
+     */
+    getCompletionContext(text, caret) {
+        const lineStart = text.lastIndexOf('\n', caret - 1) + 1;
+        const before = text.slice(lineStart, caret);
+        if (before.trim().startsWith('//') || (before.match(/"/g) || []).length % 2 === 1) {
+            return null;
+        }
+
+        const prefix = before.match(/\w*$/)[0];
+        const head = this.parser.tokenize(before.slice(0, before.length - prefix.length));
+        const first = head[0];
+        const last = head[head.length - 1];
+        const beforeLast = head[head.length - 2];
+        const names = this.collectNames(text);
+
+        // Values
+        if (last?.value === 'type' || (last?.type === 'EQUALS' && (beforeLast?.value === 'type' || beforeLast?.value === 'extend'))) {
+            return { prefix, candidates: names.styles, suffix: '', isValue: true };
+        }
+        if (last?.value === 'floor' || (last?.type === 'EQUALS' && beforeLast?.value === 'floor')) {
+            return { prefix, candidates: FLOOR_PATTERNS, suffix: '', isValue: true };
+        }
+        if (last?.value === 'labelposition' || (last?.type === 'EQUALS' && beforeLast?.value === 'labelposition')) {
+            return { prefix, candidates: LABEL_POSITIONS, suffix: '', isValue: true };
+        }
+        if (last?.value === 'collapsed') {
+            return { prefix, candidates: ['true', 'false'], suffix: '', isValue: true };
+        }
+        if (last?.value === 'shape' || (last?.type === 'EQUALS' && beforeLast?.value === 'shape')) {
+            return { prefix, candidates: this.shapes, suffix: '', isValue: true };
+        }
+        if (last?.type === 'EQUALS' && beforeLast?.value === 'direction') {
+            return { prefix, candidates: DIRECTIONS, suffix: '', isValue: true };
+        }
+        if (first?.value === 'relation' && last?.type === 'EQUALS' && beforeLast?.value === 'style') {
+            return { prefix, candidates: LINE_STYLES, suffix: '', isValue: true };
+        }
+        if (first?.value === 'relation' && (head.length === 1 || (head.length === 3 && last.type === 'ARROW'))) {
+            return { prefix, candidates: names.ids, suffix: '', isValue: true };
+        }
+        if ((first?.value === 'include' || first?.value === 'exclude') && this.getEnclosingBlock(text.slice(0, lineStart)) === 'view') {
+            if (head.length === 1) {
+                return { prefix, candidates: VIEW_SELECTORS, suffix: ' ', isValue: true };
+            }
+            if (head[1].value === 'id' || head[1].value === 'container') {
+                return { prefix, candidates: head[1].value === 'id' ? names.ids : names.containers, suffix: '', isValue: true };
+            }
+            if (head[1].value === 'type') {
+                return { prefix, candidates: names.styles, suffix: '', isValue: true };
+            }
+            return null;
+        }
+        if (first?.value === 'theme' && head.length === 1) {
+            return { prefix, candidates: THEME_NAMES, suffix: '', isValue: true };
+        }
+        if (first?.value === 'annotation' && head.length === 1) {
+            return { prefix, candidates: names.ids, suffix: '', isValue: true };
+        }
+
+        // Inline `name=value` properties
+        if (last?.type === 'EQUALS') return null;
+        if (first?.value === 'layout') {
+            return { prefix, candidates: LAYOUT_PROPERTIES, suffix: '=', isValue: false };
+        }
+        if (first?.value === 'relation' && head.length >= 4) {
+            return { prefix, candidates: RELATION_PROPERTIES, suffix: '=', isValue: false };
+        }
+        if (first?.value === 'style' && head.length >= 2) {
+            return { prefix, candidates: STYLE_DEFINITION_PROPERTIES, suffix: '=', isValue: false };
+        }
+
+        // Start of a line: block members or top-level keywords
+        if (head.length === 0) {
+            const block = this.getEnclosingBlock(text.slice(0, lineStart));
+            if (block === 'container') {
+                return { prefix, candidates: [...BLOCK_PROPERTIES, 'component', 'container'], suffix: ' ', isValue: false };
+            }
+            if (block === 'component') {
+                return { prefix, candidates: BLOCK_PROPERTIES.filter(property => property !== 'collapsed'), suffix: ' ', isValue: false };
+            }
+            if (block === 'annotation') {
+                return { prefix, candidates: ANNOTATION_PROPERTIES, suffix: ' ', isValue: false };
+            }
+            if (block === 'view') {
+                return { prefix, candidates: VIEW_MEMBERS, suffix: ' ', isValue: false };
+            }
+            return { prefix, candidates: KEYWORDS, suffix: ' ', isValue: false };
+        }
+
+        return null;
+    }
+
+    /**
+     * Whether a keyword or property token is used as an element id, right
+     * after the statement keyword or arrow naming one (as the parser reads it)
+     */
+    isElementId(token, previous) {
+        if (token.type !== 'KEYWORD' && token.type !== 'PROPERTY') return false;
+        if (!previous || previous.line !== token.line) return false;
+        return previous.type === 'ARROW' || (previous.type === 'KEYWORD' && ELEMENT_STATEMENTS.includes(previous.value));
+    }
+
+    /**
+     * Collect style names and component/container ids defined in the text
+     */
+    collectNames(text) {
+        const styles = [];
+        const ids = [];
+        const containers = [];
+        const tokens = this.parser.tokenize(text);
+
+        tokens.forEach((token, i) => {
+            const next = tokens[i + 1];
+            if (!next || next.line !== token.line) return;
+            if (token.value === 'style' && next.type === 'IDENTIFIER') styles.push(next.value);
+            if ((token.value === 'component' || token.value === 'container') && (next.type === 'IDENTIFIER' || this.isElementId(next, token))) {
+                ids.push(next.value);
+                if (token.value === 'container') containers.push(next.value);
+            }
+        });
+
+        return { styles, ids, containers };
+    }
+
+    /**
+     * Find the keyword of the innermost open block in some text
+     */
+    getEnclosingBlock(text) {
+        const stack = [];
+        let lastKeyword = null;
+
+        for (const token of this.parser.tokenize(text)) {
+            if (token.type === 'KEYWORD') {
+                lastKeyword = token.value;
+            } else if (token.type === 'LBRACE') {
+                stack.push(lastKeyword);
+            } else if (token.type === 'RBRACE') {
+                stack.pop();
+            }
+        }
+
+        return stack[stack.length - 1] || null;
+    }
+
+    /**
+     * Render the completion items
+     */
+    renderCompletions() {
+        this.popup.innerHTML = '';
+        this.completions.forEach((completion, i) => {
+            const item = document.createElement('li');
+            item.textContent = completion.text;
+            item.dataset.index = String(i);
+            this.popup.appendChild(item);
+        });
+
+        this.popup.style.display = 'block';
+        this.selectCompletion(0);
+    }
+
+    /**
+     * Highlight a completion item
+     */
+    selectCompletion(index) {
+        const count = this.completions.length;
+        this.completionIndex = (index + count) % count;
+
+        [...this.popup.children].forEach((item, i) => {
+            item.classList.toggle('active', i === this.completionIndex);
+        });
+        this.popup.children[this.completionIndex]?.scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * Insert a completion in place of the typed prefix
+     */
+    acceptCompletion(index) {
+        const completion = this.completions[index];
+        if (!completion || !this.completionRange) return;
+
+        const { start, end } = this.completionRange;
+        this.hideCompletions();
+        this.textarea.setRangeText(completion.text + completion.suffix, start, end, 'end');
+
+        // Let listeners (history, auto-parse) see it as typing
+        this.textarea.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    /**
+     * Close the completion popup
+     */
+    hideCompletions() {
+        this.popup.style.display = 'none';
+        this.completions = [];
+        this.completionRange = null;
+    }
+
+    /**
+     * Whether the completion popup is showing
+     */
+    isCompletionOpen() {
+        return this.completions.length > 0;
+    }
+
+    /**
+     * Place the popup under a text offset
+     */
+    positionPopup(text, offset) {
+        const style = getComputedStyle(this.textarea);
+        const lineStart = text.lastIndexOf('\n', offset - 1) + 1;
+        const lineIndex = text.slice(0, lineStart).split('\n').length - 1;
+        const lineHeight = parseFloat(style.lineHeight);
+
+        this.measure.textContent = text.slice(lineStart, offset);
+        const x = this.textarea.offsetLeft + parseFloat(style.borderLeftWidth) + parseFloat(style.paddingLeft) +
+            this.measure.offsetWidth - this.textarea.scrollLeft;
+        const y = this.textarea.offsetTop + parseFloat(style.borderTopWidth) + parseFloat(style.paddingTop) +
+            (lineIndex + 1) * lineHeight - this.textarea.scrollTop;
+
+        this.popup.style.left = `${Math.min(x, this.wrapper.clientWidth - this.popup.offsetWidth)}px`;
+        this.popup.style.top = `${y}px`;
+    }
+
+    /**
+     * Show the message of a diagnostic under the caret as the editor tooltip
+     */
+    updateDiagnosticTitle() {
+        const text = this.textarea.value;
+        const caret = this.textarea.selectionStart;
+        const lineStart = text.lastIndexOf('\n', caret - 1) + 1;
+        const line = text.slice(0, lineStart).split('\n').length;
+        const column = caret - lineStart + 1;
+
+        const diagnostic = this.diagnostics.find(candidate =>
+            candidate.line === line && column >= candidate.column && column <= Math.max(candidate.endColumn, candidate.column + 1)
+        );
+        this.textarea.title = diagnostic ? diagnostic.message : '';
+    }
+
+    /**
+     * Offsets where each line starts
+     */
+    getLineStarts(text) {
+        const starts = [0];
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\n') starts.push(i + 1);
+        }
+        return starts;
+    }
+
+    /**
+     * Escape text for HTML
+     */
+    escape(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+}
+
+export default DSLEditor;
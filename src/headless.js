@@ -0,0 +1,207 @@
+/**
+ * Headless Isometric Renderer
+ * Builds the same Three.js scene as the interactive renderer without a DOM
+ * or WebGL context, for rendering diagrams to SVG/PNG from Node
+ */
+
+import * as THREE from 'three';
+import IsometricRenderer from './renderer.js';
+
+// Media types of images embedded into SVG output
+const IMAGE_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    svg: 'image/svg+xml',
+    webp: 'image/webp'
+};
+
+export class HeadlessRenderer extends IsometricRenderer {
+    constructor(options = {}) {
+        // Stand-in for the DOM container; only its size is ever read
+        super({
+            clientWidth: options.width || 800,
+            clientHeight: options.height || 600
+        });
+
+        this.scale = options.scale ?? 2;      // Output pixels per world unit
+        this.padding = options.padding ?? 20; // World units around the content
+        this.readAsset = options.readAsset || null; // (path) => Promise of an ArrayBuffer
+    }
+
+    /**
+     * Read assets through the reader given in the options, as there is no page to fetch from
+     */
+    async fetchAsset(assetPath) {
+        if (!this.readAsset) {
+            throw new Error('No asset reader configured');
+        }
+        return this.readAsset(assetPath);
+    }
+
+    /**
+     * Initialize scene and camera without a WebGL renderer
+     */
+    init() {
+        this.scene = new THREE.Scene();
+        this.scene.background = new THREE.Color(this.theme.background);
+
+        const aspect = this.container.clientWidth / this.container.clientHeight;
+        const frustumSize = 200;
+        this.camera = new THREE.OrthographicCamera(
+            (frustumSize * aspect) / -2,
+            (frustumSize * aspect) / 2,
+            frustumSize / 2,
+            frustumSize / -2,
+            1,
+            1000
+        );
+
+        this.camera.position.set(100, 100, 100);
+        this.camera.lookAt(0, 0, 0);
+
+        this.setupLighting();
+    }
+
+    /**
+     * No ground grid in exported images
+     */
+    createGrid() {}
+
+    /**
+     * Embed images as data URIs; without a DOM there is no texture to load
+     */
+    async loadImage(source) {
+        if (source.startsWith('data:')) {
+            return { texture: null, href: source };
+        }
+
+        const data = await this.fetchAsset(source);
+        const type = IMAGE_TYPES[source.split('.').pop().toLowerCase()];
+        if (!type) {
+            throw new Error('Unsupported image format (use png, jpg, gif, svg or webp)');
+        }
+        return { texture: null, href: `data:${type};base64,${Buffer.from(data).toString('base64')}` };
+    }
+
+    /**
+     * No interaction without a DOM
+     */
+    setupEventListeners() {}
+
+    /**
+     * No animation loop without a DOM
+     */
+    animate() {}
+
+    /**
+     * Render the diagram and frame the camera around it
+     */
+    render(diagram) {
+        super.render(diagram);
+        this.fitToContent();
+    }
+
+    /**
+     * Resize the camera frustum and output size to the rendered content
+     */
+    fitToContent() {
+        this.camera.updateMatrixWorld();
+
+        // Measure the actual vertices in camera space; projecting world
+        // bounding boxes would overestimate the isometric silhouette
+        const bounds = new THREE.Box3();
+        const vertex = new THREE.Vector3();
+        const objects = [...this.meshes.values(), ...this.connections];
+
+        for (const object of objects) {
+            object.updateMatrixWorld();
+            object.traverse(child => {
+                const position = child.geometry?.attributes.position;
+                if (!position || child.isSprite) return;
+
+                for (let i = 0; i < position.count; i++) {
+                    vertex.fromBufferAttribute(position, i)
+                        .applyMatrix4(child.matrixWorld)
+                        .applyMatrix4(this.camera.matrixWorldInverse);
+                    bounds.expandByPoint(vertex);
+                }
+            });
+
+            // Sprites always face the camera, so their extent is their scale
+            object.traverse(child => {
+                if (!child.isSprite) return;
+                const center = child.getWorldPosition(new THREE.Vector3()).applyMatrix4(this.camera.matrixWorldInverse);
+                bounds.expandByPoint(new THREE.Vector3(center.x - child.scale.x / 2, center.y - child.scale.y / 2, center.z));
+                bounds.expandByPoint(new THREE.Vector3(center.x + child.scale.x / 2, center.y + child.scale.y / 2, center.z));
+            });
+        }
+        if (bounds.isEmpty()) return;
+
+        this.camera.left = bounds.min.x - this.padding;
+        this.camera.right = bounds.max.x + this.padding;
+        this.camera.bottom = bounds.min.y - this.padding;
+        this.camera.top = bounds.max.y + this.padding;
+        this.camera.zoom = 1;
+        this.camera.updateProjectionMatrix();
+
+        this.container.clientWidth = Math.ceil((this.camera.right - this.camera.left) * this.scale);
+        this.container.clientHeight = Math.ceil((this.camera.top - this.camera.bottom) * this.scale);
+    }
+
+    /**
+     * Whether the framed output has a real size; non-finite positions
+     * (a broken layout) leave it without one
+     */
+    hasFiniteSize() {
+        return Number.isFinite(this.container.clientWidth) && Number.isFinite(this.container.clientHeight);
+    }
+
+    /**
+     * Create a label sprite carrying only its text (no canvas texture)
+     */
+    createTextLabel(text, scale = 1, isContainer = false) {
+        const sprite = new THREE.Sprite(new THREE.SpriteMaterial());
+        sprite.scale.set(25 * scale, (isContainer ? 12 : 10) * scale, 1);
+        sprite.userData.text = text;
+        sprite.userData.isContainerLabel = isContainer;
+        return sprite;
+    }
+
+    /**
+     * Create an icon sprite carrying only its glyph (no canvas texture)
+     */
+    createIconSprite(icon) {
+        const sprite = new THREE.Sprite(new THREE.SpriteMaterial());
+        sprite.scale.set(8, 8, 1);
+        sprite.userData.icon = icon;
+        return sprite;
+    }
+
+    /**
+     * Render the current scene to PNG bytes via resvg
+     */
+    async toPNG() {
+        let Resvg;
+        try {
+            ({ Resvg } = await import('@resvg/resvg-js'));
+        } catch (error) {
+            throw new Error('PNG output requires the optional @resvg/resvg-js package');
+        }
+
+        const resvg = new Resvg(this.toSVG(), {
+            font: { loadSystemFonts: true, defaultFontFamily: 'Arial' }
+        });
+        return resvg.render().asPng();
+    }
+
+    /**
+     * Dispose of resources
+     */
+    dispose() {
+        this.clear();
+    }
+}
+
+export default HeadlessRenderer;
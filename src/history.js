@@ -0,0 +1,130 @@
+/**
+ * Undo/Redo History for the Diagram Editor
+ * Command-based stack shared by editor text changes and canvas manipulations
+ */
+
+export class HistoryManager {
+    constructor(options = {}) {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.limit = options.limit ?? 200;
+        this.coalesceWindow = options.coalesceWindow ?? 800; // ms
+        this.isApplying = false;
+        this.onChange = options.onChange || null;
+    }
+
+    /**
+     * Record a command that has already been applied
+     * Commands are { label, undo(), redo() } and may carry a `coalesceKey`
+     * plus a `mergeWith(next)` method to fold rapid repeats into one step
+     */
+    push(command) {
+        // Changes made while undoing/redoing are part of that step
+        if (this.isApplying) return;
+
+        const top = this.undoStack[this.undoStack.length - 1];
+        const now = Date.now();
+
+        if (top && command.coalesceKey && top.coalesceKey === command.coalesceKey &&
+            now - top.timestamp < this.coalesceWindow && top.mergeWith) {
+            top.mergeWith(command);
+            top.timestamp = now;
+        } else {
+            command.timestamp = now;
+            this.undoStack.push(command);
+            if (this.undoStack.length > this.limit) {
+                this.undoStack.shift();
+            }
+        }
+
+        this.redoStack = [];
+        this.notify();
+    }
+
+    /**
+     * Undo the most recent command
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return false;
+
+        this.apply(() => command.undo());
+        this.redoStack.push(command);
+        this.notify();
+        return true;
+    }
+
+    /**
+     * Redo the most recently undone command
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return false;
+
+        this.apply(() => command.redo());
+        command.timestamp = 0; // Never coalesce into a redone command
+        this.undoStack.push(command);
+        this.notify();
+        return true;
+    }
+
+    /**
+     * Run a history step with recording suspended
+     */
+    apply(step) {
+        this.isApplying = true;
+        try {
+            step();
+        } finally {
+            this.isApplying = false;
+        }
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Forget all recorded commands
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notify();
+    }
+
+    /**
+     * Notify the change listener
+     */
+    notify() {
+        if (this.onChange) {
+            this.onChange(this);
+        }
+    }
+}
+
+/**
+ * Create a command that switches between two snapshots of some state
+ * Repeated snapshots with the same coalesce key keep the first `before`
+ * and the latest `after`
+ */
+export function createSnapshotCommand(label, before, after, applyState, coalesceKey = null) {
+    const command = {
+        label,
+        coalesceKey,
+        before,
+        after,
+        undo: () => applyState(command.before),
+        redo: () => applyState(command.after),
+        mergeWith: (next) => {
+            command.after = next.after;
+        }
+    };
+    return command;
+}
+
+export default HistoryManager;
@@ -0,0 +1,76 @@
+/**
+ * Inline Prompt
+ * Small text field opened over the canvas to ask for a value, such as the
+ * label of a relation just drawn
+ */
+
+export class InlinePrompt {
+    constructor() {
+        this.element = document.createElement('div');
+        this.element.className = 'inline-prompt';
+        this.element.style.display = 'none';
+
+        this.title = document.createElement('div');
+        this.title.className = 'inline-prompt-title';
+
+        this.input = document.createElement('input');
+        this.input.type = 'text';
+
+        const hint = document.createElement('div');
+        hint.className = 'inline-prompt-hint';
+        hint.textContent = 'Enter to confirm, Escape to cancel';
+
+        this.element.append(this.title, this.input, hint);
+        document.body.appendChild(this.element);
+
+        this.resolve = null;
+
+        // Enter (or leaving the field) confirms, Escape cancels
+        this.input.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                this.close(this.input.value.trim());
+            } else if (event.key === 'Escape') {
+                event.preventDefault();
+                this.close(null);
+            }
+        });
+        this.input.addEventListener('blur', () => this.close(this.input.value.trim()));
+    }
+
+    /**
+     * Ask for a value at a page position
+     * Resolves to the text entered, or null when cancelled
+     */
+    open(x, y, title, value = '') {
+        this.close(null);
+
+        this.title.textContent = title;
+        this.input.value = value;
+        this.element.style.display = 'block';
+
+        // Keep the prompt on screen
+        const { width, height } = this.element.getBoundingClientRect();
+        this.element.style.left = `${Math.min(x, window.innerWidth - width - 4)}px`;
+        this.element.style.top = `${Math.min(y, window.innerHeight - height - 4)}px`;
+
+        return new Promise((resolve) => {
+            this.resolve = resolve;
+            this.input.focus();
+        });
+    }
+
+    /**
+     * Hide the prompt and settle the pending question
+     */
+    close(value) {
+        if (!this.resolve) return;
+
+        const resolve = this.resolve;
+        this.resolve = null;
+        this.element.style.display = 'none';
+        resolve(value);
+    }
+}
+
+export default InlinePrompt;
@@ -0,0 +1,367 @@
+/**
+ * Properties Inspector
+ * Panel over the canvas showing the selected element or relation; an
+ * element's label, style, container, annotation, tags and metadata can be
+ * edited, each change being reported as an edit for the app to write into
+ * the DSL text
+ */
+
+import { getTags, getMeta, parseTagList } from './metadata.js';
+import { getDescendants } from './views.js';
+import { isExternallyDefined } from './parser.js';
+
+// Properties with their own field, left out of the read-only list
+const EDITABLE_PROPERTIES = ['label', 'type', 'tags', 'meta'];
+// Meta keys the DSL can hold (a single identifier)
+const META_KEY_PATTERN = /^[a-zA-Z_]\w*$/;
+
+export class PropertiesInspector {
+    /**
+     * `options.onEdit` receives edits ({ id, target, property, value }, with
+     * target 'property', 'annotation' or 'parent'; an empty value removes
+     * the property) and `options.onSelect` selections made in the panel
+     */
+    constructor(panel, options = {}) {
+        this.panel = panel;
+        this.onEdit = options.onEdit || null;
+        this.onSelect = options.onSelect || null;
+        this.selection = null;
+        this.hide();
+    }
+
+    /**
+     * Show a selection from the renderer's 'select' event; `item` is the
+     * selected element or relation (the list of elements for a multiple
+     * selection) and `diagram` the model it belongs to
+     */
+    show(selection, item, diagram) {
+        if (!selection || !item) {
+            this.hide();
+            return;
+        }
+
+        this.selection = selection;
+        this.panel.innerHTML = '';
+
+        const title = document.createElement('div');
+        title.className = 'inspector-title';
+        if (selection.type === 'relation') {
+            title.textContent = `${item.from} ${item.arrow || '->'} ${item.to}`;
+        } else if (selection.type === 'multiple') {
+            title.textContent = `${item.length} elements`;
+        } else {
+            title.textContent = item.id;
+        }
+
+        const kind = document.createElement('div');
+        kind.className = 'inspector-kind';
+        kind.textContent = selection.type === 'multiple' ? 'selection' : selection.type;
+
+        this.panel.append(title, kind);
+
+        if (selection.type === 'relation') {
+            this.showRelation(item, diagram);
+        } else if (selection.type === 'multiple') {
+            this.showSelection(item, diagram);
+        } else {
+            this.showElement(item, diagram);
+        }
+
+        this.panel.style.display = 'block';
+    }
+
+    /**
+     * Hide the panel
+     */
+    hide() {
+        this.selection = null;
+        this.panel.style.display = 'none';
+        this.panel.innerHTML = '';
+    }
+
+    /**
+     * Read-only view of a relation, with links to its ends
+     */
+    showRelation(relation, diagram) {
+        const { tags, meta, ...properties } = relation.properties || {};
+        this.panel.appendChild(this.createTable([
+            ['from', this.createElementLink(relation.from, diagram)],
+            ['to', this.createElementLink(relation.to, diagram)],
+            ['label', relation.label],
+            ...Object.entries(properties)
+        ]));
+        this.appendTags(getTags(relation));
+
+        const entries = Object.entries(getMeta(relation));
+        if (entries.length > 0) {
+            this.panel.appendChild(this.createHeading('Metadata'));
+            this.panel.appendChild(this.createTable(entries));
+        }
+    }
+
+    /**
+     * Elements selected together, each selecting just itself when clicked
+     */
+    showSelection(elements, diagram) {
+        const note = document.createElement('div');
+        note.className = 'inspector-note';
+        note.textContent = 'Right-click a selected element to align, distribute, restyle or delete them all.';
+        this.panel.appendChild(note);
+
+        const list = document.createElement('div');
+        list.className = 'inspector-relations';
+        for (const element of elements) {
+            list.append(this.createElementLink(element.id, diagram));
+        }
+        this.panel.appendChild(list);
+    }
+
+    /**
+     * Fields of an element, editable unless it comes from an included file
+     */
+    showElement(element, diagram) {
+        const external = isExternallyDefined(element);
+        const editable = Boolean(this.onEdit) && !external;
+        const annotation = diagram?.annotations[element.id] || {};
+        const edit = (target, property) => (value) => this.onEdit({ id: element.id, target, property, value });
+
+        if (external) {
+            const note = document.createElement('div');
+            note.className = 'inspector-note';
+            note.textContent = `Defined in ${element.source.file}; edit it there.`;
+            this.panel.appendChild(note);
+        }
+
+        const { position, ...others } = element.properties;
+        const readOnly = Object.entries(others).filter(([property]) => !EDITABLE_PROPERTIES.includes(property));
+        if (position) readOnly.push(['position', `x=${position.x} z=${position.z}`]);
+
+        if (!editable) {
+            this.panel.appendChild(this.createTable([
+                ['label', element.properties.label],
+                ['type', element.properties.type],
+                ['container', element.parent],
+                ['tooltip', annotation.tooltip],
+                ['link', annotation.link],
+                ...readOnly
+            ]));
+            this.appendTags(getTags(element));
+            this.appendMeta(element, null);
+            this.appendRelations(element, diagram);
+            return;
+        }
+
+        this.panel.appendChild(this.createTable([
+            ['label', this.createInput(element.properties.label, edit('property', 'label'))],
+            ['type', this.createSelect(
+                [['', '(none)'], ...Object.keys(diagram.styles).map(name => [name, name])],
+                element.properties.type,
+                edit('property', 'type')
+            )],
+            ['container', this.createSelect(
+                [['', '(top level)'], ...getParentChoices(diagram, element.id).map(id => [id, id])],
+                element.parent,
+                edit('parent')
+            )],
+            ['tooltip', this.createInput(annotation.tooltip, edit('annotation', 'tooltip'))],
+            ['link', this.createInput(annotation.link, edit('annotation', 'link'))],
+            ['tags', this.createInput(getTags(element).join(' '), (value) => edit('property', 'tags')(parseTagList(value)))],
+            ...readOnly
+        ]));
+        this.appendMeta(element, (key, value) => edit('property', `meta.${key}`)(value));
+        this.appendRelations(element, diagram);
+    }
+
+    /**
+     * Tag chips
+     */
+    appendTags(tags) {
+        if (tags.length === 0) return;
+
+        this.panel.appendChild(this.createHeading('Tags'));
+        const list = document.createElement('div');
+        list.className = 'inspector-tags';
+        for (const tag of tags) {
+            const chip = document.createElement('span');
+            chip.className = 'inspector-tag';
+            chip.textContent = tag;
+            list.appendChild(chip);
+        }
+        this.panel.appendChild(list);
+    }
+
+    /**
+     * Meta entries, with value fields, remove buttons and a row adding an
+     * entry when `setMeta(key, value)` is given
+     */
+    appendMeta(element, setMeta) {
+        const entries = Object.entries(getMeta(element));
+        if (entries.length === 0 && !setMeta) return;
+
+        this.panel.appendChild(this.createHeading('Metadata'));
+        if (!setMeta) {
+            this.panel.appendChild(this.createTable(entries));
+            return;
+        }
+
+        const table = this.createTable(entries.map(([key, value]) => {
+            const field = document.createElement('div');
+            field.className = 'inspector-field';
+            field.append(
+                this.createInput(value, (text) => setMeta(key, text)),
+                this.createButton('×', `Remove ${key}`, () => setMeta(key, null))
+            );
+            return [key, field];
+        }));
+
+        const keyInput = this.createInput('', null, 'key');
+        const valueInput = this.createInput('', null, 'value');
+        const add = () => {
+            const key = keyInput.value.trim();
+            if (!META_KEY_PATTERN.test(key)) {
+                keyInput.classList.add('invalid');
+                keyInput.focus();
+                return;
+            }
+            setMeta(key, valueInput.value);
+        };
+        valueInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') add();
+        });
+
+        const row = table.insertRow();
+        row.insertCell().appendChild(keyInput);
+        const field = document.createElement('div');
+        field.className = 'inspector-field';
+        field.append(valueInput, this.createButton('+', 'Add entry', add));
+        row.insertCell().appendChild(field);
+
+        this.panel.appendChild(table);
+    }
+
+    /**
+     * Outgoing and incoming relations, each selecting the relation when clicked
+     */
+    appendRelations(element, diagram) {
+        const relations = diagram?.relations || [];
+        const groups = [
+            ['Outgoing', relations.filter(relation => relation.from === element.id), relation => `→ ${relation.to}`],
+            ['Incoming', relations.filter(relation => relation.to === element.id), relation => `← ${relation.from}`]
+        ];
+
+        for (const [heading, list, describe] of groups) {
+            if (list.length === 0) continue;
+
+            this.panel.appendChild(this.createHeading(heading));
+            const items = document.createElement('div');
+            items.className = 'inspector-relations';
+            for (const relation of list) {
+                const link = document.createElement('button');
+                link.type = 'button';
+                link.className = 'inspector-link';
+                link.textContent = relation.label ? `${describe(relation)}: ${relation.label}` : describe(relation);
+                link.addEventListener('click', () => this.onSelect?.({ type: 'relation', relation }));
+                items.appendChild(link);
+            }
+            this.panel.appendChild(items);
+        }
+    }
+
+    /**
+     * Link selecting an element (plain text when the panel can't select)
+     */
+    createElementLink(id, diagram) {
+        if (!this.onSelect || !(diagram?.containers[id] || diagram?.components[id])) return id;
+        const type = diagram.containers[id] ? 'container' : 'component';
+
+        const link = document.createElement('button');
+        link.type = 'button';
+        link.className = 'inspector-link';
+        link.textContent = id;
+        link.addEventListener('click', () => this.onSelect({ type, id }));
+        return link;
+    }
+
+    /**
+     * Text field reporting its value once changed (on Enter or leaving it)
+     */
+    createInput(value, onChange, placeholder = '') {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = value ?? '';
+        input.placeholder = placeholder;
+        input.addEventListener('input', () => input.classList.remove('invalid'));
+        if (onChange) {
+            input.addEventListener('change', () => onChange(input.value.trim()));
+        }
+        return input;
+    }
+
+    /**
+     * Drop-down of [value, text] options reporting the picked value
+     */
+    createSelect(options, value, onChange) {
+        const select = document.createElement('select');
+        for (const [optionValue, text] of options) {
+            select.add(new Option(text, optionValue));
+        }
+        select.value = value ?? '';
+        select.addEventListener('change', () => onChange(select.value));
+        return select;
+    }
+
+    /**
+     * Small icon button
+     */
+    createButton(text, title, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'inspector-button';
+        button.textContent = text;
+        button.title = title;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Two-column table of [name, value] rows, skipping empty values; values
+     * may be text or DOM nodes (fields)
+     */
+    createTable(rows) {
+        const table = document.createElement('table');
+        table.className = 'inspector-table';
+        for (const [name, value] of rows) {
+            if (value === undefined || value === null || value === '') continue;
+            const row = table.insertRow();
+            row.insertCell().textContent = name;
+            const cell = row.insertCell();
+            if (value instanceof Node) {
+                cell.appendChild(value);
+            } else {
+                cell.textContent = String(value);
+            }
+        }
+        return table;
+    }
+
+    /**
+     * Section heading
+     */
+    createHeading(text) {
+        const heading = document.createElement('div');
+        heading.className = 'inspector-heading';
+        heading.textContent = text;
+        return heading;
+    }
+}
+
+/**
+ * Containers an element can move into: any but itself and the containers
+ * nested in it
+ */
+export function getParentChoices(diagram, elementId) {
+    const excluded = new Set(getDescendants(diagram, elementId, [elementId]));
+    return Object.keys(diagram.containers).filter(id => !excluded.has(id));
+}
+
+export default PropertiesInspector;
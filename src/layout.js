@@ -0,0 +1,631 @@
+/**
+ * Layered Layout Engine for Isometric Architecture Diagrams
+ * Sugiyama-style layout: ranking, crossing minimization and coordinate
+ * assignment on the isometric ground plane, with containers as compound nodes
+ */
+
+export class LayeredLayout {
+    constructor(options = {}) {
+        this.direction = (options.direction || 'TB').toUpperCase();
+        this.ranksep = options.ranksep ?? 50;
+        this.nodesep = options.nodesep ?? 30;
+
+        // Container geometry
+        this.containerPadding = options.containerPadding ?? 20;
+        this.containerHeight = options.containerHeight ?? 40;
+        this.minContainerSize = options.minContainerSize || { width: 108, depth: 72 };
+        this.nestingOffset = options.nestingOffset ?? 5;
+
+        // Footprint of a component on the ground plane
+        this.getComponentSize = options.getComponentSize || (() => ({ width: 30, depth: 30 }));
+
+        // Number of barycenter sweeps and coordinate refinement passes
+        this.orderIterations = options.orderIterations ?? 8;
+        this.positionIterations = options.positionIterations ?? 8;
+    }
+
+    /**
+     * Lay out the whole diagram
+     * Returns { components: {id: {x,y,z}}, containers: {id: {x,y,z,containerSize}} }
+     */
+    run(diagram) {
+        const layout = {
+            components: {},
+            containers: {}
+        };
+
+        const scope = this.layoutScope(diagram, null);
+        this.placeScope(diagram, scope, 0, 0, 0, layout);
+
+        return layout;
+    }
+
+    /**
+     * Get the direct children of a scope (null for the top level) in declaration order
+     */
+    getScopeChildren(diagram, scopeId) {
+        if (scopeId) {
+            return (diagram.containers[scopeId]?.children || []).filter(id =>
+                diagram.components[id] || diagram.containers[id]
+            );
+        }
+
+        const topLevel = [];
+        for (const [id, container] of Object.entries(diagram.containers)) {
+            if (!container.parent) topLevel.push(id);
+        }
+        for (const [id, component] of Object.entries(diagram.components)) {
+            if (!component.parent) topLevel.push(id);
+        }
+        return topLevel;
+    }
+
+    /**
+     * Find the ancestor of a node that is a direct child of the given scope
+     */
+    getScopeRepresentative(diagram, nodeId, scopeId) {
+        let current = nodeId;
+        const visited = new Set();
+
+        while (current && !visited.has(current)) {
+            visited.add(current);
+            const node = diagram.components[current] || diagram.containers[current];
+            if (!node) return null;
+            if ((node.parent || null) === scopeId) return current;
+            current = node.parent;
+        }
+
+        return null;
+    }
+
+    /**
+     * Lay out one scope: sizes its children (recursing into containers),
+     * then ranks and orders them along the relations lifted to this scope
+     */
+    layoutScope(diagram, scopeId) {
+        const nodeIds = this.getScopeChildren(diagram, scopeId);
+        const sizes = {};
+        const nested = {};
+
+        for (const id of nodeIds) {
+            if (diagram.containers[id]) {
+                const inner = this.layoutScope(diagram, id);
+                nested[id] = inner;
+                sizes[id] = {
+                    width: Math.max(this.minContainerSize.width, inner.width + this.containerPadding * 2),
+                    depth: Math.max(this.minContainerSize.depth, inner.depth + this.containerPadding * 2)
+                };
+            } else {
+                sizes[id] = this.getComponentSize(diagram.components[id]);
+            }
+        }
+
+        const edges = this.collectScopeEdges(diagram, scopeId, nodeIds);
+        const constraints = this.collectConstraints(diagram, nodeIds);
+        const positions = this.layoutGraph(nodeIds, edges, sizes, constraints);
+
+        if (nodeIds.length === 0) {
+            return { nodeIds, positions, sizes, nested, width: 0, depth: 0 };
+        }
+
+        const pinnedIds = nodeIds.filter(id => constraints.positions[id]);
+        const freeIds = nodeIds.filter(id => !constraints.positions[id]);
+
+        // Center the automatic layout around the scope's own origin; pinned
+        // elements count with their automatic positions so pinning one
+        // element never shifts the others
+        let minX = Infinity, maxX = -Infinity;
+        let minZ = Infinity, maxZ = -Infinity;
+        for (const id of nodeIds) {
+            const pos = positions[id];
+            minX = Math.min(minX, pos.x - sizes[id].width / 2);
+            maxX = Math.max(maxX, pos.x + sizes[id].width / 2);
+            minZ = Math.min(minZ, pos.z - sizes[id].depth / 2);
+            maxZ = Math.max(maxZ, pos.z + sizes[id].depth / 2);
+        }
+
+        const centerX = (minX + maxX) / 2;
+        const centerZ = (minZ + maxZ) / 2;
+        for (const id of freeIds) {
+            positions[id].x -= centerX;
+            positions[id].z -= centerZ;
+        }
+
+        // Pinned elements keep their declared position relative to the origin,
+        // and the automatic layout only fills the space around them
+        for (const id of pinnedIds) {
+            const pinned = constraints.positions[id];
+            positions[id] = { x: pinned.x, z: pinned.z };
+        }
+        if (pinnedIds.length > 0) {
+            this.resolveOverlaps(freeIds, pinnedIds, positions, sizes);
+        }
+
+        // The scope stays centered on its origin, so its extent is symmetric
+        let halfWidth = 0;
+        let halfDepth = 0;
+        for (const id of nodeIds) {
+            halfWidth = Math.max(halfWidth, Math.abs(positions[id].x) + sizes[id].width / 2);
+            halfDepth = Math.max(halfDepth, Math.abs(positions[id].z) + sizes[id].depth / 2);
+        }
+
+        return {
+            nodeIds,
+            positions,
+            sizes,
+            nested,
+            width: halfWidth * 2,
+            depth: halfDepth * 2
+        };
+    }
+
+    /**
+     * Gather the position, rank and order overrides declared on a scope's children
+     * Top-level positions are absolute; nested ones are relative to the parent container's center
+     */
+    collectConstraints(diagram, nodeIds) {
+        const constraints = { positions: {}, ranks: {}, orders: {} };
+
+        for (const id of nodeIds) {
+            const properties = (diagram.components[id] || diagram.containers[id]).properties || {};
+            const { position, rank, order } = properties;
+
+            if (position && Number.isFinite(position.x) && Number.isFinite(position.z)) {
+                constraints.positions[id] = position;
+            }
+            if (Number.isInteger(rank) && rank >= 0) {
+                constraints.ranks[id] = rank;
+            }
+            if (Number.isFinite(order)) {
+                constraints.orders[id] = order;
+            }
+        }
+
+        return constraints;
+    }
+
+    /**
+     * Slide free elements along their rank until they clear every pinned
+     * element and each other
+     */
+    resolveOverlaps(freeIds, pinnedIds, positions, sizes) {
+        const secondaryAxis = this.isHorizontal() ? 'z' : 'x';
+        const mainAxis = this.isHorizontal() ? 'x' : 'z';
+        const extent = (id, axis) => (axis === 'x' ? sizes[id].width : sizes[id].depth) / 2;
+        const gap = this.nodesep;
+
+        const placed = [...pinnedIds];
+        const overlaps = (id, other, secondary) =>
+            Math.abs(positions[id][mainAxis] - positions[other][mainAxis]) < extent(id, mainAxis) + extent(other, mainAxis) + gap / 2 &&
+            Math.abs(secondary - positions[other][secondaryAxis]) < extent(id, secondaryAxis) + extent(other, secondaryAxis) + gap / 2;
+
+        // Closest elements to the origin claim space first
+        const ordered = [...freeIds].sort((a, b) =>
+            Math.abs(positions[a][secondaryAxis]) - Math.abs(positions[b][secondaryAxis])
+        );
+
+        for (const id of ordered) {
+            const current = positions[id][secondaryAxis];
+            const blockers = placed.filter(other => overlaps(id, other, current));
+
+            if (blockers.length > 0) {
+                // Candidate slots sit just past either side of every element in this band
+                const inBand = placed.filter(other => overlaps(id, other, positions[other][secondaryAxis]));
+                const candidates = inBand.flatMap(other => {
+                    const reach = extent(id, secondaryAxis) + extent(other, secondaryAxis) + gap;
+                    return [positions[other][secondaryAxis] - reach, positions[other][secondaryAxis] + reach];
+                });
+
+                const free = candidates
+                    .filter(candidate => !placed.some(other => overlaps(id, other, candidate)))
+                    .sort((a, b) => Math.abs(a - current) - Math.abs(b - current));
+                if (free.length > 0) {
+                    positions[id][secondaryAxis] = free[0];
+                }
+            }
+
+            placed.push(id);
+        }
+    }
+
+    /**
+     * Lift every relation to the children of a scope, dropping the ones
+     * that leave the scope or stay inside a single child
+     */
+    collectScopeEdges(diagram, scopeId, nodeIds) {
+        const members = new Set(nodeIds);
+        const edges = [];
+
+        for (const relation of diagram.relations) {
+            const from = this.getScopeRepresentative(diagram, relation.from, scopeId);
+            const to = this.getScopeRepresentative(diagram, relation.to, scopeId);
+
+            if (from && to && from !== to && members.has(from) && members.has(to)) {
+                edges.push({ from, to });
+            }
+        }
+
+        return edges;
+    }
+
+    /**
+     * Run the layered pipeline on a flat graph and return ground plane positions
+     */
+    layoutGraph(nodeIds, edges, sizes, constraints = { ranks: {}, orders: {} }) {
+        const positions = {};
+        if (nodeIds.length === 0) return positions;
+
+        const acyclicEdges = this.removeCycles(nodeIds, edges);
+        const ranks = this.assignRanks(nodeIds, acyclicEdges, constraints.ranks);
+        const graph = this.buildLayeredGraph(nodeIds, acyclicEdges, ranks, sizes, constraints.orders);
+
+        this.minimizeCrossings(graph);
+        const secondary = this.assignSecondaryCoordinates(graph);
+        const main = this.assignMainCoordinates(graph);
+
+        for (const id of nodeIds) {
+            positions[id] = this.toGroundPlane(main[id], secondary[id]);
+        }
+
+        return positions;
+    }
+
+    /**
+     * Make the graph acyclic by reversing DFS back edges
+     */
+    removeCycles(nodeIds, edges) {
+        const outgoing = new Map(nodeIds.map(id => [id, []]));
+        edges.forEach((edge, index) => outgoing.get(edge.from).push({ ...edge, index }));
+
+        const state = new Map(); // id -> 'visiting' | 'done'
+        const reversed = new Set();
+
+        const visit = (id) => {
+            state.set(id, 'visiting');
+            for (const edge of outgoing.get(id)) {
+                const targetState = state.get(edge.to);
+                if (targetState === 'visiting') {
+                    reversed.add(edge.index);
+                } else if (!targetState) {
+                    visit(edge.to);
+                }
+            }
+            state.set(id, 'done');
+        };
+
+        for (const id of nodeIds) {
+            if (!state.has(id)) visit(id);
+        }
+
+        return edges.map((edge, index) => reversed.has(index)
+            ? { from: edge.to, to: edge.from, reversed: true }
+            : { from: edge.from, to: edge.to, reversed: false }
+        );
+    }
+
+    /**
+     * Longest-path ranking: every node sits one rank below its deepest predecessor,
+     * unless it declares a fixed rank
+     */
+    assignRanks(nodeIds, edges, fixedRanks = {}) {
+        const incoming = new Map(nodeIds.map(id => [id, []]));
+        const outgoing = new Map(nodeIds.map(id => [id, []]));
+        for (const edge of edges) {
+            incoming.get(edge.to).push(edge.from);
+            outgoing.get(edge.from).push(edge.to);
+        }
+
+        // Kahn's algorithm keeps declaration order among ready nodes
+        const ranks = {};
+        const remaining = new Map(nodeIds.map(id => [id, incoming.get(id).length]));
+        const queue = nodeIds.filter(id => remaining.get(id) === 0);
+
+        while (queue.length > 0) {
+            const id = queue.shift();
+            ranks[id] = fixedRanks[id] ?? Math.max(0, ...incoming.get(id).map(pred => ranks[pred] + 1));
+
+            for (const succ of outgoing.get(id)) {
+                remaining.set(succ, remaining.get(succ) - 1);
+                if (remaining.get(succ) === 0) queue.push(succ);
+            }
+        }
+
+        return ranks;
+    }
+
+    /**
+     * Build layers, splitting long edges with dummy nodes so every edge
+     * connects adjacent ranks
+     */
+    buildLayeredGraph(nodeIds, edges, ranks, sizes, orders = {}) {
+        const nodes = new Map();
+        const maxRank = Math.max(0, ...Object.values(ranks));
+        const layers = Array.from({ length: maxRank + 1 }, () => []);
+
+        for (const id of nodeIds) {
+            const size = sizes[id];
+            nodes.set(id, {
+                id,
+                rank: ranks[id],
+                order: orders[id],
+                dummy: false,
+                mainSize: this.isHorizontal() ? size.width : size.depth,
+                secondarySize: this.isHorizontal() ? size.depth : size.width,
+                preds: [],
+                succs: []
+            });
+            layers[ranks[id]].push(id);
+        }
+
+        let dummyCount = 0;
+        for (const edge of edges) {
+            // Fixed ranks can flatten or invert an edge
+            if (ranks[edge.from] === ranks[edge.to]) continue;
+            const [from, to] = ranks[edge.from] < ranks[edge.to] ? [edge.from, edge.to] : [edge.to, edge.from];
+
+            let previous = from;
+            for (let rank = ranks[from] + 1; rank < ranks[to]; rank++) {
+                const dummyId = `__dummy_${dummyCount++}`;
+                nodes.set(dummyId, {
+                    id: dummyId,
+                    rank,
+                    dummy: true,
+                    mainSize: 0,
+                    secondarySize: 0,
+                    preds: [],
+                    succs: []
+                });
+                layers[rank].push(dummyId);
+                this.linkNodes(nodes, previous, dummyId);
+                previous = dummyId;
+            }
+            this.linkNodes(nodes, previous, to);
+        }
+
+        const graph = { nodes, layers };
+        layers.forEach((layer, rank) => this.applyOrderConstraints(graph, rank));
+        return graph;
+    }
+
+    /**
+     * Connect two nodes of the layered graph
+     */
+    linkNodes(nodes, from, to) {
+        nodes.get(from).succs.push(to);
+        nodes.get(to).preds.push(from);
+    }
+
+    /**
+     * Reorder each layer with alternating barycenter sweeps, keeping the
+     * ordering with the fewest crossings
+     */
+    minimizeCrossings(graph) {
+        const { layers } = graph;
+        let best = layers.map(layer => [...layer]);
+        let bestCrossings = this.countCrossings(graph);
+
+        for (let iteration = 0; iteration < this.orderIterations && bestCrossings > 0; iteration++) {
+            const downward = iteration % 2 === 0;
+
+            if (downward) {
+                for (let rank = 1; rank < layers.length; rank++) {
+                    this.orderByBarycenter(graph, rank, 'preds');
+                }
+            } else {
+                for (let rank = layers.length - 2; rank >= 0; rank--) {
+                    this.orderByBarycenter(graph, rank, 'succs');
+                }
+            }
+
+            const crossings = this.countCrossings(graph);
+            if (crossings < bestCrossings) {
+                bestCrossings = crossings;
+                best = layers.map(layer => [...layer]);
+            }
+        }
+
+        graph.layers = best;
+    }
+
+    /**
+     * Sort one layer by the mean position of its neighbours in the adjacent layer
+     */
+    orderByBarycenter(graph, rank, neighbourKey) {
+        const { nodes, layers } = graph;
+        const adjacent = layers[rank + (neighbourKey === 'preds' ? -1 : 1)];
+        const index = new Map(adjacent.map((id, i) => [id, i]));
+
+        const keyed = layers[rank].map((id, position) => {
+            const neighbours = nodes.get(id)[neighbourKey];
+            const barycenter = neighbours.length > 0
+                ? neighbours.reduce((sum, n) => sum + index.get(n), 0) / neighbours.length
+                : position;
+            return { id, barycenter, position };
+        });
+
+        keyed.sort((a, b) => a.barycenter - b.barycenter || a.position - b.position);
+        layers[rank] = keyed.map(entry => entry.id);
+        this.applyOrderConstraints(graph, rank);
+    }
+
+    /**
+     * Put nodes with an explicit `order` back into ascending order, reusing
+     * the slots they currently occupy so free nodes keep their places
+     */
+    applyOrderConstraints(graph, rank) {
+        const { nodes, layers } = graph;
+        const layer = layers[rank];
+        const slots = [];
+        const ordered = [];
+
+        layer.forEach((id, index) => {
+            if (nodes.get(id).order !== undefined) {
+                slots.push(index);
+                ordered.push(id);
+            }
+        });
+        if (ordered.length < 2) return;
+
+        ordered.sort((a, b) => nodes.get(a).order - nodes.get(b).order);
+        slots.forEach((slot, i) => {
+            layer[slot] = ordered[i];
+        });
+    }
+
+    /**
+     * Count edge crossings between every pair of adjacent layers
+     */
+    countCrossings(graph) {
+        const { nodes, layers } = graph;
+        let crossings = 0;
+
+        for (let rank = 0; rank < layers.length - 1; rank++) {
+            const nextIndex = new Map(layers[rank + 1].map((id, i) => [id, i]));
+            const segments = [];
+
+            layers[rank].forEach((id, i) => {
+                for (const succ of nodes.get(id).succs) {
+                    segments.push([i, nextIndex.get(succ)]);
+                }
+            });
+
+            for (let a = 0; a < segments.length; a++) {
+                for (let b = a + 1; b < segments.length; b++) {
+                    const [a1, a2] = segments[a];
+                    const [b1, b2] = segments[b];
+                    if ((a1 - b1) * (a2 - b2) < 0) crossings++;
+                }
+            }
+        }
+
+        return crossings;
+    }
+
+    /**
+     * Place nodes across each rank: pack them with nodesep, then pull each
+     * node towards its neighbours while keeping order and separation
+     */
+    assignSecondaryCoordinates(graph) {
+        const { nodes, layers } = graph;
+        const coords = {};
+
+        for (const layer of layers) {
+            let cursor = 0;
+            for (const id of layer) {
+                const node = nodes.get(id);
+                coords[id] = cursor + node.secondarySize / 2;
+                cursor += node.secondarySize + this.nodesep;
+            }
+            const shift = (cursor - this.nodesep) / 2;
+            for (const id of layer) coords[id] -= shift;
+        }
+
+        for (let iteration = 0; iteration < this.positionIterations; iteration++) {
+            const ordered = iteration % 2 === 0 ? layers : [...layers].reverse();
+            for (const layer of ordered) {
+                const desired = layer.map(id => {
+                    const node = nodes.get(id);
+                    const neighbours = [...node.preds, ...node.succs];
+                    if (neighbours.length === 0) return coords[id];
+                    return neighbours.reduce((sum, n) => sum + coords[n], 0) / neighbours.length;
+                });
+                this.placeWithSeparation(layer, desired, nodes, coords);
+            }
+        }
+
+        return coords;
+    }
+
+    /**
+     * Move a layer as close as possible to the desired coordinates without
+     * breaking order or minimum separation
+     */
+    placeWithSeparation(layer, desired, nodes, coords) {
+        const gap = (i) => (nodes.get(layer[i]).secondarySize + nodes.get(layer[i + 1]).secondarySize) / 2 + this.nodesep;
+        const left = [...desired];
+        const right = [...desired];
+
+        for (let i = 1; i < layer.length; i++) {
+            left[i] = Math.max(left[i], left[i - 1] + gap(i - 1));
+        }
+        for (let i = layer.length - 2; i >= 0; i--) {
+            right[i] = Math.min(right[i], right[i + 1] - gap(i));
+        }
+
+        // The mean of two feasible placements is also feasible
+        layer.forEach((id, i) => {
+            coords[id] = (left[i] + right[i]) / 2;
+        });
+    }
+
+    /**
+     * Stack ranks along the layout direction separated by ranksep
+     */
+    assignMainCoordinates(graph) {
+        const { nodes, layers } = graph;
+        const coords = {};
+        let cursor = 0;
+
+        layers.forEach((layer, rank) => {
+            const thickness = Math.max(0, ...layer.map(id => nodes.get(id).mainSize));
+            const center = cursor + thickness / 2;
+            for (const id of layer) coords[id] = center;
+            cursor += thickness + (rank < layers.length - 1 ? this.ranksep : 0);
+        });
+
+        return coords;
+    }
+
+    /**
+     * Whether ranks advance along the X axis (LR/RL) rather than Z (TB/BT)
+     */
+    isHorizontal() {
+        return this.direction === 'LR' || this.direction === 'RL';
+    }
+
+    /**
+     * Map (rank axis, in-rank axis) coordinates onto the ground plane
+     * LR: +X, RL: -X, TB: +Z, BT: -Z
+     */
+    toGroundPlane(main, secondary) {
+        switch (this.direction) {
+            case 'LR':
+                return { x: main, z: secondary };
+            case 'RL':
+                return { x: -main, z: secondary };
+            case 'BT':
+                return { x: secondary, z: -main };
+            default: // TB
+                return { x: secondary, z: main };
+        }
+    }
+
+    /**
+     * Convert scope-relative positions into absolute layout entries
+     */
+    placeScope(diagram, scope, offsetX, offsetZ, level, layout) {
+        for (const id of scope.nodeIds) {
+            const x = offsetX + scope.positions[id].x;
+            const z = offsetZ + scope.positions[id].z;
+            const y = level * this.nestingOffset;
+
+            if (diagram.containers[id]) {
+                layout.containers[id] = {
+                    x,
+                    y,
+                    z,
+                    containerSize: {
+                        width: scope.sizes[id].width,
+                        height: this.containerHeight,
+                        depth: scope.sizes[id].depth
+                    }
+                };
+                this.placeScope(diagram, scope.nested[id], x, z, level + 1, layout);
+            } else {
+                layout.components[id] = { x, y, z };
+            }
+        }
+    }
+}
+
+export default LayeredLayout;
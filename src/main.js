@@ -3,15 +3,54 @@
  * Coordinates the DSL parser and 3D renderer
  */
 
-import DSLParser from './parser.js';
+import DSLParser, { LINE_STYLES, isExternallyDefined } from './parser.js';
 import IsometricRenderer from './renderer.js';
+import DSLSerializer from './serializer.js';
+import HistoryManager, { createSnapshotCommand } from './history.js';
+import DiagramWorkspace from './workspace.js';
+import DSLEditor from './editor.js';
+import PropertiesInspector, { getParentChoices } from './inspector.js';
+import ContextMenu from './contextMenu.js';
+import InlinePrompt from './inlinePrompt.js';
+import { getMetaKeys } from './metadata.js';
+
+// Files accepted as component models and images
+const ASSET_EXTENSIONS = /\.(gltf|glb|obj|png|jpe?g|gif|svg|webp)$/i;
+// Align and distribute commands for a multi-selection, as [mode, menu text]
+const ALIGN_MODES = [
+    ['left', 'Left edges'], ['center', 'Centers (X)'], ['right', 'Right edges'],
+    ['top', 'Top edges'], ['middle', 'Centers (Z)'], ['bottom', 'Bottom edges']
+];
+const DISTRIBUTE_AXES = [['x', 'Along X'], ['z', 'Along Z']];
 
 class IsometricDiagramApp {
     constructor() {
-        this.parser = new DSLParser();
+        this.parser = new DSLParser({ resolveInclude: this.resolveInclude.bind(this) });
+        this.serializer = new DSLSerializer({ parser: this.parser });
+        this.history = new HistoryManager();
+        this.workspace = new DiagramWorkspace();
         this.renderer = null;
         this.currentDiagram = null;
         
+        // Editor text as last recorded in history, and the pending typing timer
+        this.committedText = '';
+        this.textCommitTimeout = null;
+
+        // Render in flight, and undo/redo steps waiting for it to finish
+        this.pendingRender = null;
+        this.historyQueue = Promise.resolve();
+        
+        // Open workspace diagram, cached listing and queued writes
+        this.activeDiagramId = null;
+        this.workspaceDiagrams = [];
+        this.saveQueue = Promise.resolve();
+        this.thumbnailTimeout = null;
+        
+        // Files dropped or picked this session, available to `include`
+        this.includeFiles = new Map();
+        // Model and image files dropped or picked this session (name -> object URL)
+        this.assetFiles = new Map();
+        
         this.initializeUI();
         this.setupEventListeners();
     }
@@ -26,21 +65,55 @@ class IsometricDiagramApp {
             dslEditor: document.getElementById('dslEditor'),
             parseButton: document.getElementById('parseButton'),
             errorMessage: document.getElementById('errorMessage'),
+            diagnosticsList: document.getElementById('diagnosticsList'),
             canvasContainer: document.getElementById('canvasContainer'),
             loading: document.getElementById('loading'),
             zoomSlider: document.getElementById('zoomSlider'),
             rotationSlider: document.getElementById('rotationSlider'),
+            flowModeSelect: document.getElementById('flowModeSelect'),
+            themeSelect: document.getElementById('themeSelect'),
+            viewSelect: document.getElementById('viewSelect'),
+            colorBySelect: document.getElementById('colorBySelect'),
+            colorLegend: document.getElementById('colorLegend'),
+            searchInput: document.getElementById('searchInput'),
+            inspectorPanel: document.getElementById('inspectorPanel'),
+            connectButton: document.getElementById('connectBtn'),
+            snapButton: document.getElementById('snapBtn'),
             resetViewButton: document.getElementById('resetView'),
             exportButton: document.getElementById('exportBtn'),
+            exportSvgButton: document.getElementById('exportSvgBtn'),
             loadSampleButton: document.getElementById('loadSample'),
-            sampleDsl: document.getElementById('sampleDsl')
+            sampleDsl: document.getElementById('sampleDsl'),
+            workspacePanel: document.getElementById('workspacePanel'),
+            diagramList: document.getElementById('diagramList'),
+            newDiagramButton: document.getElementById('newDiagramBtn'),
+            duplicateDiagramButton: document.getElementById('duplicateDiagramBtn'),
+            renameDiagramButton: document.getElementById('renameDiagramBtn'),
+            deleteDiagramButton: document.getElementById('deleteDiagramBtn')
         };
 
         // Initialize renderer
         this.renderer = new IsometricRenderer(this.elements.canvasContainer);
         
+        // Syntax-aware editor on top of the textarea
+        this.editor = new DSLEditor(this.elements.dslEditor, { shapes: this.renderer.getShapeNames() });
+        
+        // Properties of the element or relation selected on the canvas;
+        // edits made there are written back into the DSL text
+        this.inspector = new PropertiesInspector(this.elements.inspectorPanel, {
+            onEdit: this.handleInspectorEdit.bind(this),
+            onSelect: this.selectFromInspector.bind(this)
+        });
+
+        // Right-click editing actions
+        this.contextMenu = new ContextMenu();
+
+        // Asks for the label of a relation drawn on the canvas
+        this.labelPrompt = new InlinePrompt();
+        
         // Set initial sample DSL
-        this.elements.dslEditor.value = this.elements.sampleDsl.textContent.trim();
+        this.editor.setValue(this.elements.sampleDsl.textContent.trim());
+        this.committedText = this.elements.dslEditor.value;
     }
 
     /**
@@ -51,11 +124,13 @@ class IsometricDiagramApp {
         this.elements.fileInput.addEventListener('change', this.handleFileLoad.bind(this));
         
         // Parse button
-        this.elements.parseButton.addEventListener('click', this.handleParse.bind(this));
+        this.elements.parseButton.addEventListener('click', () => this.handleParse());
         
         // Editor auto-parse on change (debounced)
         let parseTimeout;
-        this.elements.dslEditor.addEventListener('input', () => {
+        this.elements.dslEditor.addEventListener('input', (e) => {
+            this.recordTextEdit(e.inputType === 'insertFromPaste');
+            
             clearTimeout(parseTimeout);
             parseTimeout = setTimeout(() => {
                 this.handleParse();
@@ -71,6 +146,49 @@ class IsometricDiagramApp {
             this.renderer.setRotation(parseFloat(e.target.value));
         });
 
+        this.elements.flowModeSelect.addEventListener('change', (e) => {
+            this.renderer.setFlowMode(e.target.value);
+        });
+
+        this.elements.viewSelect.addEventListener('change', (e) => {
+            this.renderer.setDiagramView(e.target.value);
+            if (this.currentDiagram) {
+                this.handleParse();
+            }
+        });
+
+        this.elements.colorBySelect.addEventListener('change', (e) => {
+            this.renderer.setColorBy(e.target.value);
+            if (this.currentDiagram) {
+                this.handleParse();
+            }
+        });
+
+        this.elements.searchInput.addEventListener('input', (e) => {
+            this.renderer.setSearch(e.target.value);
+        });
+
+        this.elements.themeSelect.addEventListener('change', (e) => {
+            this.renderer.setTheme(e.target.value);
+            if (this.currentDiagram) {
+                this.handleParse();
+            }
+        });
+
+        this.elements.connectButton.addEventListener('click', () => {
+            const enabled = !this.renderer.connectMode;
+            this.renderer.setConnectMode(enabled);
+            this.elements.connectButton.classList.toggle('active', enabled);
+            this.elements.connectButton.setAttribute('aria-pressed', String(enabled));
+        });
+
+        this.elements.snapButton.addEventListener('click', () => {
+            const enabled = this.renderer.snapStep === 0;
+            this.renderer.setSnapToGrid(enabled);
+            this.elements.snapButton.classList.toggle('active', enabled);
+            this.elements.snapButton.setAttribute('aria-pressed', String(enabled));
+        });
+
         this.elements.resetViewButton.addEventListener('click', () => {
             this.renderer.resetView();
             this.elements.zoomSlider.value = '1';
@@ -81,11 +199,29 @@ class IsometricDiagramApp {
             this.renderer.exportPNG();
         });
 
+        this.elements.exportSvgButton.addEventListener('click', () => {
+            this.renderer.exportSVG();
+        });
+
+        // Workspace
+        this.elements.newDiagramButton.addEventListener('click', () => this.createDiagram());
+        this.elements.duplicateDiagramButton.addEventListener('click', () => this.duplicateDiagram());
+        this.elements.renameDiagramButton.addEventListener('click', () => this.renameDiagram());
+        this.elements.deleteDiagramButton.addEventListener('click', () => this.deleteDiagram());
+
         this.elements.loadSampleButton.addEventListener('click', () => {
-            this.elements.dslEditor.value = this.elements.sampleDsl.textContent.trim();
+            this.replaceEditorText(this.elements.sampleDsl.textContent.trim(), 'Load sample');
             this.handleParse();
         });
 
+        // Canvas edits are written back into the DSL text
+        this.renderer.on('objectmove', this.handleCanvasMove.bind(this));
+        this.renderer.on('groupmove', ({ moves }) => this.recordMoves(`Move ${moves.length} elements`, moves));
+        this.renderer.on('viewchange', this.handleViewChange.bind(this));
+        this.renderer.on('select', this.handleSelect.bind(this));
+        this.renderer.on('contextmenu', this.handleContextMenu.bind(this));
+        this.renderer.on('link', this.handleLink.bind(this));
+
         // Drag and drop for file input
         this.setupDragAndDrop();
 
@@ -134,7 +270,7 @@ class IsometricDiagramApp {
     handleDrop(e) {
         const files = e.dataTransfer.files;
         if (files.length > 0) {
-            this.loadFile(files[0]);
+            this.loadFiles(files);
         }
     }
 
@@ -142,39 +278,111 @@ class IsometricDiagramApp {
      * Handle file input change
      */
     handleFileLoad(e) {
-        const file = e.target.files[0];
-        if (file) {
-            this.loadFile(file);
+        const files = e.target.files;
+        if (files.length > 0) {
+            this.loadFiles(files);
         }
     }
 
     /**
-     * Load file content into editor
+     * Load several files at once: DSL files become available to `include`
+     * and the first one is opened; glTF/OBJ models and images become
+     * available to `model` and `image` properties
      */
-    loadFile(file) {
-        if (!file.name.endsWith('.dsl') && !file.name.endsWith('.txt')) {
-            this.showError('Please select a .dsl or .txt file');
+    async loadFiles(fileList) {
+        const files = [...fileList];
+        const assets = files.filter(file => ASSET_EXTENSIONS.test(file.name));
+        const documents = files.filter(file => !assets.includes(file));
+
+        const invalid = documents.find(file => !file.name.endsWith('.dsl') && !file.name.endsWith('.txt'));
+        if (invalid) {
+            this.showError('Please select a .dsl or .txt file (or models and images)');
             return;
         }
 
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            this.elements.dslEditor.value = e.target.result;
+        if (assets.length > 0) {
+            for (const file of assets) {
+                if (this.assetFiles.has(file.name)) URL.revokeObjectURL(this.assetFiles.get(file.name));
+                this.assetFiles.set(file.name, URL.createObjectURL(file));
+            }
+            // Resetting the resolver drops assets cached under the old URLs
+            this.renderer.setAssetResolver(this.resolveAsset.bind(this));
+        }
+
+        if (documents.length === 0) {
             this.handleParse();
-        };
-        reader.onerror = () => {
+            return;
+        }
+
+        let contents;
+        try {
+            contents = await Promise.all(documents.map(file => file.text()));
+        } catch (error) {
             this.showError('Error reading file');
-        };
-        reader.readAsText(file);
+            return;
+        }
+
+        documents.forEach((file, i) => this.includeFiles.set(file.name, contents[i]));
+        this.loadFile(documents[0], contents[0]);
+    }
+
+    /**
+     * Resolve a `model` or `image` path to a dropped file, or leave it as a URL
+     * relative to the page (e.g. a file in `public/`)
+     */
+    resolveAsset(assetPath) {
+        const fileName = assetPath.split('/').pop();
+        return this.assetFiles.get(assetPath) || this.assetFiles.get(fileName) || assetPath;
+    }
+
+    /**
+     * Load file content into editor
+     */
+    loadFile(file, text) {
+        if (this.activeDiagramId) {
+            // Each opened file becomes its own workspace diagram
+            this.createDiagram(file.name.replace(/\.(dsl|txt)$/, ''), text);
+        } else {
+            this.replaceEditorText(text, `Load ${file.name}`);
+            this.handleParse();
+        }
+    }
+
+    /**
+     * Resolve an `include` path against dropped files, then workspace
+     * diagrams (by name, with or without the extension)
+     */
+    resolveInclude(includePath) {
+        const fileName = includePath.split('/').pop();
+        for (const key of [includePath, fileName]) {
+            if (this.includeFiles.has(key)) {
+                return { file: key, text: this.includeFiles.get(key) };
+            }
+        }
+
+        const baseName = fileName.replace(/\.(dsl|txt)$/, '');
+        const diagram = this.workspaceDiagrams.find(candidate =>
+            [includePath, fileName, baseName].includes(candidate.name)
+        );
+        return diagram ? { file: diagram.name, text: diagram.dsl } : null;
+    }
+
+    /**
+     * Name of the open workspace diagram (used to report include cycles)
+     */
+    getActiveDiagramName() {
+        return this.workspaceDiagrams.find(diagram => diagram.id === this.activeDiagramId)?.name || null;
     }
 
     /**
      * Handle parse button click
      */
-    async handleParse() {
+    async handleParse(options = {}) {
         const dslContent = this.elements.dslEditor.value.trim();
         
         if (!dslContent) {
+            this.showDiagnostics([]);
+            this.editor.setDiagnostics([]);
             this.showError('Please enter DSL content or load a file');
             return;
         }
@@ -183,17 +391,25 @@ class IsometricDiagramApp {
         this.hideError();
 
         try {
-            // Parse DSL
-            const diagram = this.parser.parse(dslContent);
-            
-            // Validate diagram
-            this.parser.validate(diagram);
+            // Parse and validate DSL, collecting every problem; line numbers
+            // refer to the editor text as typed
+            const file = this.getActiveDiagramName();
+            const { diagram, diagnostics } = this.parser.analyze(this.elements.dslEditor.value, { file });
+            this.showDiagnostics(diagnostics, file);
+            this.editor.setDiagnostics(diagnostics.filter(diagnostic => (diagnostic.file || null) === file));
+            if (diagnostics.some(diagnostic => diagnostic.severity === 'error')) {
+                return;
+            }
             
             // Store current diagram
             this.currentDiagram = diagram;
+            this.updateViewPicker(diagram);
+            this.updateColorByPicker(diagram);
             
             // Render diagram
-            await this.renderDiagram(diagram);
+            await this.renderDiagram(diagram, options);
+            this.updateColorLegend();
+            this.refreshInspector();
             
             // Save to localStorage
             this.saveDiagram(dslContent);
@@ -201,7 +417,7 @@ class IsometricDiagramApp {
             console.log('Diagram parsed and rendered successfully:', diagram);
             
         } catch (error) {
-            console.error('Parse error:', error);
+            console.error('Render error:', error);
             this.showError(error.message);
         } finally {
             this.showLoading(false);
@@ -209,16 +425,543 @@ class IsometricDiagramApp {
     }
 
     /**
-     * Render parsed diagram
+     * Write a component/container moved on the canvas back into the DSL text
+     */
+    handleCanvasMove(move) {
+        const { id, parent, previousParent } = move;
+        this.recordMoves(parent !== previousParent ? `Move ${id} to ${parent || 'top level'}` : `Move ${id}`, [move]);
+    }
+
+    /**
+     * Write elements moved on the canvas together (dragged, aligned or
+     * distributed) back into the DSL text as one undoable step
      */
-    async renderDiagram(diagram) {
-        return new Promise((resolve) => {
+    recordMoves(label, moves) {
+        if (moves.length === 0) return;
+        this.commitPendingTextEdit();
+
+        const textBefore = this.elements.dslEditor.value;
+        const placeBefore = () => {
+            for (const { id, from, previousParent, previousPosition } of [...moves].reverse()) {
+                this.renderer.setObjectPlacement(id, from, previousParent, previousPosition);
+            }
+        };
+
+        let textAfter = textBefore;
+        try {
+            for (const { id, parent, previousParent, position } of moves) {
+                if (parent !== previousParent) {
+                    textAfter = this.serializer.moveToContainer(textAfter, id, parent);
+                }
+                textAfter = this.serializer.setProperty(textAfter, id, 'position', position);
+            }
+        } catch (error) {
+            // Canvas and text must stay in step: put the elements back
+            console.error('Sync error:', error);
+            this.showError(error.message);
+            placeBefore();
+            return;
+        }
+
+        this.setEditorText(textAfter);
+
+        // Replaying a move restores the meshes, the model and the DSL text together
+        this.history.push({
+            label,
+            undo: () => {
+                placeBefore();
+                this.setEditorText(textBefore);
+            },
+            redo: () => {
+                for (const { id, to, parent, position } of moves) {
+                    this.renderer.setObjectPlacement(id, to, parent, position);
+                }
+                this.setEditorText(textAfter);
+            }
+        });
+    }
+
+    /**
+     * Write a change made in the inspector into the DSL text and re-render
+     * in place; an empty value removes the property
+     */
+    async handleInspectorEdit({ id, target, property, value }) {
+        const empty = value === null || value === '' || (Array.isArray(value) && value.length === 0);
+        let label = `Edit ${property} of ${id}`;
+        let edit;
+
+        if (target === 'parent') {
+            label = `Move ${id} to ${value || 'top level'}`;
+            edit = (text) => this.moveElement(text, id, value || null);
+        } else if (target === 'annotation') {
+            edit = (text) => (empty
+                ? this.serializer.removeAnnotation(text, id, property)
+                : this.serializer.setAnnotation(text, id, property, value));
+        } else {
+            edit = (text) => (empty
+                ? this.serializer.removeProperty(text, id, property)
+                : this.serializer.setProperty(text, id, property, value));
+        }
+
+        if (!await this.applyDslEdit(label, edit)) {
+            // Show the model's values again in place of the rejected change
+            this.refreshInspector();
+        }
+    }
+
+    /**
+     * Apply an edit (DSL text in, DSL text out) as one undoable step and
+     * re-render without moving the camera
+     * Resolves to whether the text changed
+     */
+    async applyDslEdit(label, edit) {
+        this.commitPendingTextEdit();
+
+        const textBefore = this.elements.dslEditor.value;
+        let textAfter;
+        try {
+            textAfter = edit(textBefore);
+        } catch (error) {
+            console.error('Sync error:', error);
+            this.showError(error.message);
+            return false;
+        }
+        if (textAfter === textBefore) return false;
+
+        this.history.push(this.createTextCommand(label, textBefore, textAfter));
+        this.setEditorText(textAfter);
+        await this.handleParse({ keepCamera: true });
+        return true;
+    }
+
+    /**
+     * Move an element to another container in DSL text, dropping its
+     * pinned position, which was relative to the old container
+     */
+    moveElement(text, id, parent) {
+        const moved = this.serializer.moveToContainer(text, id, parent);
+        return moved === text ? text : this.serializer.removeProperty(moved, id, 'position');
+    }
+
+    /**
+     * Open the context menu for what was right-clicked on the canvas
+     */
+    handleContextMenu({ target, container, position, clientX, clientY }) {
+        const diagram = this.currentDiagram;
+        if (!diagram) return;
+
+        const items = [{
+            label: container ? `Add component in ${container}` : 'Add component here',
+            action: () => this.addComponent(container, position)
+        }];
+
+        const selectedIds = this.renderer.getSelectedIds();
+        if (target?.id && selectedIds.length > 1 && selectedIds.includes(target.id)) {
+            items.push('separator', ...this.getSelectionMenuItems(selectedIds));
+        } else if (target?.type === 'relation') {
+            const relation = target.relation;
+            const name = `${relation.from} ${relation.arrow} ${relation.to}`;
+            // Relations redirected or merged by a view or collapsed container aren't lines of the DSL
+            const redirected = Boolean(relation.collapsed) || relation.count > 1;
+            const currentStyle = relation.properties?.style || 'solid';
+
+            items.push('separator', {
+                label: 'Line style',
+                disabled: redirected,
+                items: LINE_STYLES.map(style => ({
+                    label: style === currentStyle ? `✓ ${style}` : style,
+                    action: () => this.applyDslEdit(`Change style of ${name}`, (text) => {
+                        // Solid is the default, so it is written as no style at all
+                        const properties = { ...relation.properties, style };
+                        if (style === 'solid') delete properties.style;
+                        return this.serializer.replaceRelation(text, relation, { ...relation, properties });
+                    })
+                }))
+            }, 'separator', {
+                label: 'Delete relation',
+                disabled: redirected,
+                action: () => this.applyDslEdit(`Delete ${name}`, (text) => this.serializer.removeRelation(text, relation))
+            });
+        } else if (target) {
+            const { id } = target;
+            const element = diagram.components[id] || diagram.containers[id];
+            const readOnly = !element || isExternallyDefined(element);
+            const currentType = element?.properties.type || '';
+            const currentParent = element?.parent || '';
+
+            items.push(
+                { label: 'Add relation from here', action: () => this.renderer.startLinking(id) },
+                'separator',
+                { label: 'Duplicate', disabled: readOnly, action: () => this.duplicateElement(id) },
+                {
+                    label: 'Change style',
+                    disabled: readOnly,
+                    items: [['', '(none)'], ...Object.keys(diagram.styles).map(name => [name, name])].map(([type, text]) => ({
+                        label: type === currentType ? `✓ ${text}` : text,
+                        action: () => this.handleInspectorEdit({ id, target: 'property', property: 'type', value: type })
+                    }))
+                },
+                {
+                    label: 'Move to container',
+                    disabled: readOnly,
+                    items: [['', '(top level)'], ...getParentChoices(diagram, id).map(parent => [parent, parent])].map(([parent, text]) => ({
+                        label: parent === currentParent ? `✓ ${text}` : text,
+                        action: () => this.handleInspectorEdit({ id, target: 'parent', value: parent })
+                    }))
+                },
+                { label: 'Copy id', action: () => this.copyText(id) },
+                'separator',
+                { label: `Delete ${target.type}`, disabled: readOnly, action: () => this.deleteElement(id) }
+            );
+        }
+
+        this.contextMenu.show(clientX, clientY, items);
+    }
+
+    /**
+     * Context menu actions applying to several selected elements at once
+     */
+    getSelectionMenuItems(ids) {
+        const diagram = this.currentDiagram;
+        const readOnly = ids.some(id => isExternallyDefined(diagram.components[id] || diagram.containers[id]));
+
+        return [
+            {
+                label: 'Align',
+                items: ALIGN_MODES.map(([mode, text]) => ({
+                    label: text,
+                    action: () => this.recordMoves(`Align ${ids.length} elements ${mode}`, this.renderer.alignSelection(mode))
+                }))
+            },
+            {
+                label: 'Distribute',
+                disabled: ids.length < 3,
+                items: DISTRIBUTE_AXES.map(([axis, text]) => ({
+                    label: text,
+                    action: () => this.recordMoves(`Distribute ${ids.length} elements`, this.renderer.distributeSelection(axis))
+                }))
+            },
+            {
+                label: 'Change style',
+                disabled: readOnly,
+                items: [['', '(none)'], ...Object.keys(diagram.styles).map(name => [name, name])].map(([type, text]) => ({
+                    label: text,
+                    action: () => this.applyDslEdit(`Change style of ${ids.length} elements`, (text) => ids.reduce((current, id) => (type
+                        ? this.serializer.setProperty(current, id, 'type', type)
+                        : this.serializer.removeProperty(current, id, 'type')), text))
+                }))
+            },
+            'separator',
+            { label: `Delete ${ids.length} elements`, disabled: readOnly, action: () => this.deleteElements(ids) }
+        ];
+    }
+
+    /**
+     * Add a component pinned at a position (relative to its container)
+     * and select it
+     */
+    async addComponent(parent, position) {
+        let id;
+        const added = await this.applyDslEdit('Add component', (text) => {
+            id = this.serializer.getUnusedId(text, 'component');
+            const component = { id, type: 'component', properties: { label: 'New Component', position } };
+            return this.serializer.addElement(text, { components: { [id]: component } }, id, parent);
+        });
+        if (added) this.selectFromInspector({ type: 'component', id });
+    }
+
+    /**
+     * Copy an element (and what it contains) next to it and select the copy
+     */
+    async duplicateElement(id) {
+        let copyId;
+        const type = this.currentDiagram.containers[id] ? 'container' : 'component';
+        const added = await this.applyDslEdit(`Duplicate ${id}`, (text) => {
+            copyId = this.serializer.getUnusedId(text, `${id}_copy`);
+            return this.serializer.duplicateElement(text, id, copyId);
+        });
+        if (added) this.selectFromInspector({ type, id: copyId });
+    }
+
+    /**
+     * Delete an element with everything nested in it and the relations,
+     * annotations and view rules referring to them
+     */
+    deleteElement(id) {
+        return this.applyDslEdit(`Delete ${id}`, (text) => this.serializer.removeElement(text, id));
+    }
+
+    /**
+     * Delete several elements in one undoable step; elements nested in
+     * another one being deleted go with it
+     */
+    deleteElements(ids) {
+        const diagram = this.currentDiagram;
+        const selected = new Set(ids);
+        const isNested = (id) => {
+            for (let parent = diagram.components[id]?.parent || diagram.containers[id]?.parent; parent; parent = diagram.containers[parent]?.parent) {
+                if (selected.has(parent)) return true;
+            }
+            return false;
+        };
+
+        const topmost = ids.filter(id => !isNested(id));
+        return this.applyDslEdit(`Delete ${ids.length} elements`, (text) => topmost.reduce(
+            (current, id) => this.serializer.removeElement(current, id), text
+        ));
+    }
+
+    /**
+     * Add the relation drawn between two elements on the canvas, asking for
+     * its label where it was dropped, and select it
+     */
+    async handleLink({ from, to, clientX, clientY }) {
+        const relation = { from, to, arrow: '->', label: '', properties: {} };
+
+        // The ends are checked as the parser checks relations before asking
+        // for a label; the DSL text is checked again when the line is added
+        const problem = this.parser.validateRelation(this.currentDiagram, relation)[0];
+        if (problem) {
+            this.showError(problem.message);
+            return;
+        }
+
+        const label = await this.labelPrompt.open(clientX, clientY, `Label for ${from} -> ${to}`);
+        if (label === null) return;
+        relation.label = label;
+
+        if (await this.applyDslEdit(`Add relation ${from} -> ${to}`, (text) => this.serializer.addRelation(text, relation))) {
+            const added = this.currentDiagram.relations.filter(candidate => candidate.from === from && candidate.to === to).pop();
+            if (added) this.selectFromInspector({ type: 'relation', relation: added });
+        }
+    }
+
+    /**
+     * Put text on the clipboard
+     */
+    copyText(text) {
+        navigator.clipboard?.writeText(text).catch(error => this.showError(`Could not copy: ${error.message}`));
+    }
+
+    /**
+     * Select an element or relation picked in the inspector
+     */
+    selectFromInspector(selection) {
+        this.renderer.selectObject(selection.type === 'relation' ? null : selection.id);
+        this.handleSelect(selection);
+    }
+
+    /**
+     * Record a camera change (zoom, rotation, pan, reset) in history
+     */
+    handleViewChange({ before, after, coalesceKey }) {
+        this.commitPendingTextEdit();
+
+        const labels = { zoom: 'Zoom', rotate: 'Rotate view' };
+        this.history.push(createSnapshotCommand(
+            labels[coalesceKey] || 'Change view',
+            before,
+            after,
+            (state) => {
+                this.renderer.setViewState(state);
+                this.elements.zoomSlider.value = String(state.zoom);
+            },
+            coalesceKey
+        ));
+    }
+
+    /**
+     * Track typing in the editor; edits are grouped until typing pauses
+     * and pastes are recorded as their own step
+     */
+    recordTextEdit(immediate = false) {
+        clearTimeout(this.textCommitTimeout);
+
+        if (immediate) {
+            this.commitPendingTextEdit();
+        } else {
+            this.textCommitTimeout = setTimeout(() => this.commitPendingTextEdit(), 700);
+        }
+    }
+
+    /**
+     * Push any uncommitted typing onto the history stack
+     */
+    commitPendingTextEdit(label = 'Edit DSL') {
+        clearTimeout(this.textCommitTimeout);
+
+        const textAfter = this.elements.dslEditor.value;
+        if (textAfter === this.committedText) return;
+
+        this.history.push(this.createTextCommand(label, this.committedText, textAfter));
+        this.committedText = textAfter;
+    }
+
+    /**
+     * Replace the whole editor text as one undoable step
+     */
+    replaceEditorText(text, label) {
+        this.commitPendingTextEdit();
+        this.history.push(this.createTextCommand(label, this.elements.dslEditor.value, text));
+        this.setEditorText(text);
+    }
+
+    /**
+     * Create a command that swaps the editor text and re-renders
+     */
+    createTextCommand(label, textBefore, textAfter) {
+        return createSnapshotCommand(label, textBefore, textAfter, (text) => {
+            this.setEditorText(text);
+            this.handleParse({ keepCamera: true });
+        });
+    }
+
+    /**
+     * Set the editor text without recording it as typing
+     */
+    setEditorText(text) {
+        // Setting the value directly does not fire 'input', so no re-parse happens
+        this.editor.setValue(text);
+        this.committedText = text;
+        if (text.trim()) {
+            this.saveDiagram(text.trim());
+        }
+    }
+
+    /**
+     * Undo the last change
+     */
+    undo() {
+        this.commitPendingTextEdit();
+        return this.runHistoryStep(() => this.history.undo());
+    }
+
+    /**
+     * Redo the last undone change
+     */
+    redo() {
+        this.commitPendingTextEdit();
+        return this.runHistoryStep(() => this.history.redo());
+    }
+
+    /**
+     * Run undo/redo steps one after another, each once the render started
+     * before it has drawn, so an older text's render can't land over a
+     * canvas move replayed after it
+     */
+    runHistoryStep(step) {
+        this.historyQueue = this.historyQueue
+            .then(() => this.pendingRender)
+            .then(step)
+            .catch(error => console.error('History error:', error));
+        return this.historyQueue;
+    }
+
+    /**
+     * List the diagram's views in the view picker, falling back to all
+     * elements when the selected view is gone
+     */
+    updateViewPicker(diagram) {
+        const select = this.elements.viewSelect;
+        const selected = diagram.views[select.value] ? select.value : '';
+
+        select.innerHTML = '';
+        select.add(new Option('All elements', ''));
+        for (const view of Object.values(diagram.views)) {
+            select.add(new Option(view.label, view.id));
+        }
+
+        select.value = selected;
+        select.disabled = select.options.length === 1;
+        this.renderer.setDiagramView(selected);
+    }
+
+    /**
+     * Offer coloring by tag and by every meta key of the diagram, falling
+     * back to style colors when the selected key is gone
+     */
+    updateColorByPicker(diagram) {
+        const select = this.elements.colorBySelect;
+        const options = [['Style', ''], ['Tag', 'tag'], ...getMetaKeys(diagram).map(key => [`Meta: ${key}`, `meta.${key}`])];
+        const selected = options.some(([, value]) => value === select.value) ? select.value : '';
+
+        select.innerHTML = '';
+        for (const [label, value] of options) {
+            select.add(new Option(label, value));
+        }
+
+        select.value = selected;
+        this.renderer.setColorBy(selected);
+    }
+
+    /**
+     * List the colors of the values elements are colored by
+     */
+    updateColorLegend() {
+        const legend = this.elements.colorLegend;
+        legend.innerHTML = '';
+
+        for (const [value, color] of this.renderer.colorScale || []) {
+            const entry = document.createElement('span');
+            entry.style.setProperty('--swatch', color);
+            entry.textContent = value;
+            legend.appendChild(entry);
+        }
+    }
+
+    /**
+     * Show the selected element or relation in the inspector
+     */
+    handleSelect(selection) {
+        // Elements are shown from the full model, which holds their source
+        const diagram = this.currentDiagram;
+        const find = id => diagram?.components[id] || diagram?.containers[id];
+        let item;
+        if (selection?.type === 'relation') {
+            item = selection.relation;
+        } else if (selection?.type === 'multiple') {
+            item = selection.ids.map(find).filter(Boolean);
+        } else {
+            item = find(selection?.id);
+        }
+        this.inspector.show(selection, item, diagram);
+    }
+
+    /**
+     * Show the inspected element again after a re-render, or close the
+     * inspector when it is gone
+     */
+    refreshInspector() {
+        const selection = this.inspector.selection;
+        if (!selection) return;
+
+        if (selection.type === 'relation') {
+            const { from, to, label } = selection.relation;
+            const matches = candidate => candidate.from === from && candidate.to === to && candidate.label === label;
+            const relation = this.renderer.currentDiagram?.relations.find(matches) || this.currentDiagram?.relations.find(matches);
+            this.handleSelect(relation ? { type: 'relation', relation } : null);
+        } else if (selection.type === 'multiple') {
+            this.renderer.setSelection(selection.ids);
+            this.renderer.emitSelection();
+        } else {
+            const shown = Boolean(this.renderer.getObjectData(selection.id));
+            this.renderer.selectObject(shown ? selection.id : null);
+            this.handleSelect(shown ? selection : null);
+        }
+    }
+
+    /**
+     * Render parsed diagram (`options.keepCamera` leaves the camera as it is)
+     */
+    async renderDiagram(diagram, options = {}) {
+        this.pendingRender = new Promise((resolve) => {
             // Small delay to show loading
             setTimeout(() => {
-                this.renderer.render(diagram);
+                this.renderer.render(diagram, options);
                 resolve();
             }, 100);
         });
+        return this.pendingRender;
     }
 
     /**
@@ -233,7 +976,36 @@ class IsometricDiagramApp {
         
         // Escape to clear selection
         if (e.key === 'Escape') {
-            this.renderer.selectedObject = null;
+            this.renderer.selectObject(null);
+            this.inspector.hide();
+        }
+
+        // Delete (or Backspace) removes the selected elements, unless typing
+        const typing = ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName) || e.target.isContentEditable;
+        if ((e.key === 'Delete' || e.key === 'Backspace') && !typing) {
+            const ids = this.renderer.getSelectedIds();
+            if (ids.length > 0) {
+                e.preventDefault();
+                this.deleteElements(ids);
+            }
+        }
+        
+        // Ctrl+Z to undo, Ctrl+Shift+Z (or Ctrl+Y) to redo - replaces the
+        // textarea's own undo so text and canvas changes share one history;
+        // other fields (inspector, prompts, search) keep their native undo
+        const ownsUndo = e.target === this.elements.dslEditor || !typing;
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z' && ownsUndo) {
+            e.preventDefault();
+            if (e.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+        }
+        
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'y' && ownsUndo) {
+            e.preventDefault();
+            this.redo();
         }
         
         // Ctrl+S to save (export)
@@ -256,6 +1028,54 @@ class IsometricDiagramApp {
         }, 5000);
     }
 
+    /**
+     * List parser diagnostics under the editor until the next parse
+     */
+    showDiagnostics(diagnostics, file = null) {
+        const list = this.elements.diagnosticsList;
+        list.innerHTML = '';
+        list.style.display = diagnostics.length > 0 ? 'block' : 'none';
+
+        for (const diagnostic of diagnostics) {
+            const item = document.createElement('li');
+            item.className = `diagnostic ${diagnostic.severity}`;
+
+            const location = document.createElement('span');
+            location.className = 'diagnostic-location';
+            const inEditor = (diagnostic.file || null) === file;
+            location.textContent = diagnostic.line ? `${diagnostic.line}:${diagnostic.column}` : '—';
+            if (!inEditor) {
+                location.textContent = `${diagnostic.file}:${location.textContent}`;
+            }
+
+            const message = document.createElement('span');
+            message.textContent = `${diagnostic.severity === 'error' ? '❌' : '⚠️'} ${diagnostic.message}`;
+
+            item.title = diagnostic.code;
+            item.append(location, message);
+            if (diagnostic.line && inEditor) {
+                item.addEventListener('click', () => this.selectEditorRange(diagnostic));
+            }
+            list.appendChild(item);
+        }
+    }
+
+    /**
+     * Select a line/column range in the editor
+     */
+    selectEditorRange({ line, column, endColumn }) {
+        const editor = this.elements.dslEditor;
+        const lines = editor.value.split('\n');
+
+        let lineStart = 0;
+        for (let i = 0; i < line - 1 && i < lines.length; i++) {
+            lineStart += lines[i].length + 1;
+        }
+
+        editor.focus();
+        editor.setSelectionRange(lineStart + column - 1, lineStart + endColumn - 1);
+    }
+
     /**
      * Hide error message
      */
@@ -272,15 +1092,239 @@ class IsometricDiagramApp {
     }
 
     /**
-     * Save diagram to localStorage
+     * Save diagram to the open workspace diagram
+     * (localStorage when IndexedDB is unavailable)
      */
     saveDiagram(dslContent) {
+        if (!this.activeDiagramId) {
+            try {
+                localStorage.setItem('isometric-diagram-dsl', dslContent);
+                localStorage.setItem('isometric-diagram-timestamp', Date.now().toString());
+            } catch (error) {
+                console.warn('Could not save to localStorage:', error);
+            }
+            return;
+        }
+
+        const id = this.activeDiagramId;
+        this.queueWorkspaceWrite(() => this.workspace.save(id, dslContent));
+        this.scheduleThumbnail();
+    }
+
+    /**
+     * Run workspace writes one after another and refresh the listing
+     */
+    queueWorkspaceWrite(write) {
+        this.saveQueue = this.saveQueue
+            .then(write)
+            .then(updated => {
+                if (!updated) return;
+                const index = this.workspaceDiagrams.findIndex(diagram => diagram.id === updated.id);
+                if (index !== -1) this.workspaceDiagrams[index] = updated;
+                this.renderDiagramList();
+            })
+            .catch(error => console.warn('Could not save diagram:', error));
+        return this.saveQueue;
+    }
+
+    /**
+     * Capture a thumbnail of the open diagram once rendering settles
+     */
+    scheduleThumbnail() {
+        clearTimeout(this.thumbnailTimeout);
+        const id = this.activeDiagramId;
+
+        this.thumbnailTimeout = setTimeout(() => {
+            if (id !== this.activeDiagramId) return;
+            const thumbnail = this.renderer.createThumbnail();
+            if (thumbnail) {
+                this.queueWorkspaceWrite(() => this.workspace.setThumbnail(id, thumbnail));
+            }
+        }, 1500);
+    }
+
+    /**
+     * Open the workspace (migrating the old localStorage diagram) and
+     * show the diagram that was open last
+     * Falls back to the single localStorage diagram without IndexedDB
+     */
+    async initializeWorkspace() {
         try {
-            localStorage.setItem('isometric-diagram-dsl', dslContent);
-            localStorage.setItem('isometric-diagram-timestamp', Date.now().toString());
+            await this.workspace.open();
+            await this.workspace.migrateLegacyStorage();
+
+            let diagrams = await this.workspace.list();
+            if (diagrams.length === 0) {
+                await this.workspace.create({ name: 'Sample diagram', dsl: this.elements.dslEditor.value });
+                diagrams = await this.workspace.list();
+            }
+
+            const activeId = this.workspace.getActiveId();
+            const active = diagrams.find(diagram => diagram.id === activeId) || diagrams[0];
+            this.workspaceDiagrams = diagrams;
+            await this.openDiagram(active.id);
+            return true;
         } catch (error) {
-            console.warn('Could not save to localStorage:', error);
+            console.warn('Workspace unavailable, using localStorage:', error);
+            this.elements.workspacePanel.style.display = 'none';
+            return this.loadSavedDiagram();
+        }
+    }
+
+    /**
+     * Switch the editor and canvas to a workspace diagram
+     */
+    async openDiagram(id) {
+        this.commitPendingTextEdit();
+        clearTimeout(this.thumbnailTimeout);
+        await this.saveQueue;
+
+        const diagram = await this.workspace.get(id);
+        if (!diagram) {
+            this.showError(`Diagram '${id}' no longer exists`);
+            return;
+        }
+
+        this.activeDiagramId = diagram.id;
+        this.workspace.setActiveId(diagram.id);
+
+        // History belongs to a single diagram
+        this.editor.setValue(diagram.dsl);
+        this.committedText = diagram.dsl;
+        this.history.clear();
+        this.renderDiagramList();
+
+        if (diagram.dsl.trim()) {
+            await this.handleParse();
+        } else {
+            this.renderer.clear();
+            this.currentDiagram = null;
+        }
+    }
+
+    /**
+     * Create a workspace diagram and open it
+     */
+    async createDiagram(name = 'Untitled diagram', dsl = 'layout direction=LR ranksep=60 nodesep=40\n') {
+        try {
+            const diagram = await this.workspace.create({ name, dsl });
+            this.workspaceDiagrams = await this.workspace.list();
+            await this.openDiagram(diagram.id);
+        } catch (error) {
+            this.showError(`Could not create diagram: ${error.message}`);
+        }
+    }
+
+    /**
+     * Copy the open diagram and open the copy
+     */
+    async duplicateDiagram() {
+        if (!this.activeDiagramId) return;
+
+        try {
+            this.commitPendingTextEdit();
+            await this.queueWorkspaceWrite(() => this.workspace.save(this.activeDiagramId, this.elements.dslEditor.value));
+            const copy = await this.workspace.duplicate(this.activeDiagramId);
+            this.workspaceDiagrams = await this.workspace.list();
+            await this.openDiagram(copy.id);
+        } catch (error) {
+            this.showError(`Could not duplicate diagram: ${error.message}`);
+        }
+    }
+
+    /**
+     * Rename the open diagram
+     */
+    async renameDiagram() {
+        const current = this.workspaceDiagrams.find(diagram => diagram.id === this.activeDiagramId);
+        if (!current) return;
+
+        const name = window.prompt('Diagram name:', current.name);
+        if (name === null || name.trim() === current.name) return;
+
+        try {
+            await this.saveQueue;
+            const updated = await this.workspace.rename(current.id, name);
+            this.workspaceDiagrams = this.workspaceDiagrams.map(diagram => diagram.id === updated.id ? updated : diagram);
+            this.renderDiagramList();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Delete the open diagram and open the next most recent one
+     */
+    async deleteDiagram() {
+        const current = this.workspaceDiagrams.find(diagram => diagram.id === this.activeDiagramId);
+        if (!current || !window.confirm(`Delete "${current.name}"? This cannot be undone.`)) return;
+
+        try {
+            clearTimeout(this.thumbnailTimeout);
+            await this.saveQueue;
+            await this.workspace.delete(current.id);
+            this.activeDiagramId = null;
+            this.workspaceDiagrams = await this.workspace.list();
+
+            if (this.workspaceDiagrams.length > 0) {
+                await this.openDiagram(this.workspaceDiagrams[0].id);
+            } else {
+                await this.createDiagram();
+            }
+        } catch (error) {
+            this.showError(`Could not delete diagram: ${error.message}`);
+        }
+    }
+
+    /**
+     * Render the workspace diagram list
+     */
+    renderDiagramList() {
+        const list = this.elements.diagramList;
+        list.innerHTML = '';
+
+        const diagrams = [...this.workspaceDiagrams].sort((a, b) => b.updatedAt - a.updatedAt);
+        for (const diagram of diagrams) {
+            const item = document.createElement('li');
+            item.className = 'diagram-item' + (diagram.id === this.activeDiagramId ? ' active' : '');
+            item.title = diagram.name;
+
+            const thumbnail = document.createElement('div');
+            thumbnail.className = 'diagram-thumbnail';
+            if (diagram.thumbnail) {
+                thumbnail.style.backgroundImage = `url(${diagram.thumbnail})`;
+            }
+
+            const info = document.createElement('div');
+            info.className = 'diagram-info';
+            const name = document.createElement('div');
+            name.className = 'diagram-name';
+            name.textContent = diagram.name;
+            const modified = document.createElement('div');
+            modified.className = 'diagram-modified';
+            modified.textContent = this.formatModified(diagram.updatedAt);
+            info.append(name, modified);
+
+            item.append(thumbnail, info);
+            item.addEventListener('click', () => {
+                if (diagram.id !== this.activeDiagramId) this.openDiagram(diagram.id);
+            });
+            item.addEventListener('dblclick', () => {
+                if (diagram.id === this.activeDiagramId) this.renameDiagram();
+            });
+            list.appendChild(item);
+        }
+    }
+
+    /**
+     * Format a last-modified timestamp for the diagram list
+     */
+    formatModified(timestamp) {
+        const date = new Date(timestamp);
+        if (date.toDateString() === new Date().toDateString()) {
+            return `Today, ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
         }
+        return date.toLocaleDateString([], { year: 'numeric', month: 'short', day: 'numeric' });
     }
 
     /**
@@ -290,7 +1334,8 @@ class IsometricDiagramApp {
         try {
             const savedDsl = localStorage.getItem('isometric-diagram-dsl');
             if (savedDsl) {
-                this.elements.dslEditor.value = savedDsl;
+                this.editor.setValue(savedDsl);
+                this.committedText = savedDsl;
                 this.handleParse();
                 return true;
             }
@@ -472,11 +1517,11 @@ annotation s3 {
 };
 
 // Initialize app when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     const app = new IsometricDiagramApp();
     
-    // Try to load saved diagram, otherwise show sample
-    if (!app.loadSavedDiagram()) {
+    // Open the last workspace diagram, otherwise show sample
+    if (!(await app.initializeWorkspace())) {
         // Load sample DSL and render it
         setTimeout(() => {
             app.handleParse();
@@ -0,0 +1,101 @@
+/**
+ * Tags and Metadata
+ * The `tags` and `meta` properties of components, containers and relations,
+ * used for searching and for coloring elements by a tag or meta value
+ */
+
+// Colors given to tag or meta values, in order of the sorted values
+export const CATEGORY_COLORS = [
+    '#2196f3', '#ff9800', '#4caf50', '#e91e63', '#9c27b0',
+    '#00bcd4', '#ffc107', '#795548', '#3f51b5', '#8bc34a'
+];
+
+// Color of elements without the value colored by
+export const UNCATEGORIZED_COLOR = '#9e9e9e';
+
+/**
+ * Split a tag list written as words, commas or a quoted string
+ */
+export function parseTagList(text) {
+    return String(text).split(/[\s,]+/).filter(Boolean);
+}
+
+/**
+ * Tags of an element or relation
+ */
+export function getTags(item) {
+    return item?.properties?.tags || [];
+}
+
+/**
+ * Meta entries (key -> value) of an element or relation
+ */
+export function getMeta(item) {
+    return item?.properties?.meta || {};
+}
+
+/**
+ * Every meta key used in a diagram, sorted
+ */
+export function getMetaKeys(diagram) {
+    const keys = new Set();
+    const items = [...Object.values(diagram.components), ...Object.values(diagram.containers), ...diagram.relations];
+    for (const item of items) {
+        Object.keys(getMeta(item)).forEach(key => keys.add(key));
+    }
+    return [...keys].sort();
+}
+
+/**
+ * Value an element is colored by: its first tag for 'tag', the meta
+ * value for 'meta.<key>'
+ */
+export function getColorValue(item, colorBy) {
+    if (colorBy === 'tag') return getTags(item)[0] ?? null;
+    if (colorBy?.startsWith('meta.')) return getMeta(item)[colorBy.slice(5)] ?? null;
+    return null;
+}
+
+/**
+ * Colors for the values the diagram's elements are colored by (value -> color)
+ */
+export function createColorScale(diagram, colorBy) {
+    const values = new Set();
+    for (const element of [...Object.values(diagram.components), ...Object.values(diagram.containers)]) {
+        const value = getColorValue(element, colorBy);
+        if (value !== null) values.add(String(value));
+    }
+
+    const scale = new Map();
+    [...values].sort().forEach((value, i) => scale.set(value, CATEGORY_COLORS[i % CATEGORY_COLORS.length]));
+    return scale;
+}
+
+/**
+ * Whether an element or relation matches a search query
+ * Every word must match: `key:value` words match a tag (`tag:`), the
+ * id, label or style (`id:`, `label:`, `type:`) or a meta entry; other
+ * words match any of them. Matching ignores case and accepts substrings
+ */
+export function matchesSearch(item, query) {
+    if (!item) return false;
+
+    const meta = getMeta(item);
+    const fields = {
+        id: [item.id ?? `${item.from} ${item.to}`],
+        label: [item.properties?.label ?? item.label],
+        type: [item.properties?.type],
+        tag: getTags(item),
+        ...Object.fromEntries(Object.entries(meta).map(([key, value]) => [key.toLowerCase(), [value]]))
+    };
+    const contains = (values, text) => values.some(value => value !== undefined && value !== null && String(value).toLowerCase().includes(text));
+
+    return query.toLowerCase().split(/\s+/).filter(Boolean).every(word => {
+        const separator = word.indexOf(':');
+        if (separator > 0) {
+            const key = word.slice(0, separator);
+            return contains(fields[key] || [], word.slice(separator + 1));
+        }
+        return Object.values(fields).some(values => contains(values, word));
+    });
+}
@@ -3,24 +3,79 @@
  * Parses the custom DSL syntax into a structured diagram model
  */
 
+import { FLOOR_PATTERNS, LABEL_POSITIONS, findExtendCycle } from './styles.js';
+import { THEME_NAMES } from './themes.js';
+import { VIEW_SELECTORS } from './views.js';
+import { parseTagList } from './metadata.js';
+
+export const KEYWORDS = ['layout', 'theme', 'style', 'component', 'container', 'relation', 'annotation', 'view', 'include'];
+export const PROPERTIES = [
+    'direction', 'ranksep', 'nodesep', 'icon', 'color', 'shape', 'model', 'label', 'type', 'image', 'tooltip', 'link',
+    'position', 'rank', 'order', 'extend', 'opacity', 'bordercolor', 'floor', 'labelposition', 'collapsed',
+    'tags', 'meta'
+];
+export const DIRECTIONS = ['TB', 'BT', 'LR', 'RL'];
+
+// Relation arrows: directed, bidirectional, undirected and async (dashed)
+export const ARROWS = ['->', '<->', '--', '..>'];
+export const RELATION_PROPERTIES = ['color', 'width', 'style', 'protocol', 'flow', 'flowcolor', 'flowspeed', 'tags'];
+export const LINE_STYLES = ['solid', 'dashed', 'dotted'];
+
+/**
+ * Whether an element, relation or annotation source comes from an included
+ * file, and so can't be edited in the document's own text
+ */
+export function isExternallyDefined(item) {
+    return Boolean(item?.source?.file);
+}
+
+/**
+ * Error thrown by parse()/validate(), carrying every diagnostic found
+ */
+export class DSLError extends Error {
+    constructor(message, diagnostics = []) {
+        super(message);
+        this.name = 'DSLError';
+        this.diagnostics = diagnostics;
+    }
+}
+
 export class DSLParser {
-    constructor() {
+    constructor(options = {}) {
         this.tokens = [];
         this.position = 0;
         this.currentToken = null;
+        this.diagnostics = [];
+        this.annotationSources = {};
+        this.styleSources = {};
+
+        // Includes: resolveInclude(path, fromFile) returns { file, text } or null
+        this.resolveInclude = options.resolveInclude || null;
+        this.file = null;
+        this.sourceFile = null;
+        this.includeStack = [];
+        this.includedFiles = new Set();
+        this.layoutToken = null;
+        this.themeToken = null;
     }
 
     /**
      * Tokenize the input DSL string
+     * Tokens carry their line/column and absolute offsets into the input
      */
     tokenize(input) {
-        const tokenRegex = /(->|\w+|"[^"]*"|[{}:=]|#[0-9A-Fa-f]{6}|[^\s{}:">=\-]+)/g;
+        const tokenRegex = /(<->|->|--|\.\.>|-?\d+(?:\.\d+)?(?![\w])|\w+(?:\.\w+)*|"[^"]*"|[{}:=]|#[0-9A-Fa-f]{6}|[^\s{}:">=\-]+)/g;
         const lines = input.split('\n');
         this.tokens = [];
 
+        let lineOffset = 0;
         for (let lineNum = 0; lineNum < lines.length; lineNum++) {
-            const line = lines[lineNum].trim();
-            if (line === '' || line.startsWith('//')) continue;
+            const line = lines[lineNum];
+            const currentOffset = lineOffset;
+            lineOffset += line.length + 1;
+
+            const trimmed = line.trim();
+            if (trimmed === '' || trimmed.startsWith('//')) continue;
 
             let match;
             tokenRegex.lastIndex = 0; // Reset regex state
@@ -32,7 +87,9 @@ export class DSLParser {
                     type,
                     value: value.replace(/^"|"$/g, ''), // Remove quotes from strings
                     line: lineNum + 1,
-                    column: match.index + 1
+                    column: match.index + 1,
+                    offset: currentOffset + match.index,
+                    endOffset: currentOffset + match.index + value.length
                 });
             }
         }
@@ -44,47 +101,93 @@ export class DSLParser {
      * Determine token type based on value
      */
     getTokenType(value) {
-        const keywords = ['layout', 'style', 'component', 'container', 'relation', 'annotation'];
-        const properties = ['direction', 'ranksep', 'nodesep', 'icon', 'color', 'shape', 'label', 'type', 'image', 'tooltip', 'link'];
-        
-        if (keywords.includes(value)) return 'KEYWORD';
-        if (properties.includes(value)) return 'PROPERTY';
+        if (KEYWORDS.includes(value)) return 'KEYWORD';
+        if (PROPERTIES.includes(value)) return 'PROPERTY';
         if (value === '{') return 'LBRACE';
         if (value === '}') return 'RBRACE';
         if (value === ':') return 'COLON';
-        if (value === '->') return 'ARROW';
+        if (ARROWS.includes(value)) return 'ARROW';
         if (value === '=') return 'EQUALS';
         if (value.startsWith('#') && value.length === 7) return 'COLOR';
         if (value.startsWith('"') && value.endsWith('"')) return 'STRING';
-        if (/^\d+$/.test(value)) return 'NUMBER';
-        if (/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(value)) return 'IDENTIFIER';
+        if (/^-?\d+(\.\d+)?$/.test(value)) return 'NUMBER';
+        // Dotted ids refer to elements of namespaced includes
+        if (/^[a-zA-Z_][a-zA-Z0-9_]*(\.[a-zA-Z_][a-zA-Z0-9_]*)*$/.test(value)) return 'IDENTIFIER';
         
         return 'UNKNOWN';
     }
 
     /**
      * Parse the tokenized input into a diagram model
+     * Throws a DSLError when the input has syntax errors; warnings are
+     * left in `this.diagnostics`
      */
-    parse(input) {
+    parse(input, options = {}) {
+        const diagram = this.parseWithRecovery(input, options);
+
+        const errors = this.diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+        if (errors.length > 0) {
+            const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+            throw new DSLError(`Parse error at line ${errors[0].line}: ${errors[0].message}${more}`, this.diagnostics);
+        }
+
+        return diagram;
+    }
+
+    /**
+     * Parse and validate without throwing
+     * Returns the (possibly partial) diagram and every diagnostic, sorted by position
+     */
+    analyze(input, options = {}) {
+        const diagram = this.parseWithRecovery(input, options);
+        // The input's own diagnostics come first, then those of included files
+        const fileRank = (diagnostic) => ((diagnostic.file || null) === this.file ? '' : diagnostic.file);
+        const diagnostics = [...this.diagnostics, ...this.getValidationDiagnostics(diagram)]
+            .sort((a, b) => fileRank(a).localeCompare(fileRank(b)) || a.line - b.line || a.column - b.column);
+
+        return { diagram, diagnostics };
+    }
+
+    /**
+     * Parse every statement, recording problems as diagnostics and
+     * resuming at the next statement after an error
+     * `options.file` names the input for diagnostics and relative includes;
+     * `options.included` marks the text of an included file
+     */
+    parseWithRecovery(input, options = {}) {
         this.tokenize(input);
         this.position = 0;
         this.currentToken = this.tokens[0];
+        this.diagnostics = [];
+        this.annotationSources = {};
+        this.styleSources = {};
+        this.file = options.file || null;
+        // Only included files are recorded in sources: elements with a
+        // `source.file` are defined outside the document being edited
+        this.sourceFile = options.included ? this.file : null;
+        this.includeStack = options.includeStack || (this.file ? [this.file] : []);
+        this.includedFiles = options.includedFiles || new Set();
+        this.layoutToken = null;
+        this.themeToken = null;
 
         const diagram = {
             layout: { direction: 'TB', ranksep: 50, nodesep: 30 },
+            theme: null,
             styles: {},
             components: {},
             containers: {},
             relations: [],
-            annotations: {}
+            annotations: {},
+            views: {}
         };
 
-        try {
-            while (this.currentToken) {
+        while (this.currentToken) {
+            const statementToken = this.currentToken;
+            try {
                 this.parseStatement(diagram);
+            } catch (error) {
+                this.recover(error, statementToken);
             }
-        } catch (error) {
-            throw new Error(`Parse error at line ${this.currentToken?.line || 'EOF'}: ${error.message}`);
         }
 
         return diagram;
@@ -100,6 +203,9 @@ export class DSLParser {
             case 'layout':
                 this.parseLayout(diagram);
                 break;
+            case 'theme':
+                this.parseTheme(diagram);
+                break;
             case 'style':
                 this.parseStyle(diagram);
                 break;
@@ -115,8 +221,18 @@ export class DSLParser {
             case 'annotation':
                 this.parseAnnotation(diagram);
                 break;
+            case 'view':
+                this.parseView(diagram);
+                break;
+            case 'include':
+                this.parseInclude(diagram);
+                break;
             default:
-                throw new Error(`Unexpected token: ${this.currentToken.value}`);
+                throw this.createError(
+                    `Unexpected token: ${this.currentToken.value}${this.formatSuggestion(this.currentToken.value, KEYWORDS)}`,
+                    this.currentToken,
+                    'unexpected-token'
+                );
         }
     }
 
@@ -124,47 +240,113 @@ export class DSLParser {
      * Parse layout statement
      */
     parseLayout(diagram) {
+        const layoutToken = this.currentToken;
+        this.layoutToken = layoutToken;
         this.consume('KEYWORD'); // layout
         
-        while (this.currentToken && this.currentToken.type === 'PROPERTY') {
+        while (this.isInlineProperty(layoutToken, ['direction', 'ranksep', 'nodesep'])) {
             const property = this.currentToken.value;
-            this.consume('PROPERTY');
+            this.consume();
             this.consume('EQUALS');
             
-            const value = this.currentToken.value;
+            const valueToken = this.currentToken;
+            const value = valueToken?.value;
             this.consume(); // consume value
             
             if (property === 'direction') {
+                if (!DIRECTIONS.includes(value)) {
+                    this.warn(`Unknown direction '${value}', expected one of ${DIRECTIONS.join(', ')}${this.formatSuggestion(value, DIRECTIONS)}`, valueToken, 'invalid-value');
+                    continue;
+                }
                 diagram.layout.direction = value;
-            } else if (property === 'ranksep') {
-                diagram.layout.ranksep = parseInt(value);
-            } else if (property === 'nodesep') {
-                diagram.layout.nodesep = parseInt(value);
+            } else {
+                // Spacings are distances: a bad one keeps the default
+                const spacing = Number(value);
+                if (valueToken?.type !== 'NUMBER' || !Number.isFinite(spacing) || spacing < 0) {
+                    this.warn(`Invalid ${property} '${value ?? ''}', expected a non-negative number`, valueToken, 'invalid-value');
+                    continue;
+                }
+                diagram.layout[property] = spacing;
             }
         }
+
+        this.warnIgnoredRestOfLine(layoutToken);
+    }
+
+    /**
+     * Parse theme statement: theme <name>
+     */
+    parseTheme(diagram) {
+        const themeToken = this.currentToken;
+        this.themeToken = themeToken;
+        this.consume('KEYWORD'); // theme
+
+        const nameToken = this.currentToken;
+        if (nameToken && nameToken.line === themeToken.line && nameToken.type === 'IDENTIFIER') {
+            this.consume();
+            if (THEME_NAMES.includes(nameToken.value)) {
+                diagram.theme = nameToken.value;
+            } else {
+                this.warn(`Unknown theme '${nameToken.value}', expected one of ${THEME_NAMES.join(', ')}${this.formatSuggestion(nameToken.value, THEME_NAMES)}`, nameToken, 'invalid-value');
+            }
+        } else {
+            this.warn(`Expected a theme name (${THEME_NAMES.join(', ')})`, themeToken, 'invalid-value');
+        }
+
+        this.warnIgnoredRestOfLine(themeToken);
+    }
+
+    /**
+     * Whether the current token starts a `name=value` pair of a layout/style
+     * statement (`known` lists the accepted names, null accepts any property)
+     * Unknown names on the statement's line are warned about and still consumed
+     */
+    isInlineProperty(statementToken, known = null) {
+        const token = this.currentToken;
+        if (!token || this.tokens[this.position + 1]?.type !== 'EQUALS') return false;
+        if (token.type === 'PROPERTY' && (!known || known.includes(token.value))) return true;
+
+        if (token.line !== statementToken.line || (token.type !== 'IDENTIFIER' && token.type !== 'PROPERTY')) {
+            return false;
+        }
+        this.warn(
+            `Unknown ${statementToken.value} property '${token.value}'${this.formatSuggestion(token.value, known || PROPERTIES)}`,
+            token,
+            'unknown-property'
+        );
+        return true;
     }
 
     /**
      * Parse style definition
      */
     parseStyle(diagram) {
+        const styleToken = this.currentToken;
         this.consume('KEYWORD'); // style
-        const styleName = this.currentToken.value;
+        const styleName = this.currentToken?.value;
         this.consume('IDENTIFIER');
 
         const style = {};
         
-        while (this.currentToken && this.currentToken.type === 'PROPERTY') {
+        while (this.isInlineProperty(styleToken)) {
             const property = this.currentToken.value;
-            this.consume('PROPERTY');
+            const known = this.currentToken.type === 'PROPERTY';
+            this.consume();
             this.consume('EQUALS');
             
-            const value = this.currentToken.value;
+            const valueToken = this.currentToken;
+            const value = valueToken?.value;
             this.consume();
             
-            style[property] = value;
+            if (known && this.checkStyleValue(property, valueToken)) {
+                style[property] = property === 'opacity' ? parseFloat(value) : value;
+                if (property === 'extend') {
+                    this.styleSources[styleName] = { extend: this.getLocation(valueToken) };
+                }
+            }
         }
 
+        this.warnIgnoredRestOfLine(styleToken);
         diagram.styles[styleName] = style;
     }
 
@@ -172,33 +354,29 @@ export class DSLParser {
      * Parse component definition
      */
     parseComponent(diagram, parentContainer = null) {
+        const startToken = this.currentToken;
         this.consume('KEYWORD'); // component
-        const componentId = this.currentToken.value;
-        this.consume('IDENTIFIER');
+        const idToken = this.currentToken;
+        const componentId = idToken?.value;
+        this.consumeId();
         this.consume('LBRACE');
+        this.warnDuplicateId(diagram, idToken);
 
         const component = {
             id: componentId,
             type: 'component',
             properties: {},
-            parent: parentContainer
+            parent: parentContainer,
+            source: { file: this.sourceFile, start: startToken.offset, end: null, properties: {}, id: this.getLocation(idToken) }
         };
 
-        while (this.currentToken && this.currentToken.type !== 'RBRACE') {
+        this.parseBlockBody(component, startToken, [], () => {
             if (this.currentToken.type === 'PROPERTY') {
-                const property = this.currentToken.value;
-                this.consume('PROPERTY');
-                
-                const value = this.currentToken.value;
-                this.consume();
-                
-                component.properties[property] = value;
+                this.parseBlockProperty(component);
             } else {
-                this.consume(); // skip unknown tokens
+                this.skipUnknownMember(component);
             }
-        }
-
-        this.consume('RBRACE');
+        });
 
         if (parentContainer) {
             // Ensure parent container exists
@@ -218,41 +396,37 @@ export class DSLParser {
      * Parse container definition
      */
     parseContainer(diagram, parentContainer = null) {
+        const startToken = this.currentToken;
         this.consume('KEYWORD'); // container
-        const containerId = this.currentToken.value;
-        this.consume('IDENTIFIER');
+        const idToken = this.currentToken;
+        const containerId = idToken?.value;
+        this.consumeId();
         this.consume('LBRACE');
+        this.warnDuplicateId(diagram, idToken);
 
         const container = {
             id: containerId,
             type: 'container',
             properties: {},
             children: [],
-            parent: parentContainer
+            parent: parentContainer,
+            source: { file: this.sourceFile, start: startToken.offset, end: null, properties: {}, id: this.getLocation(idToken) }
         };
 
         // Add container to diagram immediately so child components can reference it
         diagram.containers[containerId] = container;
 
-        while (this.currentToken && this.currentToken.type !== 'RBRACE') {
+        this.parseBlockBody(container, startToken, ['component', 'container'], () => {
             if (this.currentToken.type === 'PROPERTY') {
-                const property = this.currentToken.value;
-                this.consume('PROPERTY');
-                
-                const value = this.currentToken.value;
-                this.consume();
-                
-                container.properties[property] = value;
+                this.parseBlockProperty(container);
             } else if (this.currentToken.value === 'component') {
                 this.parseComponent(diagram, containerId);
             } else if (this.currentToken.value === 'container') {
                 this.parseContainer(diagram, containerId);
             } else {
-                this.consume(); // skip unknown tokens
+                this.skipUnknownMember(container);
             }
-        }
-
-        this.consume('RBRACE');
+        });
 
         if (parentContainer) {
             // Ensure parent container exists and has children array
@@ -267,58 +441,534 @@ export class DSLParser {
     }
 
     /**
-     * Parse relation statement
+     * Parse the members of a `{ ... }` block up to and including its closing brace
+     * Errors in one member are recorded and parsing resumes with the next;
+     * a top-level keyword at the start of a line (other than `nested`
+     * keywords) means the closing brace is missing
+     */
+    parseBlockBody(element, startToken, nested, parseMember) {
+        while (this.currentToken && this.currentToken.type !== 'RBRACE') {
+            const memberToken = this.currentToken;
+
+            if (memberToken.type === 'KEYWORD' && !nested.includes(memberToken.value) && this.isFirstOnLine()) {
+                break;
+            }
+
+            try {
+                parseMember();
+            } catch (error) {
+                this.recover(error, memberToken);
+            }
+        }
+
+        if (this.currentToken?.type !== 'RBRACE') {
+            this.diagnostics.push(this.createDiagnostic(
+                'error',
+                `Missing '}' to close ${element.type} '${element.id}'`,
+                startToken,
+                'unclosed-block'
+            ));
+            element.source.end = this.tokens[this.position - 1].endOffset;
+            return;
+        }
+
+        element.source.end = this.currentToken.endOffset;
+        this.consume('RBRACE');
+    }
+
+    /**
+     * Parse a property inside a component or container block,
+     * recording where it sits in the source
+     */
+    parseBlockProperty(element) {
+        const propertyToken = this.currentToken;
+        const property = propertyToken.value;
+        this.consume('PROPERTY');
+
+        // Block properties may be written as `name value` or `name=value`
+        if (this.currentToken?.type === 'EQUALS') {
+            this.consume('EQUALS');
+        }
+        this.expectValue(propertyToken, `Property '${property}' of '${element.id}'`);
+
+        let value;
+        let lastToken = this.currentToken;
+        if (property === 'position') {
+            value = {};
+            // position x=<number> z=<number>
+            while (this.currentToken && (this.currentToken.value === 'x' || this.currentToken.value === 'z') &&
+                   this.tokens[this.position + 1]?.type === 'EQUALS') {
+                const axis = this.currentToken.value;
+                this.consume('IDENTIFIER');
+                this.consume('EQUALS');
+                lastToken = this.currentToken;
+                value[axis] = parseFloat(this.currentToken?.value);
+                this.consume('NUMBER');
+            }
+            if (value.x === undefined || value.z === undefined) {
+                throw this.createError(`Property 'position' of '${element.id}' needs both x= and z=`, propertyToken, 'invalid-value');
+            }
+        } else if (property === 'rank' || property === 'order') {
+            const valueToken = this.currentToken;
+            this.consume();
+            if (!/^-?\d+$/.test(valueToken.value)) {
+                this.warn(`Property '${property}' of '${element.id}' must be a whole number, got '${valueToken.value}'`, valueToken, 'invalid-value');
+                return;
+            }
+            value = parseInt(valueToken.value, 10);
+        } else if (property === 'tags') {
+            // tags <tag> [<tag> ...] up to the end of the line
+            value = [];
+            while (this.currentToken && this.currentToken.line === propertyToken.line &&
+                   !['LBRACE', 'RBRACE'].includes(this.currentToken.type)) {
+                lastToken = this.currentToken;
+                value.push(...parseTagList(this.currentToken.value));
+                this.consume();
+            }
+        } else if (property === 'meta') {
+            // meta <key> <value>, one entry per line
+            const keyToken = this.currentToken;
+            if (keyToken.type !== 'IDENTIFIER' && keyToken.type !== 'PROPERTY') {
+                throw this.createError(`Meta entry of '${element.id}' needs a key, got '${keyToken.value}'`, keyToken, 'missing-value');
+            }
+            this.consume();
+            this.expectValue(keyToken, `Meta entry '${keyToken.value}' of '${element.id}'`);
+            const valueToken = this.currentToken;
+            this.consume();
+
+            element.properties.meta = { ...element.properties.meta, [keyToken.value]: valueToken.value };
+            element.source.properties[`meta.${keyToken.value}`] = {
+                start: propertyToken.offset,
+                end: valueToken.endOffset,
+                value: this.getLocation(valueToken)
+            };
+            return;
+        } else if (property === 'collapsed') {
+            const valueToken = this.currentToken;
+            this.consume();
+            if (valueToken.value !== 'true' && valueToken.value !== 'false') {
+                this.warn(`Property 'collapsed' of '${element.id}' must be true or false, got '${valueToken.value}'`, valueToken, 'invalid-value');
+                return;
+            }
+            value = valueToken.value === 'true';
+        } else {
+            const valueToken = this.currentToken;
+            this.consume();
+            if (!this.checkStyleValue(property, valueToken)) return;
+            value = property === 'opacity' ? parseFloat(valueToken.value) : valueToken.value;
+        }
+
+        element.properties[property] = value;
+        element.source.properties[property] = {
+            start: propertyToken.offset,
+            end: lastToken.endOffset,
+            value: this.getLocation(lastToken)
+        };
+    }
+
+    /**
+     * Check the value of a style property (in a style or an element
+     * override), warning and returning false when it is invalid
+     */
+    checkStyleValue(property, valueToken) {
+        const value = valueToken.value;
+
+        if (property === 'opacity') {
+            const opacity = parseFloat(value);
+            if (valueToken.type !== 'NUMBER' || opacity < 0 || opacity > 1) {
+                this.warn(`Opacity must be a number from 0 to 1, got '${value}'`, valueToken, 'invalid-value');
+                return false;
+            }
+        } else if (property === 'floor' || property === 'labelposition') {
+            const allowed = property === 'floor' ? FLOOR_PATTERNS : LABEL_POSITIONS;
+            if (!allowed.includes(value)) {
+                this.warn(
+                    `Unknown ${property} '${value}', expected one of ${allowed.join(', ')}${this.formatSuggestion(value, allowed)}`,
+                    valueToken,
+                    'invalid-value'
+                );
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Skip a member of a block that is not understood, warning about it
+     * An identifier starting a line is taken for a misspelled property
+     * and skipped along with its value
+     */
+    skipUnknownMember(element) {
+        const token = this.currentToken;
+
+        if (token.type === 'IDENTIFIER' && this.isFirstOnLine()) {
+            this.warn(
+                `Unknown property '${token.value}' in ${element.type} '${element.id}'${this.formatSuggestion(token.value, PROPERTIES)}`,
+                token,
+                'unknown-property'
+            );
+            this.consume();
+            while (this.currentToken && this.currentToken.line === token.line &&
+                   this.currentToken.type !== 'RBRACE' && this.currentToken.type !== 'LBRACE') {
+                this.consume();
+            }
+            return;
+        }
+
+        this.warn(`Ignored token '${token.value}' in ${element.type} '${element.id}'`, token, 'ignored-token');
+        this.consume();
+    }
+
+    /**
+     * Parse relation statement:
+     * relation from <arrow> to [: "label"] [color=.. width=.. style=.. protocol=..]
      */
     parseRelation(diagram) {
+        const startToken = this.currentToken;
         this.consume('KEYWORD'); // relation
         
-        const from = this.currentToken.value;
-        this.consume('IDENTIFIER');
+        const fromToken = this.currentToken;
+        const from = fromToken?.value;
+        this.consumeId();
+        const arrow = this.currentToken?.value;
         this.consume('ARROW');
-        const to = this.currentToken.value;
-        this.consume('IDENTIFIER');
+        const toToken = this.currentToken;
+        const to = toToken?.value;
+        this.consumeId();
         
         let label = '';
-        if (this.currentToken && this.currentToken.type === 'COLON') {
-            this.consume('COLON');
-            label = this.currentToken.value;
-            this.consume();
+        const properties = {};
+        let lastToken = toToken;
+
+        // Label and properties may follow in any order on the same line
+        while (this.currentToken && this.currentToken.line === startToken.line) {
+            if (this.currentToken.type === 'COLON' && !label) {
+                const colonToken = this.currentToken;
+                this.consume('COLON');
+                this.expectValue(colonToken, `Label of relation '${from} ${arrow} ${to}'`);
+                lastToken = this.currentToken;
+                label = this.currentToken.value;
+                this.consume();
+            } else if (this.tokens[this.position + 1]?.type === 'EQUALS') {
+                lastToken = this.parseRelationProperty(properties, `${from} ${arrow} ${to}`) || lastToken;
+            } else {
+                break;
+            }
         }
 
         diagram.relations.push({
             from,
             to,
-            label
+            label,
+            arrow,
+            properties,
+            source: {
+                file: this.sourceFile,
+                start: startToken.offset,
+                end: lastToken.endOffset,
+                from: this.getLocation(fromToken),
+                to: this.getLocation(toToken)
+            }
         });
+
+        this.warnIgnoredRestOfLine(startToken);
+    }
+
+    /**
+     * Parse one `name=value` relation property
+     * Returns the value token, or null when the property was skipped
+     */
+    parseRelationProperty(properties, relationName) {
+        const nameToken = this.currentToken;
+        const property = nameToken.value;
+        this.consume();
+        this.consume('EQUALS');
+        this.expectValue(nameToken, `Property '${property}' of relation '${relationName}'`);
+        const valueToken = this.currentToken;
+        const value = valueToken.value;
+        this.consume();
+
+        if (property.startsWith('meta.') && property.length > 5) {
+            properties.meta = { ...properties.meta, [property.slice(5)]: value };
+            return valueToken;
+        }
+        if (!RELATION_PROPERTIES.includes(property)) {
+            this.warn(
+                `Unknown relation property '${property}'${this.formatSuggestion(property, RELATION_PROPERTIES)}`,
+                nameToken,
+                'unknown-property'
+            );
+            return null;
+        }
+
+        if (property === 'width' || property === 'flow' || property === 'flowspeed') {
+            const number = parseFloat(value);
+            if (valueToken.type !== 'NUMBER' || number <= 0) {
+                this.warn(`Relation ${property} must be a positive number, got '${value}'`, valueToken, 'invalid-value');
+                return null;
+            }
+            properties[property] = number;
+        } else if (property === 'style') {
+            if (!LINE_STYLES.includes(value)) {
+                this.warn(
+                    `Unknown line style '${value}', expected one of ${LINE_STYLES.join(', ')}${this.formatSuggestion(value, LINE_STYLES)}`,
+                    valueToken,
+                    'invalid-value'
+                );
+                return null;
+            }
+            properties.style = value;
+        } else if (property === 'tags') {
+            properties.tags = parseTagList(value);
+        } else {
+            properties[property] = value;
+        }
+
+        return valueToken;
     }
 
     /**
      * Parse annotation statement
      */
     parseAnnotation(diagram) {
+        const startToken = this.currentToken;
         this.consume('KEYWORD'); // annotation
-        const targetId = this.currentToken.value;
-        this.consume('IDENTIFIER');
+        const idToken = this.currentToken;
+        const targetId = idToken?.value;
+        this.consumeId();
         this.consume('LBRACE');
 
         const annotation = {};
+        const block = {
+            id: targetId,
+            type: 'annotation',
+            source: { file: this.sourceFile, start: startToken.offset, end: null, properties: {}, id: this.getLocation(idToken) }
+        };
 
-        while (this.currentToken && this.currentToken.type !== 'RBRACE') {
+        this.parseBlockBody(block, startToken, [], () => {
             if (this.currentToken.type === 'PROPERTY') {
-                const property = this.currentToken.value;
+                const propertyToken = this.currentToken;
+                const property = propertyToken.value;
                 this.consume('PROPERTY');
+                this.expectValue(propertyToken, `Annotation property '${property}'`);
                 
-                const value = this.currentToken.value;
+                const valueToken = this.currentToken;
                 this.consume();
                 
-                annotation[property] = value;
+                annotation[property] = valueToken.value;
+                block.source.properties[property] = {
+                    start: propertyToken.offset,
+                    end: valueToken.endOffset,
+                    value: this.getLocation(valueToken)
+                };
             } else {
-                this.consume(); // skip unknown tokens
+                this.skipUnknownMember(block);
             }
-        }
+        });
 
-        this.consume('RBRACE');
         diagram.annotations[targetId] = annotation;
+        // Annotations are plain property maps, so their sources are kept aside
+        this.annotationSources[targetId] = block.source;
+    }
+
+    /**
+     * Parse view block: a label and `include`/`exclude` rules, one per line
+     * view data {
+     *   label "Data view"
+     *   include type db
+     *   exclude id cache
+     * }
+     */
+    parseView(diagram) {
+        const startToken = this.currentToken;
+        this.consume('KEYWORD'); // view
+        const idToken = this.currentToken;
+        const id = idToken?.value;
+        this.consume('IDENTIFIER');
+        this.consume('LBRACE');
+
+        const view = {
+            id,
+            type: 'view',
+            label: id,
+            rules: [],
+            source: { start: startToken.offset, id: this.getLocation(idToken) }
+        };
+
+        this.parseBlockBody(view, startToken, ['include'], () => {
+            const memberToken = this.currentToken;
+
+            if (memberToken.value === 'label') {
+                this.consume('PROPERTY');
+                this.expectValue(memberToken, `Label of view '${id}'`);
+                view.label = this.currentToken.value;
+                this.consume();
+            } else if (memberToken.value === 'include' || memberToken.value === 'exclude') {
+                this.consume();
+                view.rules.push(this.parseViewRule(memberToken));
+            } else {
+                this.skipUnknownMember(view);
+            }
+        });
+
+        if (diagram.views[id]) {
+            this.warn(`Duplicate view '${id}' replaces the earlier definition`, idToken, 'duplicate-id');
+        }
+        diagram.views[id] = view;
+    }
+
+    /**
+     * Parse the rest of an `include`/`exclude` line of a view:
+     * <id|container|type|tag> <value> [<value> ...]
+     */
+    parseViewRule(actionToken) {
+        const selectorToken = this.currentToken;
+        if (!selectorToken || selectorToken.line !== actionToken.line || !VIEW_SELECTORS.includes(selectorToken.value)) {
+            throw this.createError(
+                `Expected one of ${VIEW_SELECTORS.join(', ')} after '${actionToken.value}'${this.formatSuggestion(selectorToken?.value, VIEW_SELECTORS)}`,
+                selectorToken?.line === actionToken.line ? selectorToken : actionToken,
+                'invalid-value'
+            );
+        }
+        this.consume();
+        this.expectValue(selectorToken, `View rule '${actionToken.value} ${selectorToken.value}'`);
+
+        const rule = { action: actionToken.value, selector: selectorToken.value, values: [], source: [] };
+        while (this.currentToken && this.currentToken.line === actionToken.line &&
+               !['LBRACE', 'RBRACE'].includes(this.currentToken.type)) {
+            rule.values.push(this.currentToken.value);
+            rule.source.push(this.getLocation(this.currentToken));
+            this.consume();
+        }
+        return rule;
+    }
+
+    /**
+     * Parse include statement: include "path.dsl" [as namespace]
+     * The included file's styles, elements, relations and annotations are
+     * merged in; with a namespace its ids become `namespace.id`
+     */
+    parseInclude(diagram) {
+        const startToken = this.currentToken;
+        this.consume('KEYWORD'); // include
+        const pathToken = this.currentToken;
+        this.consume('STRING');
+
+        let namespace = null;
+        if (this.currentToken?.value === 'as' && this.currentToken.line === startToken.line) {
+            this.consume('IDENTIFIER');
+            namespace = this.currentToken?.value;
+            this.consume('IDENTIFIER');
+        }
+        this.warnIgnoredRestOfLine(startToken);
+
+        if (!this.resolveInclude) {
+            throw this.createError(`Cannot include '${pathToken.value}': includes are not available here`, pathToken, 'include-unavailable');
+        }
+        const resolved = this.resolveInclude(pathToken.value, this.file);
+        if (!resolved) {
+            throw this.createError(`Included file '${pathToken.value}' not found`, pathToken, 'include-not-found');
+        }
+
+        if (this.includeStack.includes(resolved.file)) {
+            const cycle = [...this.includeStack.slice(this.includeStack.indexOf(resolved.file)), resolved.file];
+            throw this.createError(`Include cycle: ${cycle.join(' -> ')}`, pathToken, 'include-cycle');
+        }
+
+        // Including the same file twice (e.g. shared styles) is harmless
+        const includeKey = `${resolved.file}#${namespace || ''}`;
+        if (this.includedFiles.has(includeKey)) return;
+        this.includedFiles.add(includeKey);
+
+        const child = new DSLParser({ resolveInclude: this.resolveInclude });
+        const included = child.parseWithRecovery(resolved.text, {
+            file: resolved.file,
+            included: true,
+            includeStack: [...this.includeStack, resolved.file],
+            includedFiles: this.includedFiles
+        });
+
+        this.diagnostics.push(...child.diagnostics);
+        const errorCount = child.diagnostics.filter(diagnostic => diagnostic.severity === 'error').length;
+        if (errorCount > 0) {
+            this.diagnostics.push(this.createDiagnostic(
+                'error',
+                `Included file '${resolved.file}' has ${errorCount} error${errorCount === 1 ? '' : 's'}`,
+                pathToken,
+                'include-error'
+            ));
+        }
+        if (child.layoutToken) {
+            this.diagnostics.push(child.createDiagnostic(
+                'warning',
+                `Layout settings in included file '${resolved.file}' are ignored`,
+                child.layoutToken,
+                'ignored-token'
+            ));
+        }
+        if (child.themeToken) {
+            this.diagnostics.push(child.createDiagnostic(
+                'warning',
+                `Theme in included file '${resolved.file}' is ignored`,
+                child.themeToken,
+                'ignored-token'
+            ));
+        }
+
+        this.mergeIncluded(diagram, included, namespace, child);
+    }
+
+    /**
+     * Merge an included diagram, prefixing its ids with the namespace
+     */
+    mergeIncluded(diagram, included, namespace, child) {
+        const localIds = new Set([...Object.keys(included.components), ...Object.keys(included.containers)]);
+        const prefix = (id) => (namespace && localIds.has(id) ? `${namespace}.${id}` : id);
+
+        Object.assign(diagram.styles, included.styles);
+        Object.assign(this.styleSources, child.styleSources);
+
+        const mergeElement = (element, target) => {
+            const id = prefix(element.id);
+            if (diagram.components[id] || diagram.containers[id]) {
+                this.diagnostics.push({
+                    severity: 'error',
+                    message: `Id '${id}' from '${child.file}' is already defined; include the file with \`as <namespace>\``,
+                    ...element.source.id,
+                    code: 'duplicate-id'
+                });
+                return;
+            }
+
+            target[id] = {
+                ...element,
+                id,
+                parent: element.parent ? prefix(element.parent) : null,
+                ...(element.children ? { children: element.children.map(prefix) } : {})
+            };
+        };
+
+        Object.values(included.containers).forEach(container => mergeElement(container, diagram.containers));
+        Object.values(included.components).forEach(component => mergeElement(component, diagram.components));
+
+        for (const relation of included.relations) {
+            diagram.relations.push({ ...relation, from: prefix(relation.from), to: prefix(relation.to) });
+        }
+
+        for (const [viewId, view] of Object.entries(included.views)) {
+            diagram.views[viewId] = {
+                ...view,
+                rules: view.rules.map(rule => (
+                    rule.selector === 'id' || rule.selector === 'container' ? { ...rule, values: rule.values.map(prefix) } : rule
+                ))
+            };
+        }
+
+        for (const [targetId, annotation] of Object.entries(included.annotations)) {
+            diagram.annotations[prefix(targetId)] = annotation;
+            this.annotationSources[prefix(targetId)] = child.annotationSources[targetId];
+        }
     }
 
     /**
@@ -326,7 +976,21 @@ export class DSLParser {
      */
     consume(expectedType = null) {
         if (expectedType && this.currentToken?.type !== expectedType) {
-            throw new Error(`Expected ${expectedType}, got ${this.currentToken?.type || 'EOF'} (value: '${this.currentToken?.value || ''}')`);
+            // A token missing at the end of a line is reported there, not on the next line
+            const previous = this.tokens[this.position - 1];
+            if (previous && (!this.currentToken || this.currentToken.line !== previous.line)) {
+                throw this.createError(
+                    `Expected ${expectedType}, got end of ${this.currentToken ? 'line' : 'input'}`,
+                    { line: previous.line, column: previous.column + previous.endOffset - previous.offset, offset: previous.endOffset, endOffset: previous.endOffset + 1 },
+                    this.currentToken ? 'unexpected-token' : 'unexpected-eof'
+                );
+            }
+
+            throw this.createError(
+                `Expected ${expectedType}, got ${this.currentToken?.type || 'EOF'} (value: '${this.currentToken?.value || ''}')`,
+                this.currentToken,
+                this.currentToken ? 'unexpected-token' : 'unexpected-eof'
+            );
         }
 
         this.position++;
@@ -334,42 +998,299 @@ export class DSLParser {
     }
 
     /**
-     * Validate the parsed diagram for consistency
+     * Consume an element id; words the DSL reserves as keywords or
+     * properties only mean that at the start of a statement or block line,
+     * so they make valid ids here (on the line of the statement)
      */
-    validate(diagram) {
-        const errors = [];
+    consumeId() {
+        const previous = this.tokens[this.position - 1];
+        const token = this.currentToken;
+        if (token && ['KEYWORD', 'PROPERTY'].includes(token.type) && token.line === previous?.line) {
+            this.consume();
+            return;
+        }
+        this.consume('IDENTIFIER');
+    }
 
-        // Check if all relation endpoints exist
-        for (const relation of diagram.relations) {
-            if (!diagram.components[relation.from] && !diagram.containers[relation.from]) {
-                errors.push(`Relation source '${relation.from}' not found`);
+    /**
+     * Require a value token on the same line as `token`
+     */
+    expectValue(token, subject) {
+        const value = this.currentToken;
+        if (!value || value.line !== token.line || ['LBRACE', 'RBRACE', 'KEYWORD'].includes(value.type)) {
+            throw this.createError(`${subject} needs a value`, token, 'missing-value');
+        }
+    }
+
+    /**
+     * Whether the current token is the first on its line
+     */
+    isFirstOnLine() {
+        return this.position === 0 || this.tokens[this.position - 1].line !== this.currentToken?.line;
+    }
+
+    /**
+     * Warn about (and skip) leftover tokens on a single-line statement
+     */
+    warnIgnoredRestOfLine(statementToken) {
+        const first = this.currentToken;
+        if (!first || first.line !== statementToken.line) return;
+
+        let last = first;
+        while (this.currentToken && this.currentToken.line === statementToken.line) {
+            last = this.currentToken;
+            this.consume();
+        }
+
+        const text = last === first ? `'${first.value}'` : `text from '${first.value}'`;
+        this.warn(`Ignored ${text} after ${statementToken.value} statement`, { ...first, endOffset: last.endOffset }, 'ignored-token');
+    }
+
+    /**
+     * Warn if a component/container id is already taken
+     */
+    warnDuplicateId(diagram, idToken) {
+        const id = idToken.value;
+        if (diagram.components[id] || diagram.containers[id]) {
+            this.warn(`Duplicate id '${id}' replaces the earlier definition`, idToken, 'duplicate-id');
+        }
+    }
+
+    /**
+     * Record a syntax error and skip ahead to where parsing can resume
+     */
+    recover(error, startToken) {
+        this.diagnostics.push(this.createDiagnostic('error', error.message, error.token ?? this.currentToken, error.code || 'syntax-error'));
+
+        // A statement cut short by a line break resumes with the next line
+        const errorToken = this.currentToken;
+        if (!errorToken || (errorToken !== startToken && errorToken.line !== startToken.line && this.isFirstOnLine())) {
+            return;
+        }
+
+        // Otherwise drop the rest of the offending line, along with any block it opens
+        let depth = 0;
+        while (this.currentToken && (depth > 0 || (this.currentToken.line === errorToken.line && this.currentToken.type !== 'RBRACE'))) {
+            if (this.currentToken.type === 'LBRACE') depth++;
+            if (this.currentToken.type === 'RBRACE') depth--;
+            this.consume();
+        }
+
+        // Always make progress
+        if (this.currentToken === startToken) {
+            this.consume();
+        }
+    }
+
+    /**
+     * Create an error pointing at a token
+     */
+    createError(message, token, code) {
+        const error = new Error(message);
+        error.token = token;
+        error.code = code;
+        return error;
+    }
+
+    /**
+     * Record a warning at a token
+     */
+    warn(message, token, code) {
+        this.diagnostics.push(this.createDiagnostic('warning', message, token, code));
+    }
+
+    /**
+     * Build a diagnostic { severity, message, line, column, endColumn, code }
+     * A missing token points just past the end of the input
+     */
+    createDiagnostic(severity, message, token, code) {
+        return { severity, message, ...this.getLocation(token), code };
+    }
+
+    /**
+     * Line and column span of a token (or of the end of the input),
+     * plus the file name when parsing an included file
+     */
+    getLocation(token) {
+        const file = this.file ? { file: this.file } : {};
+
+        if (!token) {
+            const last = this.tokens[this.tokens.length - 1];
+            if (!last) return { line: 1, column: 1, endColumn: 1, ...file };
+            const column = last.column + last.endOffset - last.offset;
+            return { line: last.line, column, endColumn: column + 1, ...file };
+        }
+
+        return {
+            line: token.line,
+            column: token.column,
+            endColumn: token.column + token.endOffset - token.offset,
+            ...file
+        };
+    }
+
+    /**
+     * Suggest the closest candidate for a misspelled name
+     */
+    suggest(value, candidates) {
+        if (!value) return null;
+
+        const maxDistance = Math.max(1, Math.floor(value.length / 3));
+        let best = null;
+        let bestDistance = Infinity;
+
+        for (const candidate of candidates) {
+            if (candidate === value) continue;
+            const distance = this.editDistance(value.toLowerCase(), candidate.toLowerCase());
+            if (distance <= maxDistance && distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Format a "did you mean" hint (empty when nothing is close)
+     */
+    formatSuggestion(value, candidates) {
+        const suggestion = this.suggest(value, candidates);
+        return suggestion ? ` (did you mean '${suggestion}'?)` : '';
+    }
+
+    /**
+     * Levenshtein distance between two strings
+     */
+    editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
             }
-            if (!diagram.components[relation.to] && !diagram.containers[relation.to]) {
-                errors.push(`Relation target '${relation.to}' not found`);
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+
+    /**
+     * Check that a relation's endpoints are elements of the diagram
+     * Returns error diagnostics (none when both ends exist)
+     */
+    validateRelation(diagram, relation) {
+        const ids = [...Object.keys(diagram.components), ...Object.keys(diagram.containers)];
+        const diagnostics = [];
+
+        for (const [end, name] of [['from', 'source'], ['to', 'target']]) {
+            const id = relation[end];
+            if (!diagram.components[id] && !diagram.containers[id]) {
+                diagnostics.push({
+                    severity: 'error',
+                    message: `Relation ${name} '${id}' not found${this.formatSuggestion(id, ids)}`,
+                    ...(relation.source?.[end] || { line: null, column: null, endColumn: null }),
+                    code: 'unknown-reference'
+                });
             }
         }
+        return diagnostics;
+    }
+
+    /**
+     * Check the parsed diagram for consistency
+     * Returns diagnostics for references to missing elements and styles
+     */
+    getValidationDiagnostics(diagram) {
+        const diagnostics = [];
+        const ids = [...Object.keys(diagram.components), ...Object.keys(diagram.containers)];
+        const unknownLocation = { line: null, column: null, endColumn: null };
+
+        const report = (message, location, code) => {
+            diagnostics.push({ severity: 'error', message, ...(location || unknownLocation), code });
+        };
+
+        // Check if all relation endpoints exist
+        for (const relation of diagram.relations) {
+            diagnostics.push(...this.validateRelation(diagram, relation));
+        }
 
         // Check if all annotations target existing components/containers
         for (const targetId of Object.keys(diagram.annotations)) {
             if (!diagram.components[targetId] && !diagram.containers[targetId]) {
-                errors.push(`Annotation target '${targetId}' not found`);
+                report(`Annotation target '${targetId}' not found${this.formatSuggestion(targetId, ids)}`, this.annotationSources[targetId].id, 'unknown-reference');
             }
         }
 
-        // Check if all component types have corresponding styles
-        for (const component of Object.values(diagram.components)) {
-            const type = component.properties.type;
+        // Check that view rules name existing elements and styles
+        const containerIds = Object.keys(diagram.containers);
+        for (const view of Object.values(diagram.views || {})) {
+            for (const rule of view.rules) {
+                rule.values.forEach((value, i) => {
+                    if (rule.selector === 'id' && !ids.includes(value)) {
+                        report(`View '${view.id}' refers to unknown element '${value}'${this.formatSuggestion(value, ids)}`, rule.source[i], 'unknown-reference');
+                    } else if (rule.selector === 'container' && !diagram.containers[value]) {
+                        report(`View '${view.id}' refers to unknown container '${value}'${this.formatSuggestion(value, containerIds)}`, rule.source[i], 'unknown-reference');
+                    } else if (rule.selector === 'type' && !diagram.styles[value]) {
+                        report(`View '${view.id}' refers to unknown style '${value}'${this.formatSuggestion(value, Object.keys(diagram.styles))}`, rule.source[i], 'unknown-style');
+                    }
+                });
+            }
+        }
+
+        // Check if all component and container types have corresponding styles
+        const styleNames = Object.keys(diagram.styles);
+        for (const element of [...Object.values(diagram.components), ...Object.values(diagram.containers)]) {
+            const type = element.properties.type;
             if (type && !diagram.styles[type]) {
-                errors.push(`Style '${type}' not found for component '${component.id}'`);
+                report(
+                    `Style '${type}' not found for ${element.type} '${element.id}'${this.formatSuggestion(type, styleNames)}`,
+                    element.source?.properties.type?.value,
+                    'unknown-style'
+                );
             }
         }
 
-        if (errors.length > 0) {
-            throw new Error(`Validation errors:\n${errors.join('\n')}`);
+        // Check that styles extend existing styles, without cycles
+        for (const [name, style] of Object.entries(diagram.styles)) {
+            if (!style.extend) continue;
+
+            const location = this.styleSources[name]?.extend;
+            if (!diagram.styles[style.extend]) {
+                report(
+                    `Style '${style.extend}' extended by '${name}' not found${this.formatSuggestion(style.extend, styleNames)}`,
+                    location,
+                    'unknown-style'
+                );
+                continue;
+            }
+
+            const cycle = findExtendCycle(diagram.styles, name);
+            if (cycle && cycle[0] === name) {
+                report(`Style '${name}' extends itself: ${cycle.join(' -> ')}`, location, 'style-cycle');
+            }
+        }
+
+        return diagnostics;
+    }
+
+    /**
+     * Validate the parsed diagram for consistency
+     */
+    validate(diagram) {
+        const diagnostics = this.getValidationDiagnostics(diagram);
+
+        if (diagnostics.length > 0) {
+            throw new DSLError(`Validation errors:\n${diagnostics.map(diagnostic => diagnostic.message).join('\n')}`, diagnostics);
         }
 
         return true;
     }
 }
 
-export default DSLParser;
\ No newline at end of file
+export default DSLParser;
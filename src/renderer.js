@@ -4,6 +4,36 @@
  */
 
 import * as THREE from 'three';
+import LayeredLayout from './layout.js';
+import OrthogonalRouter from './router.js';
+import SVGExporter from './svgExporter.js';
+import ShapeLibrary from './shapes.js';
+import { resolveElementStyle } from './styles.js';
+import { getTheme, toRgba } from './themes.js';
+import { applyView, collapseContainers } from './views.js';
+import { UNCATEGORIZED_COLOR, createColorScale, getColorValue, matchesSearch } from './metadata.js';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js';
+
+// Ports shown on elements in connect mode, and the line drawn from them
+const PORT_RADIUS = 3;
+const PORT_COLOR = 0x667eea;
+
+// Ground grid: its size and number of cells, which drags snap to
+const GRID_SIZE = 400;
+const GRID_DIVISIONS = 20;
+const GRID_STEP = GRID_SIZE / GRID_DIVISIONS;
+
+// Alignment guides: how close an edge or center snaps to a neighbour's
+const GUIDE_THRESHOLD = 6;
+const GUIDE_COLOR = 0xff4081;
+
+// Room kept between a container's edge and its contents, as in the layout
+const CONTAINER_PADDING = 20;
+
+// A child dropped with its center up to this far past its container's edge
+// grows the container; a component dropped farther out leaves it
+const CONTAINER_EDGE_THRESHOLD = 20;
 
 export class IsometricRenderer {
     constructor(container) {
@@ -18,8 +48,13 @@ export class IsometricRenderer {
         // Object tracking
         this.meshes = new Map(); // id -> mesh
         this.connections = [];
-        this.selectedObject = null;
+        this.selectedIds = new Set(); // selected element ids
         this.hoveredObject = null;
+        this.linkSource = null; // element a relation is being drawn from
+
+        // Connect mode: dragging from an element draws a relation instead of moving it
+        this.connectMode = false;
+        this.connectDrag = null; // { from, start, line, target } while dragging
         
         // Drag functionality
         this.isDragging = false;
@@ -28,6 +63,13 @@ export class IsometricRenderer {
         this.draggedObject = null;
         this.dragPlane = new THREE.Plane();
         this.dragOffset = new THREE.Vector3();
+        this.dragGroup = []; // other selected elements moving with the dragged one
+        this.snapStep = 0; // grid step drags snap to (0 drags freely)
+        this.guideLines = []; // alignment guides shown while dragging
+        this.suppressClick = false; // the click ending a drag or marquee selects nothing
+
+        // Marquee selection: shift-dragging draws a box selecting what it encloses
+        this.marquee = null; // { element, startX, startY } while drawing
         
         // Camera panning
         this.isPanning = false;
@@ -35,23 +77,86 @@ export class IsometricRenderer {
         this.panStartCameraPosition = new THREE.Vector3();
         this.lastMousePosition = new THREE.Vector2();
         
+        // Theme from the diagram's `theme` statement, unless overridden in the UI
+        this.theme = getTheme('light');
+        this.themeOverride = null;
+        
+        // Name of the diagram's `view` to show (null shows every element)
+        this.diagramView = null;
+        
+        // Containers collapsed or expanded by double-clicking (id -> collapsed),
+        // overriding their `collapsed` property, and the running re-layout animation
+        this.collapseOverrides = new Map();
+        this.transition = null;
+        this.transitionDuration = 400; // ms
+        
+        // Coloring by a tag or meta value ('tag', 'meta.<key>' or null for
+        // style colors) and the search query dimming everything it doesn't match
+        this.colorBy = null;
+        this.colorScale = null; // value -> color
+        this.searchQuery = '';
+        
         // Layout settings
         this.gridSize = 60;
         this.componentHeight = 20;
         this.containerHeight = 40;
+        this.connectionHeight = 3;
+        
+        // Edge routing
+        this.router = new OrthogonalRouter();
+        
+        // Component shapes, glTF/OBJ models and images (url -> Promise of the loaded asset)
+        this.shapes = new ShapeLibrary({ height: this.componentHeight });
+        this.modelCache = new Map();
+        this.imageCache = new Map();
+        this.pendingAssets = [];
+        this.resolveAsset = assetPath => assetPath;
+        
+        // Data-flow animation along relations with a `flow` rate
+        this.flowMode = 'particles'; // 'off', 'particles' or 'dashes'
+        this.clock = new THREE.Clock();
+        
+        // Event listeners (event name -> handlers)
+        this.listeners = {};
         
         this.init();
         this.setupEventListeners();
         this.animate();
     }
 
+    /**
+     * Register a handler for a renderer event
+     * Events: 'objectmove' ({ id, parent, previousParent, position, previousPosition, from, to }),
+     *         'groupmove' ({ moves }, one 'objectmove'-shaped move per element dragged together),
+     *         'viewchange' ({ before, after, coalesceKey }),
+     *         'select' ({ type: 'component' | 'container', id }, { type: 'multiple', ids },
+     *                   { type: 'relation', relation } or null),
+     *         'contextmenu' ({ target, container, position, clientX, clientY }; target as for 'select'),
+     *         'link' ({ from, to, clientX, clientY })
+     */
+    on(eventName, handler) {
+        if (!this.listeners[eventName]) {
+            this.listeners[eventName] = [];
+        }
+        this.listeners[eventName].push(handler);
+    }
+
+    /**
+     * Notify handlers of a renderer event
+     */
+    emit(eventName, detail) {
+        for (const handler of this.listeners[eventName] || []) {
+            handler(detail);
+        }
+    }
+
     /**
      * Initialize Three.js scene, camera, and renderer
      */
     init() {
         // Scene
         this.scene = new THREE.Scene();
-        this.scene.background = new THREE.Color(0xf0f0f0);
+        this.scene.background = new THREE.Color(this.theme.background);
 
         // Camera - Isometric view
         const aspect = this.container.clientWidth / this.container.clientHeight;
@@ -95,13 +200,12 @@ export class IsometricRenderer {
      */
     setupLighting() {
         // Ambient light
-        const ambientLight = new THREE.AmbientLight(0x404040, 0.6);
+        const ambientLight = new THREE.AmbientLight();
         this.scene.add(ambientLight);
 
         // Directional light for shadows
-        const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
+        const directionalLight = new THREE.DirectionalLight();
         directionalLight.position.set(50, 100, 50);
-        directionalLight.castShadow = true;
         directionalLight.shadow.mapSize.width = 2048;
         directionalLight.shadow.mapSize.height = 2048;
         directionalLight.shadow.camera.near = 0.5;
@@ -113,17 +217,74 @@ export class IsometricRenderer {
         this.scene.add(directionalLight);
 
         // Hemisphere light for softer illumination
-        const hemisphereLight = new THREE.HemisphereLight(0x87CEEB, 0x98FB98, 0.4);
+        const hemisphereLight = new THREE.HemisphereLight();
         this.scene.add(hemisphereLight);
+
+        this.lights = { ambient: ambientLight, directional: directionalLight, hemisphere: hemisphereLight };
+        this.updateLighting();
+    }
+
+    /**
+     * Set light colors and intensities from the theme
+     */
+    updateLighting() {
+        const { ambient, directional, hemisphere, shadows } = this.theme.lights;
+
+        this.lights.ambient.color.set(ambient.color);
+        this.lights.ambient.intensity = ambient.intensity;
+        this.lights.directional.color.set(directional.color);
+        this.lights.directional.intensity = directional.intensity;
+        this.lights.directional.castShadow = shadows;
+        this.lights.hemisphere.color.set(hemisphere.sky);
+        this.lights.hemisphere.groundColor.set(hemisphere.ground);
+        this.lights.hemisphere.intensity = hemisphere.intensity;
     }
 
     /**
-     * Create grid background
+     * Create (or recreate) the ground grid in the theme's colors
      */
     createGrid() {
-        const gridHelper = new THREE.GridHelper(400, 20, 0xcccccc, 0xeeeeee);
+        if (this.grid) {
+            this.scene.remove(this.grid);
+            this.disposeObject(this.grid);
+        }
+
+        const { visible, center, lines } = this.theme.grid;
+        const gridHelper = new THREE.GridHelper(GRID_SIZE, GRID_DIVISIONS, center, lines);
         gridHelper.position.y = -1;
+        gridHelper.visible = visible;
         this.scene.add(gridHelper);
+        this.grid = gridHelper;
+    }
+
+    /**
+     * Switch the scene to a theme; elements pick it up on the next render
+     */
+    applyTheme(name) {
+        const theme = getTheme(name);
+        if (theme === this.theme && this.grid) return;
+
+        this.theme = theme;
+        this.scene.background = new THREE.Color(this.theme.background);
+        this.updateLighting();
+        this.createGrid();
+    }
+
+    /**
+     * Override the diagram's theme (null follows the diagram again)
+     * Elements are colored when rendered, so re-render afterwards
+     */
+    setTheme(name) {
+        this.themeOverride = name || null;
+        this.applyTheme(this.themeOverride || this.currentDiagram?.theme);
+    }
+
+    /**
+     * Show only the elements of one of the diagram's views (null shows all)
+     * Takes effect on the next render
+     */
+    setDiagramView(name) {
+        this.diagramView = name || null;
     }
 
     /**
@@ -135,6 +296,7 @@ export class IsometricRenderer {
         this.renderer.domElement.addEventListener('mousedown', this.onMouseDown.bind(this));
         this.renderer.domElement.addEventListener('mouseup', this.onMouseUp.bind(this));
         this.renderer.domElement.addEventListener('click', this.onClick.bind(this));
+        this.renderer.domElement.addEventListener('dblclick', this.onDoubleClick.bind(this));
         this.renderer.domElement.addEventListener('contextmenu', this.onContextMenu.bind(this));
         
         // Wheel for zoom
@@ -164,6 +326,16 @@ export class IsometricRenderer {
             return;
         }
 
+        if (this.connectDrag) {
+            this.updateConnect();
+            return;
+        }
+
+        if (this.marquee) {
+            this.updateMarquee(event);
+            return;
+        }
+
         // Handle object dragging
         if (this.isDragging && this.draggedObject) {
             this.handleDrag(event);
@@ -177,7 +349,7 @@ export class IsometricRenderer {
         if (this.hoveredObject && !this.isDragging && !this.isPanning) {
             this.setObjectHighlight(this.hoveredObject, false);
             this.hoveredObject = null;
-            this.container.style.cursor = 'default';
+            this.container.style.cursor = this.linkSource ? 'crosshair' : 'default';
         }
 
         // Set new hover - prioritize components over containers
@@ -186,7 +358,7 @@ export class IsometricRenderer {
             if (targetObject) {
                 this.hoveredObject = targetObject;
                 this.setObjectHighlight(targetObject, true);
-                this.container.style.cursor = 'grab';
+                this.container.style.cursor = this.linkSource ? 'crosshair' : (this.isMovable(targetObject.userData.id) ? 'grab' : 'not-allowed');
                 
                 // Show tooltip if available
                 this.showTooltip(targetObject, event);
@@ -201,33 +373,88 @@ export class IsometricRenderer {
      */
     onClick(event) {
         // Prevent click if we just finished dragging
-        if (this.isDragging) {
+        if (this.isDragging || this.suppressClick) {
+            this.suppressClick = false;
             return;
         }
 
         this.raycaster.setFromCamera(this.mouse, this.camera);
         const intersects = this.raycaster.intersectObjects(this.scene.children, true);
 
-        // Clear previous selection
-        if (this.selectedObject) {
-            this.setObjectSelection(this.selectedObject, false);
+        if (this.linkSource) {
+            const from = this.linkSource;
+            const target = intersects.length > 0 ? this.findBestHoverTarget(intersects) : null;
+            this.cancelLinking();
+            if (target && target.userData.id !== from) {
+                this.emit('link', { from, to: target.userData.id, clientX: event.clientX, clientY: event.clientY });
+            }
+            return;
         }
 
+        // Presses in connect mode draw relations rather than select
+        if (this.connectMode) return;
+
         if (intersects.length > 0) {
             const object = intersects[0].object;
             if (object.userData.id) {
-                this.selectedObject = object;
-                this.setObjectSelection(object, true);
+                const id = object.userData.id;
+
+                // Shift-click adds an element to the selection or takes it out
+                if (event.shiftKey) {
+                    const ids = this.getSelectedIds();
+                    this.setSelection(this.selectedIds.has(id) ? ids.filter(other => other !== id) : [...ids, id]);
+                    this.emitSelection();
+                    return;
+                }
+
+                this.setSelection([id]);
+                this.emitSelection();
                 
                 // Handle annotation links
                 const annotation = object.userData.annotation;
                 if (annotation && annotation.link) {
                     window.open(annotation.link, '_blank');
                 }
+            } else {
+                const connection = this.findConnection(object);
+                this.setSelection([]);
+                this.emit('select', connection ? { type: 'relation', relation: connection.userData.relation } : null);
             }
-        } else {
-            this.selectedObject = null;
+        } else if (!event.shiftKey) {
+            this.setSelection([]);
+            this.emit('select', null);
+        }
+    }
+
+    /**
+     * Find the connection a clicked line, arrow head or label belongs to
+     */
+    findConnection(object) {
+        for (let current = object; current; current = current.parent) {
+            if (this.connections.includes(current)) return current;
         }
+        return null;
+    }
+
+    /**
+     * Collapse or expand the innermost container under the cursor
+     */
+    onDoubleClick(event) {
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+        const intersects = this.raycaster.intersectObjects(this.scene.children, true);
+
+        const target = this.findBestHoverTarget(intersects);
+        if (!target || target.userData.type !== 'container') return;
+
+        const containerIds = intersects
+            .map(intersect => intersect.object.userData)
+            .filter(userData => userData.id && userData.type === 'container')
+            .map(userData => userData.id);
+        const innermost = containerIds.reduce((best, id) =>
+            this.getAncestorIds(id).length > this.getAncestorIds(best).length ? id : best
+        );
+
+        this.toggleContainer(innermost);
     }
 
     /**
@@ -235,13 +462,28 @@ export class IsometricRenderer {
      */
     onMouseDown(event) {
         if (event.button !== 0) return; // Only left mouse button
+        if (this.linkSource) return; // The click picks the relation's target
 
         this.raycaster.setFromCamera(this.mouse, this.camera);
         const intersects = this.raycaster.intersectObjects(this.scene.children, true);
 
+        if (this.connectMode) {
+            const source = this.findConnectTarget(intersects);
+            if (source) {
+                this.startConnect(source.userData.id);
+                return;
+            }
+        }
+
+        // Shift-dragging draws a selection box (a shift-click still toggles)
+        if (event.shiftKey) {
+            this.startMarquee(event);
+            return;
+        }
+
         if (intersects.length > 0) {
             const targetObject = this.findBestHoverTarget(intersects);
-            if (targetObject) {
+            if (targetObject && this.isMovable(targetObject.userData.id)) {
                 this.startDrag(targetObject, intersects[0].point);
                 return;
             }
@@ -255,7 +497,11 @@ export class IsometricRenderer {
      * Handle mouse up for drag end
      */
     onMouseUp(event) {
-        if (this.isDragging) {
+        if (this.connectDrag) {
+            this.finishConnect(event);
+        } else if (this.marquee) {
+            this.endMarquee(event);
+        } else if (this.isDragging) {
             this.endDrag();
         } else if (this.isPanning) {
             this.endCameraPan();
@@ -267,7 +513,200 @@ export class IsometricRenderer {
      */
     onContextMenu(event) {
         event.preventDefault();
-        // TODO: Implement context menu for editing
+        this.cancelLinking();
+        this.cancelConnect();
+
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+        const intersects = this.raycaster.intersectObjects(this.scene.children, true);
+
+        // Same precedence as a click: elements, then relations
+        let target = null;
+        if (intersects.length > 0) {
+            const object = intersects[0].object.userData.id ? this.findBestHoverTarget(intersects) || intersects[0].object : null;
+            const connection = object ? null : this.findConnection(intersects[0].object);
+            if (object) {
+                target = { type: object.userData.type, id: object.userData.id };
+            } else if (connection) {
+                target = { type: 'relation', relation: connection.userData.relation };
+            }
+        }
+
+        // Where on the ground the click was, relative to the container there
+        const ground = new THREE.Vector3();
+        if (!this.raycaster.ray.intersectPlane(new THREE.Plane(new THREE.Vector3(0, 1, 0), 0), ground)) {
+            ground.set(0, 0, 0);
+        }
+        let container = null;
+        if (target?.type === 'container') {
+            container = target.id;
+        } else if (target?.type === 'component') {
+            container = this.getObjectData(target.id)?.parent || null;
+        } else {
+            container = this.findInnermostContainerAt(ground);
+        }
+        const containerMesh = container ? this.meshes.get(container) : null;
+
+        this.emit('contextmenu', {
+            target,
+            container,
+            position: {
+                x: Math.round(ground.x - (containerMesh ? containerMesh.position.x : 0)),
+                z: Math.round(ground.z - (containerMesh ? containerMesh.position.z : 0))
+            },
+            clientX: event.clientX,
+            clientY: event.clientY
+        });
+    }
+
+    /**
+     * Start a relation from an element: clicking another element finishes
+     * it ('link' event), clicking anything else or Escape cancels
+     */
+    startLinking(fromId) {
+        this.linkSource = fromId;
+        this.container.style.cursor = 'crosshair';
+    }
+
+    /**
+     * Stop waiting for the end of a relation
+     */
+    cancelLinking() {
+        this.linkSource = null;
+        this.container.style.cursor = 'default';
+    }
+
+    /**
+     * Turn connect mode on or off: elements show a port, and dragging from
+     * an element (or its port) to another draws a relation ('link' event)
+     * instead of moving it
+     */
+    setConnectMode(enabled) {
+        this.cancelConnect();
+        this.connectMode = enabled;
+        this.updatePorts();
+    }
+
+    /**
+     * Give every element a port in connect mode, and none otherwise
+     */
+    updatePorts() {
+        for (const mesh of this.meshes.values()) {
+            const port = mesh.children.find(child => child.userData.portOf);
+            if (port) mesh.remove(port);
+            if (this.connectMode) mesh.add(this.createPort(mesh));
+        }
+    }
+
+    /**
+     * Port in the middle of an element's right-hand side, drawn over everything
+     */
+    createPort(mesh) {
+        if (!this.portGeometry) {
+            this.portGeometry = new THREE.SphereGeometry(PORT_RADIUS, 12, 8);
+            this.portMaterial = new THREE.MeshBasicMaterial({ color: PORT_COLOR, depthTest: false });
+        }
+
+        const size = mesh.userData.type === 'container' ? mesh.userData.containerSize : mesh.userData.footprint;
+        const port = new THREE.Mesh(this.portGeometry, this.portMaterial);
+        port.position.set((size?.width ?? 30) / 2, 0, 0);
+        port.renderOrder = 10;
+        port.userData.portOf = mesh.userData.id;
+        return port;
+    }
+
+    /**
+     * Element under the pointer for connecting: the owner of a port, else
+     * the element a hover would pick
+     */
+    findConnectTarget(intersects) {
+        const port = intersects.find(intersect => intersect.object.userData.portOf);
+        return port ? this.meshes.get(port.object.userData.portOf) : this.findBestHoverTarget(intersects);
+    }
+
+    /**
+     * World position of an element's port (its center without one)
+     */
+    getPortPosition(mesh) {
+        const port = mesh.children.find(child => child.userData.portOf);
+        return port ? port.getWorldPosition(new THREE.Vector3()) : mesh.position.clone();
+    }
+
+    /**
+     * Start dragging a relation out of an element, previewed as a dashed line
+     */
+    startConnect(fromId) {
+        if (this.hoveredObject) {
+            this.setObjectHighlight(this.hoveredObject, false);
+            this.hoveredObject = null;
+        }
+        this.hideTooltip();
+
+        const start = this.getPortPosition(this.meshes.get(fromId));
+        const line = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints([start, start]),
+            new THREE.LineDashedMaterial({ color: PORT_COLOR, dashSize: 4, gapSize: 3, depthTest: false })
+        );
+        line.renderOrder = 10;
+        this.scene.add(line);
+
+        // The loose end follows the pointer across the plane at the port's height
+        this.dragPlane.setFromNormalAndCoplanarPoint(new THREE.Vector3(0, 1, 0), start);
+        this.connectDrag = { from: fromId, start, line, target: null };
+        this.container.style.cursor = 'crosshair';
+    }
+
+    /**
+     * Stretch the preview line to the pointer, snapping to the port of a
+     * valid target under it
+     */
+    updateConnect() {
+        const drag = this.connectDrag;
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+        const candidate = this.findConnectTarget(this.raycaster.intersectObjects(this.scene.children, true));
+        const target = candidate && candidate.userData.id !== drag.from ? candidate : null;
+
+        if (target !== drag.target) {
+            if (drag.target) this.setObjectHighlight(drag.target, false);
+            if (target) this.setObjectHighlight(target, true);
+            drag.target = target;
+        }
+
+        const end = new THREE.Vector3();
+        if (target) {
+            end.copy(this.getPortPosition(target));
+        } else if (!this.raycaster.ray.intersectPlane(this.dragPlane, end)) {
+            return;
+        }
+        drag.line.geometry.setFromPoints([drag.start, end]);
+        drag.line.computeLineDistances();
+    }
+
+    /**
+     * Drop a dragged relation: report it when it ends on another element
+     */
+    finishConnect(event) {
+        const { from, target } = this.connectDrag;
+        this.cancelConnect();
+        if (target) {
+            this.emit('link', { from, to: target.userData.id, clientX: event.clientX, clientY: event.clientY });
+        }
+    }
+
+    /**
+     * Drop the relation being dragged, if any
+     */
+    cancelConnect() {
+        const drag = this.connectDrag;
+        if (!drag) return;
+
+        this.connectDrag = null;
+        if (drag.target) this.setObjectHighlight(drag.target, false);
+        this.scene.remove(drag.line);
+        this.disposeObject(drag.line);
+        this.container.style.cursor = 'default';
     }
 
     /**
@@ -276,8 +715,10 @@ export class IsometricRenderer {
     onWheel(event) {
         event.preventDefault();
         const scaleFactor = event.deltaY > 0 ? 1.1 : 0.9;
-        this.camera.zoom *= scaleFactor;
-        this.camera.updateProjectionMatrix();
+        this.changeView('zoom', () => {
+            this.camera.zoom *= scaleFactor;
+            this.camera.updateProjectionMatrix();
+        });
     }
 
     /**
@@ -290,6 +731,10 @@ export class IsometricRenderer {
         }
 
         switch (event.code) {
+            case 'Escape':
+                this.cancelLinking();
+                this.cancelConnect();
+                break;
             case 'KeyR':
                 if (event.ctrlKey || event.metaKey) {
                     event.preventDefault();
@@ -324,12 +769,55 @@ export class IsometricRenderer {
      */
     resetCamera() {
         // Reset to default isometric position and orientation
-        this.camera.position.set(100, 100, 100);
-        this.camera.lookAt(0, 0, 0);
-        this.camera.zoom = 1;
+        this.changeView(null, () => {
+            this.camera.position.set(100, 100, 100);
+            this.camera.lookAt(0, 0, 0);
+            this.camera.zoom = 1;
+            this.camera.updateProjectionMatrix();
+        });
+    }
+
+    /**
+     * Capture the camera state
+     */
+    getViewState() {
+        return {
+            position: this.camera.position.clone(),
+            quaternion: this.camera.quaternion.clone(),
+            zoom: this.camera.zoom
+        };
+    }
+
+    /**
+     * Restore a captured camera state
+     */
+    setViewState(state) {
+        this.camera.position.copy(state.position);
+        this.camera.quaternion.copy(state.quaternion);
+        this.camera.zoom = state.zoom;
         this.camera.updateProjectionMatrix();
     }
 
+    /**
+     * Apply a camera change and report it with its before/after states
+     */
+    changeView(coalesceKey, change) {
+        const before = this.getViewState();
+        change();
+        this.emitViewChange(before, coalesceKey);
+    }
+
+    /**
+     * Emit 'viewchange' if the camera moved since the given state
+     */
+    emitViewChange(before, coalesceKey = null) {
+        const after = this.getViewState();
+        if (before.position.equals(after.position) && before.quaternion.equals(after.quaternion) && before.zoom === after.zoom) {
+            return;
+        }
+        this.emit('viewchange', { before, after, coalesceKey });
+    }
+
     /**
      * Center camera on the current diagram
      */
@@ -382,8 +870,17 @@ export class IsometricRenderer {
             this.hoveredObject = null;
         }
         
-        // Store the initial position
+        // Store the initial position, parent and pin
+        const objectData = this.getObjectData(object.userData.id);
         this.dragStartPosition.copy(object.position);
+        this.dragStartParent = objectData?.parent || null;
+        this.dragStartPinned = objectData?.properties.position ? { ...objectData.properties.position } : null;
+
+        // Dragging a selected element moves the rest of the selection along
+        const groupIds = this.getTopmostIds(this.getSelectedIds()).filter(id => this.isMovable(id));
+        this.dragGroup = groupIds.includes(object.userData.id)
+            ? groupIds.filter(id => id !== object.userData.id).map(id => this.getMoveStart(id))
+            : [];
         
         // Create a horizontal plane at the object's Y level for dragging
         this.dragPlane.setFromNormalAndCoplanarPoint(
@@ -408,38 +905,19 @@ export class IsometricRenderer {
         if (this.raycaster.ray.intersectPlane(this.dragPlane, intersectionPoint)) {
             // Apply the offset to maintain the initial grab point
             intersectionPoint.add(this.dragOffset);
+
+            // Line up with neighbours, else snap to the grid (Alt drags freely)
+            this.snapDragPosition(intersectionPoint, !event.altKey);
             
-            // For components, enforce strict container boundaries
             if (this.draggedObject.userData.type === 'component') {
                 const componentData = this.getObjectData(this.draggedObject.userData.id);
                 
-                // If component belongs to a container, enforce strict boundaries
+                // Its container fits around it (or lets it go) on drop
                 if (componentData && componentData.parent) {
-                    const parentMesh = this.meshes.get(componentData.parent);
-                    
-                    if (parentMesh) {
-                        const containerBounds = this.getContainerBounds(parentMesh);
-                        const margin = 15; // Small margin inside container
-                        
-                        // IMMEDIATELY constrain the position to container bounds
-                        // Never allow the component to be positioned outside its container
-                        const constrainedPosition = intersectionPoint.clone();
-                        constrainedPosition.x = Math.max(containerBounds.minX + margin, 
-                                                       Math.min(containerBounds.maxX - margin, constrainedPosition.x));
-                        constrainedPosition.z = Math.max(containerBounds.minZ + margin, 
-                                                       Math.min(containerBounds.maxZ - margin, constrainedPosition.z));
-                        
-                        // Check if we had to constrain the position (for visual feedback)
-                        const wasConstrained = !constrainedPosition.equals(intersectionPoint);
-                        
-                        // Apply the constrained position - component can never leave its container
-                        this.draggedObject.position.copy(constrainedPosition);
-                        
-                        // Show visual feedback if movement was constrained
-                        if (wasConstrained) {
-                            this.showBoundaryConstraintFeedback(parentMesh);
-                        }
-                    }
+                    this.draggedObject.position.copy(intersectionPoint);
+                } else if (this.dragGroup.length > 0) {
+                    // Group drags keep every element in its container
+                    this.draggedObject.position.copy(intersectionPoint);
                 } else {
                     // Component not in a container, check if it's trying to enter one
                     const newContainer = this.findContainerAtPosition(intersectionPoint);
@@ -468,86 +946,440 @@ export class IsometricRenderer {
             
             // Update all connections that involve this object and its children
             this.updateConnectionsForMovedObject(this.draggedObject.userData.id);
+
+            if (this.dragGroup.length > 0) {
+                this.moveDragGroup();
+            }
         }
     }
 
     /**
-     * End dragging
+     * Move the rest of a dragged selection by the dragged element's offset
      */
-    endDrag() {
-        this.isDragging = false;
-        this.draggedObject = null;
-        this.container.style.cursor = 'default';
+    moveDragGroup() {
+        const delta = new THREE.Vector3().subVectors(this.draggedObject.position, this.dragStartPosition);
+
+        for (const start of this.dragGroup) {
+            const target = start.position.clone().add(delta);
+            this.placeObject(start.id, target);
+        }
     }
 
     /**
-     * Start camera panning
+     * Move an element to a world position, carrying a container's contents
+     * along
      */
-    startCameraPan(event) {
-        this.isPanning = true;
-        this.panStartMouse.set(event.clientX, event.clientY);
-        this.panStartCameraPosition.copy(this.camera.position);
-        this.container.style.cursor = 'move';
-        
-        // Clear any hover effects
-        if (this.hoveredObject) {
-            this.setObjectHighlight(this.hoveredObject, false);
-            this.hoveredObject = null;
+    placeObject(objectId, target) {
+        const mesh = this.meshes.get(objectId);
+        const position = new THREE.Vector3(target.x, mesh.position.y, target.z);
+
+        const delta = new THREE.Vector3().subVectors(position, mesh.position);
+        mesh.position.copy(position);
+        if (mesh.userData.type === 'container') {
+            this.moveContainerChildren(objectId, delta);
         }
-        this.hideTooltip();
+        this.updateConnectionsForMovedObject(objectId);
     }
 
     /**
-     * Handle camera panning movement
+     * Settle an element dropped at its new position: its container grows to
+     * hold it, unless it is a component dropped well past the container's
+     * edge, which moves to the container under it (or the top level); when
+     * that container won't take it, it goes back to `startPosition`
      */
-    handleCameraPan(event) {
-        if (!this.isPanning) return;
+    settleObject(objectId, startPosition) {
+        const mesh = this.meshes.get(objectId);
+        const objectData = this.getObjectData(objectId);
+        const parentMesh = this.meshes.get(objectData?.parent);
+        if (!parentMesh) return;
+
+        const bounds = this.getContainerBounds(parentMesh);
+        const outside = Math.max(
+            bounds.minX - mesh.position.x, mesh.position.x - bounds.maxX,
+            bounds.minZ - mesh.position.z, mesh.position.z - bounds.maxZ
+        );
+        if (objectData.type !== 'component' || outside <= CONTAINER_EDGE_THRESHOLD) {
+            this.fitContainer(objectData.parent);
+            return;
+        }
 
-        const currentMouse = new THREE.Vector2(event.clientX, event.clientY);
-        const delta = new THREE.Vector2().subVectors(currentMouse, this.panStartMouse);
-        
-        // Convert screen space movement to world space movement
-        // For orthographic camera, we need to account for the zoom and camera orientation
-        const panSpeed = 0.5;
-        
-        // Get the camera's right and up vectors in world space
-        const cameraMatrix = this.camera.matrixWorld.clone();
-        const right = new THREE.Vector3().setFromMatrixColumn(cameraMatrix, 0); // X axis
-        const up = new THREE.Vector3().setFromMatrixColumn(cameraMatrix, 1);    // Y axis
-        
-        // Normalize the vectors
-        right.normalize();
-        up.normalize();
-        
-        // Calculate movement in world space
-        const rightMovement = right.multiplyScalar(-delta.x * panSpeed / this.camera.zoom);
-        const upMovement = up.multiplyScalar(delta.y * panSpeed / this.camera.zoom);
-        
-        // Apply the movement to camera position
-        const newPosition = this.panStartCameraPosition.clone()
-            .add(rightMovement)
-            .add(upMovement);
-        
-        this.camera.position.copy(newPosition);
-        
-        // DO NOT call lookAt() - this preserves the camera's orientation
+        const target = this.findInnermostContainerAt(mesh.position);
+        if (!this.isValidContainerAssignment(objectId, target)) {
+            this.showContainerRejectionFeedback(this.meshes.get(target));
+            this.placeObject(objectId, startPosition);
+            this.fitContainer(objectData.parent);
+            return;
+        }
+
+        const previousParent = objectData.parent;
+        this.updateComponentParentContainer(objectId, target);
+        this.fitContainer(previousParent);
+        if (target) this.fitContainer(target);
     }
 
     /**
-     * End camera panning
+     * Turn snapping to the ground grid on (every `step` units, a grid cell
+     * by default) or off
      */
-    endCameraPan() {
-        this.isPanning = false;
-        this.container.style.cursor = 'default';
+    setSnapToGrid(enabled, step = GRID_STEP) {
+        this.snapStep = enabled ? step : 0;
     }
 
     /**
-     * Find the best target for hover/drag from intersections
-     * Prioritizes components over containers for better UX
+     * Adjust a dragged element's position: an edge or center close to a
+     * neighbour's lines up with it (showing a guide), else the center snaps
+     * to the grid when snapping is on
      */
-    findBestHoverTarget(intersects) {
-        // First, try to find any component in the intersections
-        for (const intersect of intersects) {
+    snapDragPosition(position, snap) {
+        this.clearGuides();
+        if (!snap) return;
+
+        const objectId = this.draggedObject.userData.id;
+        const rect = this.getFootprintRect(objectId);
+        const half = { x: (rect.maxX - rect.minX) / 2, z: (rect.maxZ - rect.minZ) / 2 };
+
+        // Neighbours: anything shown but the dragged elements, what they
+        // contain and the containers around them, which grow to fit
+        const excluded = new Set([objectId, ...this.getAncestorIds(objectId)]);
+        for (const id of [objectId, ...this.dragGroup.map(start => start.id)]) {
+            excluded.add(id);
+            this.getDescendantIds(id).forEach(descendant => excluded.add(descendant));
+        }
+        const neighbours = [...this.meshes.keys()]
+            .filter(id => !excluded.has(id) && this.meshes.get(id).visible)
+            .map(id => this.getFootprintRect(id));
+
+        const matches = {};
+        for (const axis of ['x', 'z']) {
+            const [minKey, maxKey] = axis === 'x' ? ['minX', 'maxX'] : ['minZ', 'maxZ'];
+            let best = null;
+
+            for (const neighbour of neighbours) {
+                const lines = [neighbour[minKey], (neighbour[minKey] + neighbour[maxKey]) / 2, neighbour[maxKey]];
+                for (const offset of [-half[axis], 0, half[axis]]) {
+                    for (const line of lines) {
+                        const distance = Math.abs(position[axis] + offset - line);
+                        if (distance <= GUIDE_THRESHOLD && (!best || distance < best.distance)) {
+                            best = { distance, line, center: line - offset, neighbour };
+                        }
+                    }
+                }
+            }
+
+            if (best) {
+                position[axis] = best.center;
+                matches[axis] = best;
+            } else if (this.snapStep > 0) {
+                position[axis] = Math.round(position[axis] / this.snapStep) * this.snapStep;
+            }
+        }
+
+        // Guides run across both elements along the aligned line
+        for (const [axis, match] of Object.entries(matches)) {
+            const other = axis === 'x' ? 'z' : 'x';
+            const [minKey, maxKey] = other === 'x' ? ['minX', 'maxX'] : ['minZ', 'maxZ'];
+            const from = Math.min(position[other] - half[other], match.neighbour[minKey]) - 10;
+            const to = Math.max(position[other] + half[other], match.neighbour[maxKey]) + 10;
+            this.addGuide(axis === 'x'
+                ? [new THREE.Vector3(match.line, 1, from), new THREE.Vector3(match.line, 1, to)]
+                : [new THREE.Vector3(from, 1, match.line), new THREE.Vector3(to, 1, match.line)]);
+        }
+    }
+
+    /**
+     * Draw an alignment guide between two ground points
+     */
+    addGuide(points) {
+        const material = new THREE.LineDashedMaterial({ color: GUIDE_COLOR, dashSize: 4, gapSize: 3, depthTest: false });
+        const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), material);
+        line.computeLineDistances();
+        line.renderOrder = 10;
+        this.scene.add(line);
+        this.guideLines.push(line);
+    }
+
+    /**
+     * Remove the alignment guides
+     */
+    clearGuides() {
+        for (const line of this.guideLines) {
+            this.scene.remove(line);
+            this.disposeObject(line);
+        }
+        this.guideLines = [];
+    }
+
+    /**
+     * Size a container to its laid-out size, or larger when its contents
+     * reach past it (keeping its center, as the layout does), then its own
+     * container in turn
+     */
+    fitContainer(containerId) {
+        const mesh = this.meshes.get(containerId);
+        const container = this.getObjectData(containerId);
+        if (!mesh || !container || mesh.userData.collapsed) return;
+
+        let { width, depth } = mesh.userData.layoutSize;
+        for (const childId of container.children || []) {
+            if (!this.meshes.has(childId)) continue;
+
+            const rect = this.getFootprintRect(childId);
+            const reachX = Math.max(mesh.position.x - rect.minX, rect.maxX - mesh.position.x) + CONTAINER_PADDING;
+            const reachZ = Math.max(mesh.position.z - rect.minZ, rect.maxZ - mesh.position.z) + CONTAINER_PADDING;
+            width = Math.max(width, Math.ceil(reachX * 2));
+            depth = Math.max(depth, Math.ceil(reachZ * 2));
+        }
+
+        this.resizeContainer(containerId, width, depth);
+        if (container.parent) this.fitContainer(container.parent);
+    }
+
+    /**
+     * Rebuild a container's mesh at a new size, in place
+     */
+    resizeContainer(containerId, width, depth) {
+        const previous = this.meshes.get(containerId);
+        const size = previous.userData.containerSize;
+        if (size.width === width && size.depth === depth) return;
+
+        const ground = { x: previous.position.x, y: previous.position.y - this.containerHeight / 2, z: previous.position.z };
+        const mesh = this.createContainerMesh(this.getObjectData(containerId), this.currentDiagram.styles, ground, { width, depth });
+        const { id, type, annotation, layoutSize } = previous.userData;
+        Object.assign(mesh.userData, { id, type, annotation, layoutSize });
+
+        // The port is shared by every element, so it isn't disposed with the mesh
+        const port = previous.children.find(child => child.userData.portOf);
+        if (port) previous.remove(port);
+        if (this.hoveredObject === previous) this.hoveredObject = null;
+        this.removeHighlightBorder(previous);
+        this.scene.remove(previous);
+        this.disposeObject(previous);
+
+        this.scene.add(mesh);
+        this.meshes.set(containerId, mesh);
+        if (this.connectMode) mesh.add(this.createPort(mesh));
+        if (this.selectedIds.has(containerId)) this.setObjectSelection(mesh, true);
+        if (this.searchQuery) this.applySearch();
+        this.updateConnectionsForMovedObject(containerId);
+    }
+
+    /**
+     * End dragging
+     */
+    endDrag() {
+        const object = this.draggedObject;
+        
+        this.isDragging = false;
+        this.draggedObject = null;
+        this.container.style.cursor = 'default';
+        
+        const group = this.dragGroup;
+        this.dragGroup = [];
+        this.clearGuides();
+        
+        if (object && !object.position.equals(this.dragStartPosition)) {
+            this.suppressClick = true;
+            const start = {
+                id: object.userData.id,
+                position: this.dragStartPosition.clone(),
+                parent: this.dragStartParent,
+                pinned: this.dragStartPinned
+            };
+            [start, ...group].forEach(moved => this.settleObject(moved.id, moved.position));
+
+            if (group.length > 0) {
+                this.emit('groupmove', { moves: this.commitMoves([start, ...group]) });
+            } else if (!object.position.equals(start.position)) {
+                this.commitObjectMove(object);
+            }
+        }
+    }
+
+    /**
+     * Where an element starts from before it moves, to report the move later
+     */
+    getMoveStart(objectId) {
+        const objectData = this.getObjectData(objectId);
+        return {
+            id: objectId,
+            position: this.meshes.get(objectId).position.clone(),
+            parent: objectData?.parent || null,
+            pinned: objectData?.properties.position ? { ...objectData.properties.position } : null
+        };
+    }
+
+    /**
+     * Pin the elements that moved at their new positions in the model,
+     * returning their moves (shaped like 'objectmove' events)
+     */
+    commitMoves(starts) {
+        const moves = [];
+
+        for (const start of starts) {
+            const mesh = this.meshes.get(start.id);
+            const objectData = this.getObjectData(start.id);
+            if (!objectData || mesh.position.equals(start.position)) continue;
+
+            const position = this.getRelativePosition(start.id);
+            objectData.properties.position = position;
+            moves.push({
+                id: start.id,
+                parent: objectData.parent || null,
+                previousParent: start.parent,
+                position,
+                previousPosition: start.pinned,
+                from: { x: start.position.x, z: start.position.z },
+                to: { x: mesh.position.x, z: mesh.position.z }
+            });
+        }
+
+        return moves;
+    }
+
+    /**
+     * Pin a moved object at its new position in the model and notify listeners
+     */
+    commitObjectMove(object) {
+        const objectId = object.userData.id;
+        const objectData = this.getObjectData(objectId);
+        if (!objectData) return;
+        
+        const position = this.getRelativePosition(objectId);
+        objectData.properties.position = position;
+        
+        this.emit('objectmove', {
+            id: objectId,
+            parent: objectData.parent || null,
+            previousParent: this.dragStartParent,
+            position,
+            previousPosition: this.dragStartPinned,
+            from: { x: this.dragStartPosition.x, z: this.dragStartPosition.z },
+            to: { x: object.position.x, z: object.position.z }
+        });
+    }
+
+    /**
+     * Put an object back at a world position with the given parent and pin
+     * (used to replay moves from history)
+     */
+    setObjectPlacement(objectId, worldPosition, parent, pinnedPosition) {
+        const mesh = this.meshes.get(objectId);
+        const objectData = this.getObjectData(objectId);
+        if (!mesh || !objectData) return;
+        const previousParent = objectData.parent;
+        
+        if (objectData.type === 'component' && (objectData.parent || null) !== (parent || null)) {
+            this.updateComponentParentContainer(objectId, parent);
+        }
+        
+        const delta = new THREE.Vector3(worldPosition.x - mesh.position.x, 0, worldPosition.z - mesh.position.z);
+        mesh.position.add(delta);
+        if (objectData.type === 'container') {
+            this.moveContainerChildren(objectId, delta);
+        }
+        
+        if (pinnedPosition) {
+            objectData.properties.position = { ...pinnedPosition };
+        } else {
+            delete objectData.properties.position;
+        }
+        
+        this.updateConnectionsForMovedObject(objectId);
+
+        // Containers grown for the object shrink back once it has left
+        if (previousParent) this.fitContainer(previousParent);
+        if (objectData.parent && objectData.parent !== previousParent) this.fitContainer(objectData.parent);
+    }
+
+    /**
+     * Get an object's ground position relative to its parent container's center
+     * (absolute for top-level objects), as stored in the DSL `position` property
+     */
+    getRelativePosition(objectId) {
+        const mesh = this.meshes.get(objectId);
+        const parentId = this.getObjectData(objectId)?.parent;
+        const parentMesh = parentId ? this.meshes.get(parentId) : null;
+        
+        return {
+            x: Math.round(mesh.position.x - (parentMesh ? parentMesh.position.x : 0)),
+            z: Math.round(mesh.position.z - (parentMesh ? parentMesh.position.z : 0))
+        };
+    }
+
+    /**
+     * Start camera panning
+     */
+    startCameraPan(event) {
+        this.isPanning = true;
+        this.panStartViewState = this.getViewState();
+        this.panStartMouse.set(event.clientX, event.clientY);
+        this.panStartCameraPosition.copy(this.camera.position);
+        this.container.style.cursor = 'move';
+        
+        // Clear any hover effects
+        if (this.hoveredObject) {
+            this.setObjectHighlight(this.hoveredObject, false);
+            this.hoveredObject = null;
+        }
+        this.hideTooltip();
+    }
+
+    /**
+     * Handle camera panning movement
+     */
+    handleCameraPan(event) {
+        if (!this.isPanning) return;
+
+        const currentMouse = new THREE.Vector2(event.clientX, event.clientY);
+        const delta = new THREE.Vector2().subVectors(currentMouse, this.panStartMouse);
+        
+        // Convert screen space movement to world space movement
+        // For orthographic camera, we need to account for the zoom and camera orientation
+        const panSpeed = 0.5;
+        
+        // Get the camera's right and up vectors in world space
+        const cameraMatrix = this.camera.matrixWorld.clone();
+        const right = new THREE.Vector3().setFromMatrixColumn(cameraMatrix, 0); // X axis
+        const up = new THREE.Vector3().setFromMatrixColumn(cameraMatrix, 1);    // Y axis
+        
+        // Normalize the vectors
+        right.normalize();
+        up.normalize();
+        
+        // Calculate movement in world space
+        const rightMovement = right.multiplyScalar(-delta.x * panSpeed / this.camera.zoom);
+        const upMovement = up.multiplyScalar(delta.y * panSpeed / this.camera.zoom);
+        
+        // Apply the movement to camera position
+        const newPosition = this.panStartCameraPosition.clone()
+            .add(rightMovement)
+            .add(upMovement);
+        
+        this.camera.position.copy(newPosition);
+        
+        // DO NOT call lookAt() - this preserves the camera's orientation
+    }
+
+    /**
+     * End camera panning
+     */
+    endCameraPan() {
+        this.isPanning = false;
+        this.container.style.cursor = 'default';
+        
+        if (this.panStartViewState) {
+            this.emitViewChange(this.panStartViewState);
+            this.panStartViewState = null;
+        }
+    }
+
+    /**
+     * Find the best target for hover/drag from intersections
+     * Prioritizes components over containers for better UX
+     */
+    findBestHoverTarget(intersects) {
+        // First, try to find any component in the intersections
+        for (const intersect of intersects) {
             const object = intersect.object;
             if (object.userData.id && object.userData.type === 'component') {
                 return object;
@@ -587,6 +1419,27 @@ export class IsometricRenderer {
         return null; // Not inside any container
     }
 
+    /**
+     * Innermost (smallest) container whose bounds hold a ground position
+     */
+    findInnermostContainerAt(position) {
+        let best = null;
+        let bestArea = Infinity;
+        for (const containerId of Object.keys(this.currentDiagram?.containers || {})) {
+            const containerMesh = this.meshes.get(containerId);
+            if (!containerMesh) continue;
+
+            const bounds = this.getContainerBounds(containerMesh);
+            const area = (bounds.maxX - bounds.minX) * (bounds.maxZ - bounds.minZ);
+            if (position.x >= bounds.minX && position.x <= bounds.maxX &&
+                position.z >= bounds.minZ && position.z <= bounds.maxZ && area < bestArea) {
+                best = containerId;
+                bestArea = area;
+            }
+        }
+        return best;
+    }
+
     /**
      * Check if a component can be assigned to a specific container
      * This enforces business rules based on the original DSL structure
@@ -642,7 +1495,7 @@ export class IsometricRenderer {
             setTimeout(() => {
                 if (containerMesh.material) {
                     containerMesh.material.opacity = originalOpacity;
-                    containerMesh.material.color.setHex(0xcccccc); // Back to normal
+                    containerMesh.material.color.copy(containerMesh.userData.baseColor); // Back to normal
                 }
             }, 500);
         }
@@ -706,7 +1559,7 @@ export class IsometricRenderer {
             setTimeout(() => {
                 if (containerMesh.material) {
                     containerMesh.material.opacity = originalOpacity;
-                    containerMesh.material.color.setHex(0xcccccc); // Back to normal
+                    containerMesh.material.color.copy(containerMesh.userData.baseColor); // Back to normal
                 }
             }, 300);
         }
@@ -730,26 +1583,6 @@ export class IsometricRenderer {
         };
     }
 
-    /**
-     * Show visual feedback when boundary constraint is applied
-     */
-    showBoundaryConstraintFeedback(containerMesh) {
-        // Temporarily highlight the container boundary
-        if (containerMesh.material) {
-            const originalOpacity = containerMesh.material.opacity;
-            containerMesh.material.opacity = 0.4;
-            containerMesh.material.color.setHex(0xff6666); // Reddish tint
-            
-            // Reset after short delay
-            setTimeout(() => {
-                if (containerMesh.material) {
-                    containerMesh.material.opacity = originalOpacity;
-                    containerMesh.material.color.setHex(0xcccccc); // Back to normal
-                }
-            }, 200);
-        }
-    }
-
     /**
      * Get object data from current diagram
      */
@@ -787,62 +1620,94 @@ export class IsometricRenderer {
      * Update connections for a moved object and all its children
      */
     updateConnectionsForMovedObject(objectId) {
-        // Update connections for the main object
-        this.updateConnections(objectId);
-        
-        // If it's a container, update connections for all children recursively
-        if (this.currentDiagram && this.currentDiagram.containers[objectId]) {
-            const container = this.currentDiagram.containers[objectId];
-            if (container.children) {
-                container.children.forEach(childId => {
-                    this.updateConnections(childId);
-                    
-                    // If child is also a container, recurse
-                    if (this.currentDiagram.containers[childId]) {
-                        this.updateConnectionsForMovedObject(childId);
-                    }
-                });
+        // Moving any footprint can open or block paths for unrelated
+        // relations too, so every connection is re-routed
+        this.updateConnections();
+    }
+
+    /**
+     * Re-route all connections and update their geometry in place
+     */
+    updateConnections() {
+        if (!this.currentDiagram) return;
+
+        const routes = this.computeConnectionRoutes();
+        for (const { relation, points } of routes) {
+            const connection = this.connections.find(c => c.userData.relation === relation);
+            if (connection) {
+                this.updateConnectionGeometry(connection, points);
             }
         }
     }
 
     /**
-     * Update connections for a moved object
+     * Route every rendered relation around the current mesh footprints
      */
-    updateConnections(objectId) {
-        // Remove old connections involving this object
-        const connectionsToRemove = this.connections.filter(connection => 
-            connection.userData.fromId === objectId || connection.userData.toId === objectId
-        );
-        
-        connectionsToRemove.forEach(connection => {
-            this.scene.remove(connection);
-            if (connection.geometry) connection.geometry.dispose();
-            if (connection.material) connection.material.dispose();
-        });
-        
-        // Remove from connections array
-        this.connections = this.connections.filter(connection => 
-            connection.userData.fromId !== objectId && connection.userData.toId !== objectId
+    computeConnectionRoutes() {
+        const relations = this.currentDiagram.relations.filter(relation =>
+            this.meshes.has(relation.from) && this.meshes.has(relation.to)
         );
-        
-        // Recreate connections involving this object
-        if (this.currentDiagram) {
-            for (const relation of this.currentDiagram.relations) {
-                if (relation.from === objectId || relation.to === objectId) {
-                    const fromMesh = this.meshes.get(relation.from);
-                    const toMesh = this.meshes.get(relation.to);
-                    
-                    if (fromMesh && toMesh) {
-                        const connection = this.createConnection(fromMesh, toMesh, relation.label);
-                        connection.userData.fromId = relation.from;
-                        connection.userData.toId = relation.to;
-                        this.scene.add(connection);
-                        this.connections.push(connection);
-                    }
-                }
-            }
+        const obstacles = [...this.meshes.keys()].map(id => this.getFootprintRect(id));
+
+        const edges = relations.map(relation => ({
+            source: this.getFootprintRect(relation.from),
+            target: this.getFootprintRect(relation.to),
+            // Routes may run inside the endpoints' own containers and children
+            passable: new Set([
+                ...this.getAncestorIds(relation.from),
+                ...this.getAncestorIds(relation.to),
+                ...this.getDescendantIds(relation.from),
+                ...this.getDescendantIds(relation.to)
+            ])
+        }));
+
+        const routes = this.router.routeAll(edges, obstacles);
+        return relations.map((relation, i) => ({ relation, points: routes[i] }));
+    }
+
+    /**
+     * Get the ground plane footprint of a rendered object as a rect
+     */
+    getFootprintRect(objectId) {
+        const mesh = this.meshes.get(objectId);
+
+        if (mesh.userData.type === 'container') {
+            return { id: objectId, ...this.getContainerBounds(mesh) };
+        }
+
+        const footprint = mesh.userData.footprint || { width: 30, depth: 20 };
+        return {
+            id: objectId,
+            minX: mesh.position.x - footprint.width / 2,
+            maxX: mesh.position.x + footprint.width / 2,
+            minZ: mesh.position.z - footprint.depth / 2,
+            maxZ: mesh.position.z + footprint.depth / 2
+        };
+    }
+
+    /**
+     * Get the ids of all containers enclosing an object
+     */
+    getAncestorIds(objectId) {
+        const ancestors = [];
+        let parentId = this.getObjectData(objectId)?.parent;
+
+        while (parentId && !ancestors.includes(parentId)) {
+            ancestors.push(parentId);
+            parentId = this.getObjectData(parentId)?.parent;
         }
+
+        return ancestors;
+    }
+
+    /**
+     * Get the ids of everything nested inside a container
+     */
+    getDescendantIds(objectId) {
+        const container = this.currentDiagram?.containers[objectId];
+        if (!container || !container.children) return [];
+
+        return container.children.flatMap(childId => [childId, ...this.getDescendantIds(childId)]);
     }
 
     /**
@@ -946,56 +1811,263 @@ export class IsometricRenderer {
     }
 
     /**
-     * Show tooltip for object
+     * Highlight an element as selected without a click (null clears the selection)
      */
-    showTooltip(object, event) {
-        const annotation = object.userData.annotation;
-        if (annotation && annotation.tooltip) {
-            // Create or update tooltip element
-            let tooltip = document.getElementById('three-tooltip');
-            if (!tooltip) {
-                tooltip = document.createElement('div');
-                tooltip.id = 'three-tooltip';
-                tooltip.style.position = 'absolute';
-                tooltip.style.background = 'rgba(0, 0, 0, 0.8)';
-                tooltip.style.color = 'white';
-                tooltip.style.padding = '8px 12px';
-                tooltip.style.borderRadius = '4px';
-                tooltip.style.fontSize = '12px';
-                tooltip.style.pointerEvents = 'none';
-                tooltip.style.zIndex = '1000';
-                document.body.appendChild(tooltip);
-            }
-            
-            tooltip.textContent = annotation.tooltip;
-            tooltip.style.left = event.clientX + 10 + 'px';
-            tooltip.style.top = event.clientY - 10 + 'px';
-            tooltip.style.display = 'block';
-        }
+    selectObject(id) {
+        this.setSelection(id ? [id] : []);
     }
 
     /**
-     * Hide tooltip
+     * Highlight exactly these elements as selected, without emitting 'select'
      */
-    hideTooltip() {
-        const tooltip = document.getElementById('three-tooltip');
-        if (tooltip) {
-            tooltip.style.display = 'none';
+    setSelection(ids) {
+        for (const id of this.selectedIds) {
+            const mesh = this.meshes.get(id);
+            if (mesh) this.setObjectSelection(mesh, false);
+        }
+
+        this.selectedIds = new Set(ids.filter(id => this.meshes.has(id)));
+        for (const id of this.selectedIds) {
+            this.setObjectSelection(this.meshes.get(id), true);
         }
     }
 
     /**
-     * Render diagram from parsed model
+     * Ids of the selected elements, in selection order
      */
-    render(diagram) {
-        // Store reference to current diagram for drag updates
-        this.currentDiagram = diagram;
-        
-        // Clear existing objects
-        this.clear();
+    getSelectedIds() {
+        return [...this.selectedIds];
+    }
 
-        // Calculate layout positions
-        const layout = this.calculateLayout(diagram);
+    /**
+     * Emit 'select' for the current element selection
+     */
+    emitSelection() {
+        const ids = this.getSelectedIds();
+        if (ids.length === 0) {
+            this.emit('select', null);
+        } else if (ids.length === 1) {
+            this.emit('select', { type: this.meshes.get(ids[0]).userData.type, id: ids[0] });
+        } else {
+            this.emit('select', { type: 'multiple', ids });
+        }
+    }
+
+    /**
+     * Whether an element can be dragged: not when the view shows it outside
+     * its hidden container, as its position can't be written back there
+     */
+    isMovable(id) {
+        return !this.getObjectData(id)?.reparented;
+    }
+
+    /**
+     * Drop the ids nested inside another of the given containers (they move
+     * with it)
+     */
+    getTopmostIds(ids) {
+        const set = new Set(ids);
+        return ids.filter(id => !this.getAncestorIds(id).some(ancestor => set.has(ancestor)));
+    }
+
+    /**
+     * Start drawing a selection box
+     */
+    startMarquee(event) {
+        const element = document.createElement('div');
+        element.className = 'selection-marquee';
+        Object.assign(element.style, {
+            position: 'fixed',
+            border: '1px dashed #667eea',
+            background: 'rgba(102, 126, 234, 0.12)',
+            pointerEvents: 'none',
+            zIndex: '1000'
+        });
+        this.container.appendChild(element);
+
+        this.marquee = { element, startX: event.clientX, startY: event.clientY };
+        this.updateMarquee(event);
+    }
+
+    /**
+     * Stretch the selection box to the cursor
+     */
+    updateMarquee(event) {
+        const box = this.getMarqueeBox(event);
+        Object.assign(this.marquee.element.style, {
+            left: `${box.left}px`,
+            top: `${box.top}px`,
+            width: `${box.right - box.left}px`,
+            height: `${box.bottom - box.top}px`
+        });
+    }
+
+    /**
+     * Finish the selection box, adding what it encloses to the selection:
+     * components whose center and containers whose whole floor is inside
+     */
+    endMarquee(event) {
+        const box = this.getMarqueeBox(event);
+        this.marquee.element.remove();
+        this.marquee = null;
+
+        // A shift-click rather than a drag: the click toggles the element
+        if (box.right - box.left < 4 && box.bottom - box.top < 4) return;
+        this.suppressClick = true;
+
+        const canvas = this.renderer.domElement.getBoundingClientRect();
+        const inside = (x, y, z) => {
+            const point = new THREE.Vector3(x, y, z).project(this.camera);
+            const screenX = canvas.left + (point.x + 1) / 2 * canvas.width;
+            const screenY = canvas.top + (1 - point.y) / 2 * canvas.height;
+            return screenX >= box.left && screenX <= box.right && screenY >= box.top && screenY <= box.bottom;
+        };
+
+        const enclosed = [];
+        for (const [id, mesh] of this.meshes) {
+            if (!mesh.visible) continue;
+
+            const { x, y, z } = mesh.position;
+            if (mesh.userData.type === 'container') {
+                const bounds = this.getContainerBounds(mesh);
+                const corners = [[bounds.minX, bounds.minZ], [bounds.minX, bounds.maxZ], [bounds.maxX, bounds.minZ], [bounds.maxX, bounds.maxZ]];
+                if (corners.every(([cornerX, cornerZ]) => inside(cornerX, y, cornerZ))) enclosed.push(id);
+            } else if (inside(x, y, z)) {
+                enclosed.push(id);
+            }
+        }
+
+        this.setSelection([...this.selectedIds, ...enclosed]);
+        this.emitSelection();
+    }
+
+    /**
+     * Screen rectangle between where the selection box started and the cursor
+     */
+    getMarqueeBox(event) {
+        const { startX, startY } = this.marquee;
+        return {
+            left: Math.min(startX, event.clientX),
+            right: Math.max(startX, event.clientX),
+            top: Math.min(startY, event.clientY),
+            bottom: Math.max(startY, event.clientY)
+        };
+    }
+
+    /**
+     * Line up the selected elements' edges or centers: 'left', 'center' and
+     * 'right' along X, 'top', 'middle' and 'bottom' along Z; returns the moves
+     * made (shaped like 'objectmove' events)
+     */
+    alignSelection(mode) {
+        const ids = this.getTopmostIds(this.getSelectedIds()).filter(id => this.isMovable(id));
+        if (ids.length < 2) return [];
+
+        const axis = ['left', 'center', 'right'].includes(mode) ? 'x' : 'z';
+        const [minKey, maxKey] = axis === 'x' ? ['minX', 'maxX'] : ['minZ', 'maxZ'];
+        const rects = ids.map(id => this.getFootprintRect(id));
+        const min = Math.min(...rects.map(rect => rect[minKey]));
+        const max = Math.max(...rects.map(rect => rect[maxKey]));
+
+        return this.moveSelected(ids, (id, index) => {
+            const half = (rects[index][maxKey] - rects[index][minKey]) / 2;
+            if (mode === 'left' || mode === 'top') return min + half;
+            if (mode === 'right' || mode === 'bottom') return max - half;
+            return (min + max) / 2;
+        }, axis);
+    }
+
+    /**
+     * Space the selected elements' centers evenly along 'x' or 'z', keeping
+     * the outermost ones in place; returns the moves made
+     */
+    distributeSelection(axis) {
+        const ids = this.getTopmostIds(this.getSelectedIds()).filter(id => this.isMovable(id));
+        if (ids.length < 3) return [];
+
+        const order = [...ids].sort((a, b) => this.meshes.get(a).position[axis] - this.meshes.get(b).position[axis]);
+        const first = this.meshes.get(order[0]).position[axis];
+        const last = this.meshes.get(order[order.length - 1]).position[axis];
+        const step = (last - first) / (order.length - 1);
+
+        return this.moveSelected(ids, (id) => first + order.indexOf(id) * step, axis);
+    }
+
+    /**
+     * Move elements along one axis to the coordinates `getTarget(id, index)`
+     * gives, then pin them and return their moves
+     */
+    moveSelected(ids, getTarget, axis) {
+        const starts = ids.map(id => this.getMoveStart(id));
+
+        ids.forEach((id, index) => {
+            const target = this.meshes.get(id).position.clone();
+            target[axis] = getTarget(id, index);
+            this.placeObject(id, target);
+        });
+        starts.forEach(start => this.settleObject(start.id, start.position));
+
+        return this.commitMoves(starts);
+    }
+
+    /**
+     * Show tooltip for object
+     */
+    showTooltip(object, event) {
+        const annotation = object.userData.annotation;
+        if (annotation && annotation.tooltip) {
+            // Create or update tooltip element
+            let tooltip = document.getElementById('three-tooltip');
+            if (!tooltip) {
+                tooltip = document.createElement('div');
+                tooltip.id = 'three-tooltip';
+                tooltip.style.position = 'absolute';
+                tooltip.style.background = 'rgba(0, 0, 0, 0.8)';
+                tooltip.style.color = 'white';
+                tooltip.style.padding = '8px 12px';
+                tooltip.style.borderRadius = '4px';
+                tooltip.style.fontSize = '12px';
+                tooltip.style.pointerEvents = 'none';
+                tooltip.style.zIndex = '1000';
+                document.body.appendChild(tooltip);
+            }
+            
+            tooltip.textContent = annotation.tooltip;
+            tooltip.style.left = event.clientX + 10 + 'px';
+            tooltip.style.top = event.clientY - 10 + 'px';
+            tooltip.style.display = 'block';
+        }
+    }
+
+    /**
+     * Hide tooltip
+     */
+    hideTooltip() {
+        const tooltip = document.getElementById('three-tooltip');
+        if (tooltip) {
+            tooltip.style.display = 'none';
+        }
+    }
+
+    /**
+     * Render diagram from parsed model
+     */
+    render(fullDiagram, options = {}) {
+        // Store reference to current diagram for drag updates; it only holds
+        // the selected view's elements and relations, with collapsed
+        // containers standing in for their contents
+        const visible = applyView(fullDiagram, this.diagramView);
+        const diagram = collapseContainers(visible, this.getCollapsedIds(visible));
+        this.sourceDiagram = fullDiagram;
+        this.currentDiagram = diagram;
+        this.colorScale = this.colorBy ? createColorScale(diagram, this.colorBy) : null;
+        this.applyTheme(this.themeOverride || diagram.theme);
+        
+        // Clear existing objects
+        this.clear();
+
+        // Calculate layout positions
+        const layout = this.calculateLayout(diagram);
 
         // Render components
         for (const [id, component] of Object.entries(diagram.components)) {
@@ -1005,6 +2077,7 @@ export class IsometricRenderer {
                 mesh.userData.id = id;
                 mesh.userData.type = 'component';
                 mesh.userData.annotation = diagram.annotations[id];
+                mesh.userData.footprint = this.getComponentFootprint(component, diagram.styles);
                 this.scene.add(mesh);
                 this.meshes.set(id, mesh);
             }
@@ -1015,175 +2088,251 @@ export class IsometricRenderer {
             const position = layout.containers[id];
             if (position) {
                 const containerSize = position.containerSize;
-                const mesh = this.createContainerMesh(container, position, containerSize);
+                const mesh = this.createContainerMesh(container, diagram.styles, position, containerSize);
                 mesh.userData.id = id;
                 mesh.userData.type = 'container';
                 mesh.userData.annotation = diagram.annotations[id];
+                mesh.userData.layoutSize = { width: mesh.userData.containerSize.width, depth: mesh.userData.containerSize.depth };
                 this.scene.add(mesh);
                 this.meshes.set(id, mesh);
             }
         }
 
-        // Render relations
-        for (const relation of diagram.relations) {
-            const fromMesh = this.meshes.get(relation.from);
-            const toMesh = this.meshes.get(relation.to);
-            
-            if (fromMesh && toMesh) {
-                const connection = this.createConnection(fromMesh, toMesh, relation.label);
-                connection.userData.fromId = relation.from;
-                connection.userData.toId = relation.to;
-                this.scene.add(connection);
-                this.connections.push(connection);
-            }
+        // Render relations as routed polylines
+        for (const { relation, points } of this.computeConnectionRoutes()) {
+            const connection = this.createConnection(relation, points);
+            this.scene.add(connection);
+            this.connections.push(connection);
         }
 
+        this.updatePorts();
+        this.applySearch();
+
         // Center camera on diagram
-        this.centerCamera(layout);
+        if (!options.keepCamera) {
+            this.centerCamera(layout);
+        }
     }
 
     /**
-     * Calculate layout positions for all elements
+     * Color elements by their first tag ('tag') or a meta value
+     * ('meta.<key>'), or by their styles again (null)
+     * Takes effect on the next render
      */
-    calculateLayout(diagram) {
-        const layout = {
-            components: {},
-            containers: {}
-        };
+    setColorBy(colorBy) {
+        this.colorBy = colorBy || null;
+    }
 
-        // Simple grid layout with increased spacing
-        let x = 0, z = 0;
-        const spacing = this.gridSize * 1.5;
+    /**
+     * Fill color of an element: the color of its tag or meta value when
+     * coloring by one (gray for components without it), else its style color
+     */
+    getElementColor(element, style, fallback) {
+        if (this.colorScale) {
+            const value = getColorValue(element, this.colorBy);
+            if (value !== null) return this.colorScale.get(String(value));
+            if (element.type === 'component') return UNCATEGORIZED_COLOR;
+        }
+        return style.color || fallback;
+    }
 
-        // Position containers first and calculate their required sizes
-        for (const [id, container] of Object.entries(diagram.containers)) {
-            if (!container.parent) { // Only top-level containers
-                // Calculate required container size based on children
-                const containerInfo = this.calculateContainerLayout(id, container, diagram, spacing);
-                
-                layout.containers[id] = { x, y: 0, z };
-                
-                // Position children within container bounds
-                for (const [childId, childPos] of Object.entries(containerInfo.childPositions)) {
-                    if (diagram.components[childId]) {
-                        layout.components[childId] = {
-                            x: x + childPos.x,
-                            y: 5,
-                            z: z + childPos.z
-                        };
-                    } else if (diagram.containers[childId]) {
-                        layout.containers[childId] = {
-                            x: x + childPos.x,
-                            y: 5,
-                            z: z + childPos.z
-                        };
-                    }
-                }
-                
-                // Store container size for later use
-                layout.containers[id].containerSize = containerInfo.size;
-                
-                x += containerInfo.size.width + spacing;
-                if (x > spacing * 4) {
-                    x = 0;
-                    z += containerInfo.size.depth + spacing;
-                }
-            }
+    /**
+     * Dim the elements and relations a search query doesn't match
+     * (an empty query shows everything)
+     */
+    setSearch(query) {
+        this.searchQuery = query || '';
+        this.applySearch();
+    }
+
+    /**
+     * Apply the search query to the rendered scene
+     * Relations stay visible when they or one of their ends match
+     */
+    applySearch() {
+        const query = this.searchQuery.trim();
+        const matches = (item) => !query || matchesSearch(item, query);
+
+        for (const [id, mesh] of this.meshes) {
+            this.setDimmed(mesh, !matches(this.getObjectData(id)));
+        }
+        for (const connection of this.connections) {
+            const { relation } = connection.userData;
+            const related = matches(relation) || matches(this.getObjectData(relation.from)) || matches(this.getObjectData(relation.to));
+            this.setDimmed(connection, !related);
         }
+    }
 
-        // Position components that don't belong to any container
-        for (const [id, component] of Object.entries(diagram.components)) {
-            if (!component.parent) { // Only top-level components
-                layout.components[id] = { x, y: 0, z };
-                x += spacing;
-                if (x > spacing * 3) {
-                    x = 0;
-                    z += spacing;
+    /**
+     * Fade an object and its children, remembering their own opacity
+     */
+    setDimmed(object, dimmed) {
+        object.userData.dimmed = dimmed;
+        object.traverse(child => {
+            if (child.userData.portOf) return; // ports share one material
+            const materials = Array.isArray(child.material) ? child.material : (child.material ? [child.material] : []);
+            for (const material of materials) {
+                if (material.userData.baseOpacity === undefined) {
+                    material.userData.baseOpacity = material.opacity;
+                    material.userData.baseTransparent = material.transparent;
                 }
+                material.transparent = dimmed || material.userData.baseTransparent;
+                material.opacity = material.userData.baseOpacity * (dimmed ? 0.15 : 1);
             }
+        });
+    }
+
+    /**
+     * Ids of the containers to draw collapsed: double-clicked ones, then
+     * those with `collapsed true`
+     */
+    getCollapsedIds(diagram) {
+        return Object.values(diagram.containers)
+            .filter(container => this.collapseOverrides.get(container.id) ?? container.properties.collapsed === true)
+            .map(container => container.id);
+    }
+
+    /**
+     * Collapse an expanded container or expand a collapsed one, re-running
+     * the layout and animating elements to their new places
+     */
+    toggleContainer(containerId) {
+        const container = this.currentDiagram?.containers[containerId];
+        if (!container) return;
+
+        const before = new Map();
+        for (const [id, mesh] of this.meshes) {
+            before.set(id, { position: mesh.position.clone(), size: mesh.userData.containerSize });
         }
 
-        return layout;
+        this.collapseOverrides.set(containerId, !container.collapsed);
+        this.render(this.sourceDiagram, { keepCamera: true });
+        this.startTransition(before);
     }
 
     /**
-     * Calculate optimal layout for a container and its children
+     * Animate meshes from their previous placement to the new layout
+     * Elements that just appeared grow out of the container they were collapsed in;
+     * connections are shown again once everything is in place
      */
-    calculateContainerLayout(containerId, container, diagram, spacing) {
-        const children = container.children || [];
-        const componentSpacing = spacing * 0.5;
-        const margin = 30; // Margin inside container
-        
-        // Arrange children in a grid within the container
-        let childX = -componentSpacing;
-        let childZ = 0;
-        let maxX = 0;
-        let maxZ = 0;
-        let currentRowHeight = 0;
-        
-        const childPositions = {};
-        const itemsPerRow = Math.max(2, Math.ceil(Math.sqrt(children.length)));
-        
-        for (let i = 0; i < children.length; i++) {
-            const childId = children[i];
-            
-            if (i % itemsPerRow === 0 && i > 0) {
-                // Move to next row
-                childX = -componentSpacing;
-                childZ += currentRowHeight + componentSpacing;
-                currentRowHeight = 0;
-            } else if (i > 0) {
-                childX += componentSpacing;
+    startTransition(before) {
+        const items = [];
+
+        for (const [id, mesh] of this.meshes) {
+            const to = mesh.position.clone();
+            const previous = before.get(id);
+            let from;
+            let fromScale;
+
+            if (previous) {
+                from = previous.position;
+                const size = mesh.userData.containerSize;
+                fromScale = previous.size && size
+                    ? new THREE.Vector3(previous.size.width / size.width, 1, previous.size.depth / size.depth)
+                    : new THREE.Vector3(1, 1, 1);
+            } else {
+                const originId = this.getAncestorIds(id).find(ancestorId => before.has(ancestorId));
+                if (!originId) continue;
+                from = before.get(originId).position;
+                fromScale = new THREE.Vector3(0.2, 0.2, 0.2);
             }
-            
-            childPositions[childId] = { x: childX, z: childZ };
-            
-            // Track dimensions for container sizing
-            maxX = Math.max(maxX, Math.abs(childX));
-            maxZ = Math.max(maxZ, Math.abs(childZ));
-            currentRowHeight = Math.max(currentRowHeight, componentSpacing * 0.8);
+
+            items.push({ mesh, from, to, fromScale });
         }
-        
-        // Calculate container size with margins
-        const containerWidth = Math.max(this.gridSize * 1.8, (maxX * 2) + margin * 2 + componentSpacing);
-        const containerDepth = Math.max(this.gridSize * 1.2, maxZ + currentRowHeight + margin * 2);
-        
-        return {
-            childPositions,
-            size: {
-                width: containerWidth,
-                height: this.containerHeight,
-                depth: containerDepth
-            }
-        };
+
+        this.connections.forEach(connection => { connection.visible = false; });
+        this.transition = { start: performance.now(), items };
+        this.updateTransition(this.transition.start);
+    }
+
+    /**
+     * Advance the re-layout animation
+     */
+    updateTransition(now) {
+        if (!this.transition) return;
+
+        const progress = Math.min(1, (now - this.transition.start) / this.transitionDuration);
+        const eased = 1 - Math.pow(1 - progress, 3);
+        const fullScale = new THREE.Vector3(1, 1, 1);
+
+        for (const { mesh, from, to, fromScale } of this.transition.items) {
+            mesh.position.x = from.x + (to.x - from.x) * eased;
+            mesh.position.z = from.z + (to.z - from.z) * eased;
+            mesh.scale.lerpVectors(fromScale, fullScale, eased);
+        }
+
+        if (progress === 1) {
+            this.transition = null;
+            this.connections.forEach(connection => { connection.visible = true; });
+        }
+    }
+
+    /**
+     * Calculate layout positions for all elements
+     */
+    calculateLayout(diagram) {
+        const layoutEngine = new LayeredLayout({
+            direction: diagram.layout?.direction,
+            ranksep: diagram.layout?.ranksep,
+            nodesep: diagram.layout?.nodesep,
+            containerHeight: this.containerHeight,
+            minContainerSize: { width: this.gridSize * 1.8, depth: this.gridSize * 1.2 },
+            getComponentSize: (component) => this.getComponentFootprint(component, diagram.styles)
+        });
+
+        return layoutEngine.run(diagram);
+    }
+
+    /**
+     * Get the ground plane footprint of a component for its shape
+     */
+    getComponentFootprint(component, styles) {
+        const style = resolveElementStyle(styles, component);
+        return this.shapes.getFootprint(style.shape || 'rectangle');
+    }
+
+    /**
+     * Register a component shape usable as `style ... shape=<name>`
+     * `factory({ height })` returns a BufferGeometry centered on the origin;
+     * `options.flatTop` shows component images on its top face
+     */
+    registerShape(name, factory, options = {}) {
+        this.shapes.register(name, factory, options);
+    }
+
+    /**
+     * Names of all registered shapes
+     */
+    getShapeNames() {
+        return this.shapes.names();
+    }
+
+    /**
+     * Map `model` and `image` paths to loadable URLs (e.g. object URLs of dropped files)
+     */
+    setAssetResolver(resolver) {
+        this.resolveAsset = resolver || (assetPath => assetPath);
+        this.modelCache.clear();
+        this.imageCache.clear();
     }
 
     /**
      * Create 3D mesh for component
      */
     createComponentMesh(component, styles, position) {
-        const style = styles[component.properties.type] || {};
+        const style = resolveElementStyle(styles, component);
         const shape = style.shape || 'rectangle';
-        const color = style.color || '#4CAF50';
+        const color = this.getElementColor(component, style, this.theme.palette.component);
         
-        let geometry;
-        
-        switch (shape) {
-            case 'pyramid':
-                geometry = new THREE.ConeGeometry(15, this.componentHeight, 4);
-                break;
-            case 'cylinder':
-                geometry = new THREE.CylinderGeometry(12, 12, this.componentHeight);
-                break;
-            default: // rectangle
-                geometry = new THREE.BoxGeometry(30, this.componentHeight, 20);
-                break;
+        if (!this.shapes.has(shape)) {
+            console.warn(`Unknown shape '${shape}', drawing a rectangle`);
         }
+        const geometry = this.shapes.createGeometry(shape);
 
         const material = new THREE.MeshLambertMaterial({ 
             color: new THREE.Color(color),
             transparent: true,
-            opacity: 0.9
+            opacity: style.opacity ?? 0.9
         });
 
         const mesh = new THREE.Mesh(geometry, material);
@@ -1198,20 +2347,228 @@ export class IsometricRenderer {
             mesh.add(label);
         }
 
-        // Add icon if available
-        if (style.icon) {
+        // An image takes the place of the icon
+        if (style.image) {
+            this.attachImage(mesh, style.image, shape);
+        } else if (style.icon) {
             const iconSprite = this.createIconSprite(style.icon);
             iconSprite.position.y = this.componentHeight/2 + 2;
             mesh.add(iconSprite);
         }
 
+        // The shape stands in for a model until it has loaded
+        if (style.model) {
+            this.attachModel(mesh, style.model);
+        }
+
         return mesh;
     }
 
+    /**
+     * Load a model and swap it in for a component's shape
+     * The hidden shape geometry stays behind for picking and dragging
+     */
+    attachModel(mesh, modelPath) {
+        const pending = this.loadModel(modelPath)
+            .then(template => {
+                const model = template.clone(true);
+                this.fitModel(model, mesh.geometry);
+
+                // OBJ files come without materials, so they take the style color
+                if (/\.obj$/i.test(modelPath)) {
+                    const material = mesh.material.clone();
+                    model.traverse(child => {
+                        if (child.isMesh) child.material = material;
+                    });
+                }
+                mesh.material.visible = false;
+                mesh.add(model);
+                mesh.userData.model = model;
+            })
+            .catch(error => console.warn(`Could not load model '${modelPath}':`, error));
+
+        this.pendingAssets.push(pending);
+    }
+
+    /**
+     * Load a glTF/GLB or OBJ model, cached per URL
+     */
+    loadModel(modelPath) {
+        const url = this.resolveAsset(modelPath);
+        if (!this.modelCache.has(url)) {
+            const model = this.fetchAsset(url).then(data => this.parseModel(modelPath, url, data));
+            this.modelCache.set(url, model);
+        }
+        return this.modelCache.get(url);
+    }
+
+    /**
+     * Read an asset's bytes
+     */
+    async fetchAsset(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+        return response.arrayBuffer();
+    }
+
+    /**
+     * Parse model data by the file extension of its path
+     */
+    parseModel(modelPath, url, data) {
+        const extension = modelPath.split('.').pop().toLowerCase();
+
+        if (extension === 'obj') {
+            return new OBJLoader().parse(new TextDecoder().decode(data));
+        }
+        if (extension === 'gltf' || extension === 'glb') {
+            // External buffers and textures are resolved next to the model
+            const resourcePath = url.slice(0, url.lastIndexOf('/') + 1);
+            return new Promise((resolve, reject) => {
+                new GLTFLoader().parse(data, resourcePath, gltf => resolve(gltf.scene), reject);
+            });
+        }
+        throw new Error(`Unsupported model format '.${extension}' (use .gltf, .glb or .obj)`);
+    }
+
+    /**
+     * Scale and center a model inside a shape's bounding box, standing on its base
+     */
+    fitModel(model, geometry) {
+        geometry.computeBoundingBox();
+        const target = geometry.boundingBox.getSize(new THREE.Vector3());
+        const box = new THREE.Box3().setFromObject(model);
+        const size = box.getSize(new THREE.Vector3());
+
+        const ratios = ['x', 'y', 'z']
+            .filter(axis => size[axis] > 0)
+            .map(axis => target[axis] / size[axis]);
+        const scale = ratios.length > 0 ? Math.min(...ratios) : 1;
+
+        const center = box.getCenter(new THREE.Vector3());
+        model.scale.setScalar(scale);
+        model.position.set(
+            -center.x * scale,
+            geometry.boundingBox.min.y - box.min.y * scale,
+            -center.z * scale
+        );
+    }
+
+    /**
+     * Show an image on a component: on the top face of flat-topped shapes,
+     * otherwise as a billboard above it
+     */
+    attachImage(mesh, source, shape) {
+        const material = new THREE.MeshBasicMaterial({ transparent: true, opacity: 0 });
+        let object;
+
+        if (this.shapes.hasFlatTop(shape)) {
+            const footprint = this.shapes.getFootprint(shape);
+            object = new THREE.Mesh(new THREE.PlaneGeometry(footprint.width * 0.7, footprint.depth * 0.7), material);
+            object.rotation.x = -Math.PI / 2;
+            object.position.y = this.componentHeight / 2 + 0.1;
+        } else {
+            object = new THREE.Sprite(new THREE.SpriteMaterial({ transparent: true, opacity: 0 }));
+            object.scale.set(16, 16, 1);
+            object.position.y = this.componentHeight / 2 + 10;
+
+            // Make room for the billboard under the label
+            for (const child of mesh.children) {
+                if (child.userData.text) child.position.y += 14;
+            }
+        }
+
+        object.userData.image = { source, href: null };
+        mesh.add(object);
+
+        const pending = this.loadImage(source)
+            .then(({ texture, href }) => {
+                object.userData.image.href = href;
+                if (!texture) return;
+
+                object.material.map = texture;
+                object.material.opacity = 1;
+                object.material.needsUpdate = true;
+                this.fitImage(object, texture.image);
+            })
+            .catch(error => console.warn(`Could not load image '${source}':`, error));
+
+        this.pendingAssets.push(pending);
+    }
+
+    /**
+     * Load an image as a texture, cached per URL
+     * Resolves to { texture, href } where href embeds the image for SVG export
+     */
+    loadImage(source) {
+        const url = source.startsWith('data:') ? source : this.resolveAsset(source);
+        if (!this.imageCache.has(url)) {
+            const image = new THREE.TextureLoader().loadAsync(url).then(texture => {
+                texture.colorSpace = THREE.SRGBColorSpace;
+                return { texture, href: this.toDataURL(texture.image) || url };
+            });
+            this.imageCache.set(url, image);
+        }
+        return this.imageCache.get(url);
+    }
+
+    /**
+     * Copy a loaded image into a data URI so exports don't depend on
+     * session-only URLs (null for cross-origin images)
+     */
+    toDataURL(image) {
+        if (image.src?.startsWith('data:')) return image.src;
+
+        try {
+            const canvas = document.createElement('canvas');
+            canvas.width = image.width;
+            canvas.height = image.height;
+            canvas.getContext('2d').drawImage(image, 0, 0);
+            return canvas.toDataURL('image/png');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Shrink an image's plane or billboard to the image's aspect ratio
+     */
+    fitImage(object, image) {
+        const aspect = image.width / image.height;
+        if (!aspect) return;
+
+        if (object.isSprite) {
+            object.scale.x = aspect >= 1 ? object.scale.x : object.scale.x * aspect;
+            object.scale.y = aspect >= 1 ? object.scale.y / aspect : object.scale.y;
+            return;
+        }
+
+        const { width, height } = object.geometry.parameters;
+        if (aspect > width / height) {
+            object.scale.y = width / aspect / height;
+        } else {
+            object.scale.x = height * aspect / width;
+        }
+    }
+
+    /**
+     * Wait for the models and images of the current diagram to load (or fail)
+     */
+    async assetsReady() {
+        while (this.pendingAssets.length > 0) {
+            const pending = this.pendingAssets;
+            this.pendingAssets = [];
+            await Promise.all(pending);
+        }
+    }
+
     /**
      * Create 3D mesh for container
      */
-    createContainerMesh(container, position, containerSize = null) {
+    createContainerMesh(container, styles, position, containerSize = null) {
+        const style = resolveElementStyle(styles, container);
+
         // Use calculated size or default
         const containerWidth = containerSize ? containerSize.width : this.gridSize * 1.8;
         const containerDepth = containerSize ? containerSize.depth : this.gridSize * 1.2;
@@ -1222,18 +2579,24 @@ export class IsometricRenderer {
             containerDepth
         );
         
+        // Collapsed containers are drawn as a solid block
+        const collapsed = container.collapsed === true;
         const material = new THREE.MeshLambertMaterial({ 
-            color: 0xcccccc,
+            color: new THREE.Color(this.getElementColor(container, style, this.theme.palette.container)),
             transparent: true,
-            opacity: 0.1, // Much more transparent
+            opacity: collapsed ? Math.max(style.opacity ?? 0, 0.85) : style.opacity ?? 0.1, // Much more transparent by default
             wireframe: false,
-            depthWrite: false // Don't write to depth buffer to avoid blocking
+            depthWrite: collapsed // Open containers don't write to depth buffer to avoid blocking
         });
 
         const mesh = new THREE.Mesh(geometry, material);
         mesh.position.set(position.x, position.y + this.containerHeight/2, position.z);
         mesh.receiveShadow = true;
 
+        // Drag feedback tints the container and restores this color
+        mesh.userData.baseColor = material.color.clone();
+        mesh.userData.collapsed = collapsed;
+
         // Store size information for boundary calculations
         mesh.userData.containerSize = {
             width: containerWidth,
@@ -1246,20 +2609,28 @@ export class IsometricRenderer {
         // const line = new THREE.LineSegments(wireframe, new THREE.LineBasicMaterial({ color: 0x888888 }));
         // mesh.add(line);
 
-        // Add subtle outline only at the bottom edge
-        const edges = new THREE.EdgesGeometry(geometry);
-        const edgeMaterial = new THREE.LineBasicMaterial({ 
-            color: 0x999999, 
-            transparent: true, 
-            opacity: 0.3 
-        });
-        const edgeLines = new THREE.LineSegments(edges, edgeMaterial);
-        mesh.add(edgeLines);
+        // Add subtle outline only at the bottom edge; solid collapsed blocks need none
+        const borderColor = new THREE.Color(style.bordercolor || this.theme.palette.containerBorder);
+        if (!collapsed) {
+            const edges = new THREE.EdgesGeometry(geometry);
+            const edgeMaterial = new THREE.LineBasicMaterial({ 
+                color: borderColor, 
+                transparent: true, 
+                opacity: style.bordercolor ? 0.8 : this.theme.palette.containerBorderOpacity
+            });
+            const edgeLines = new THREE.LineSegments(edges, edgeMaterial);
+            mesh.add(edgeLines);
+        }
 
-        // Add label with enhanced styling
-        if (container.properties.label) {
-            const label = this.createTextLabel(container.properties.label, 1, true); // Enhanced label
-            label.position.y = this.containerHeight + 5;
+        if (style.floor && style.floor !== 'none' && !collapsed) {
+            mesh.add(this.createFloorPattern(style.floor, containerWidth, containerDepth, borderColor));
+        }
+
+        // Add label with enhanced styling; collapsed containers count what they hide
+        const labelText = collapsed ? `${container.properties.label || container.id} (+${container.hiddenCount})` : container.properties.label;
+        if (labelText) {
+            const label = this.createTextLabel(labelText, 1, true); // Enhanced label
+            this.placeContainerLabel(label, style.labelposition, containerWidth, containerDepth);
             mesh.add(label);
         }
 
@@ -1267,41 +2638,426 @@ export class IsometricRenderer {
     }
 
     /**
-     * Create connection line between two meshes
+     * Draw a grid, dot or stripe pattern on a container's floor
+     * Built from line segments so SVG export draws it like the outline
      */
-    createConnection(fromMesh, toMesh, label) {
-        const fromPos = fromMesh.position.clone();
-        const toPos = toMesh.position.clone();
-        
-        // Add some height to avoid ground clipping
-        fromPos.y += 5;
-        toPos.y += 5;
+    createFloorPattern(pattern, width, depth, color) {
+        const spacing = 10;
+        const halfWidth = width / 2;
+        const halfDepth = depth / 2;
+        const points = [];
+
+        if (pattern === 'grid') {
+            for (let x = -halfWidth + spacing; x < halfWidth; x += spacing) {
+                points.push(new THREE.Vector3(x, 0, -halfDepth), new THREE.Vector3(x, 0, halfDepth));
+            }
+            for (let z = -halfDepth + spacing; z < halfDepth; z += spacing) {
+                points.push(new THREE.Vector3(-halfWidth, 0, z), new THREE.Vector3(halfWidth, 0, z));
+            }
+        } else if (pattern === 'dots') {
+            // Small crosses read as dots at diagram scale
+            for (let x = -halfWidth + spacing / 2; x < halfWidth; x += spacing) {
+                for (let z = -halfDepth + spacing / 2; z < halfDepth; z += spacing) {
+                    points.push(new THREE.Vector3(x - 0.5, 0, z), new THREE.Vector3(x + 0.5, 0, z));
+                    points.push(new THREE.Vector3(x, 0, z - 0.5), new THREE.Vector3(x, 0, z + 0.5));
+                }
+            }
+        } else if (pattern === 'stripes') {
+            // Diagonals x + z = c, clipped to the floor rectangle
+            for (let c = -halfWidth - halfDepth + spacing; c < halfWidth + halfDepth; c += spacing) {
+                const startX = Math.max(-halfWidth, c - halfDepth);
+                const endX = Math.min(halfWidth, c + halfDepth);
+                points.push(new THREE.Vector3(startX, 0, c - startX), new THREE.Vector3(endX, 0, c - endX));
+            }
+        }
 
-        const geometry = new THREE.BufferGeometry().setFromPoints([fromPos, toPos]);
-        const material = new THREE.LineBasicMaterial({ 
-            color: 0x666666,
-            linewidth: 2
-        });
+        const floor = new THREE.LineSegments(
+            new THREE.BufferGeometry().setFromPoints(points),
+            new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.35 })
+        );
+        floor.position.y = -this.containerHeight / 2 + 0.1;
+        return floor;
+    }
 
-        const line = new THREE.Line(geometry, material);
+    /**
+     * Position a container label: above the center (top), at the front
+     * edge of the floor (front) or above the back corner (corner)
+     */
+    placeContainerLabel(label, labelPosition, width, depth) {
+        if (labelPosition === 'front') {
+            label.position.set(0, -this.containerHeight / 2 + 4, depth / 2);
+        } else if (labelPosition === 'corner') {
+            label.position.set(-width / 2, this.containerHeight / 2 + 5, -depth / 2);
+        } else {
+            label.position.y = this.containerHeight + 5;
+        }
+    }
 
-        // Add arrow head
-        const direction = new THREE.Vector3().subVectors(toPos, fromPos).normalize();
-        const arrowHelper = new THREE.ArrowHelper(direction, toPos, 0, 0x666666, 8, 4);
-        line.add(arrowHelper);
+    /**
+     * Create connection line along a routed path
+     */
+    createConnection(relation, points) {
+        const style = this.getRelationStyle(relation);
+        const pattern = this.getDashPattern(style);
+        const material = pattern
+            ? new THREE.LineDashedMaterial({ color: style.color, dashSize: pattern.dash, gapSize: pattern.gap })
+            : new THREE.LineBasicMaterial({ color: style.color, linewidth: 2 });
+
+        const line = new THREE.Line(new THREE.BufferGeometry(), material);
+        line.userData.fromId = relation.from;
+        line.userData.toId = relation.to;
+        line.userData.relation = relation;
+        line.userData.lineStyle = style;
+
+        // Add arrow heads, growing with the line width
+        const headLength = 6 + style.width * 2;
+        const headWidth = 3 + style.width;
+        if (style.arrowEnd) {
+            line.userData.arrow = new THREE.ArrowHelper(new THREE.Vector3(1, 0, 0), new THREE.Vector3(), headLength, style.color, headLength, headWidth);
+            line.add(line.userData.arrow);
+        }
+        if (style.arrowStart) {
+            line.userData.startArrow = new THREE.ArrowHelper(new THREE.Vector3(-1, 0, 0), new THREE.Vector3(), headLength, style.color, headLength, headWidth);
+            line.add(line.userData.startArrow);
+        }
 
         // Add label if provided
-        if (label) {
-            const labelSprite = this.createTextLabel(label, 0.5, false); // Enhanced connection label
-            const midPoint = new THREE.Vector3().addVectors(fromPos, toPos).multiplyScalar(0.5);
-            labelSprite.position.copy(midPoint);
-            labelSprite.position.y += 10;
+        const labelText = this.getRelationLabel(relation);
+        if (labelText) {
+            const labelSprite = this.createTextLabel(labelText, 0.5, false); // Enhanced connection label
             line.add(labelSprite);
+            line.userData.label = labelSprite;
         }
 
+        this.updateConnectionGeometry(line, points);
+
         return line;
     }
 
+    /**
+     * Resolve how a relation is drawn from its arrow and properties
+     * `->` points at the target, `<->` at both ends, `--` at neither,
+     * and `..>` is a dashed `->`
+     */
+    getRelationStyle(relation) {
+        const properties = relation.properties || {};
+        const arrow = relation.arrow || '->';
+
+        return {
+            color: new THREE.Color(properties.color || this.theme.palette.connection),
+            width: properties.width ?? 1,
+            dash: properties.style || (arrow === '..>' ? 'dashed' : 'solid'),
+            arrowStart: arrow === '<->',
+            arrowEnd: arrow !== '--'
+        };
+    }
+
+    /**
+     * Dash and gap lengths for a line style (null for solid lines)
+     */
+    getDashPattern(style) {
+        const scale = Math.max(1, style.width / 2);
+        if (style.dash === 'dashed') return { dash: 4 * scale, gap: 3 * scale };
+        if (style.dash === 'dotted') return { dash: 1 * scale, gap: 2 * scale };
+        return null;
+    }
+
+    /**
+     * Text shown on a relation: its label plus the protocol, if any
+     */
+    getRelationLabel(relation) {
+        const protocol = relation.properties?.protocol;
+        const label = protocol ? (relation.label ? `${relation.label} (${protocol})` : protocol) : relation.label;
+
+        // Relations merged onto collapsed containers show how many they stand for
+        if (relation.count > 1) {
+            return label ? `${label} ×${relation.count}` : `×${relation.count}`;
+        }
+        return label;
+    }
+
+    /**
+     * Move a connection's line, arrow heads and label onto a new path
+     */
+    updateConnectionGeometry(line, points) {
+        const path = points.map(point => new THREE.Vector3(point.x, this.connectionHeight, point.z));
+
+        line.geometry.dispose();
+        line.geometry = new THREE.BufferGeometry().setFromPoints(path);
+        line.userData.path = path;
+        if (line.material.isLineDashedMaterial) {
+            line.computeLineDistances();
+        }
+
+        // Arrow heads end exactly on the source/target boundaries
+        this.placeArrowHead(line.userData.arrow, path[path.length - 1], path[path.length - 2]);
+        this.placeArrowHead(line.userData.startArrow, path[0], path[1]);
+
+        // Wide lines are drawn as tubes
+        if (line.userData.lineStyle?.width > 1) {
+            this.updateConnectionTube(line, path);
+        }
+
+        // Label sits halfway along the path
+        if (line.userData.label) {
+            const labelPosition = this.getPointAlongPath(path, 0.5);
+            line.userData.label.position.copy(labelPosition);
+            line.userData.label.position.y += 10;
+        }
+    }
+
+    /**
+     * Point an arrow head at `tip`, coming from `from`
+     */
+    placeArrowHead(arrow, tip, from) {
+        if (!arrow || !from) return;
+
+        const direction = new THREE.Vector3().subVectors(tip, from);
+        if (direction.lengthSq() === 0) return;
+
+        direction.normalize();
+        arrow.setDirection(direction);
+        arrow.position.copy(tip).addScaledVector(direction, -arrow.cone.scale.y);
+    }
+
+    /**
+     * Rebuild the cylinders of a wide connection (split into dashes for
+     * dashed and dotted lines); the thin line is kept as the path's data
+     */
+    updateConnectionTube(line, path) {
+        if (line.userData.tube) {
+            line.remove(line.userData.tube);
+            this.disposeObject(line.userData.tube);
+        }
+
+        const style = line.userData.lineStyle;
+        const pattern = this.getDashPattern(style);
+        const pieces = pattern ? this.splitPathIntoDashes(path, pattern.dash, pattern.gap) : [path];
+        const radius = style.width * 0.4;
+        const material = new THREE.MeshLambertMaterial({ color: style.color });
+        const up = new THREE.Vector3(0, 1, 0);
+        const tube = new THREE.Group();
+
+        for (const piece of pieces) {
+            for (let i = 0; i + 1 < piece.length; i++) {
+                const start = piece[i];
+                const end = piece[i + 1];
+                const length = start.distanceTo(end);
+                if (length === 0) continue;
+
+                const cylinder = new THREE.Mesh(new THREE.CylinderGeometry(radius, radius, length, 8), material);
+                cylinder.position.copy(start).lerp(end, 0.5);
+                cylinder.quaternion.setFromUnitVectors(up, end.clone().sub(start).normalize());
+                tube.add(cylinder);
+
+                // Round the bends
+                if (i > 0) {
+                    const joint = new THREE.Mesh(new THREE.SphereGeometry(radius, 8, 6), material);
+                    joint.position.copy(start);
+                    tube.add(joint);
+                }
+            }
+        }
+
+        line.material.visible = false;
+        line.add(tube);
+        line.userData.tube = tube;
+    }
+
+    /**
+     * Cut a polyline into dash pieces
+     */
+    splitPathIntoDashes(path, dashSize, gapSize) {
+        const pieces = [];
+        let current = null;
+        let drawing = true;
+        let remaining = dashSize;
+
+        for (let i = 0; i + 1 < path.length; i++) {
+            const a = path[i];
+            const b = path[i + 1];
+            const length = a.distanceTo(b);
+            let travelled = 0;
+
+            while (length - travelled > 1e-6) {
+                const step = Math.min(remaining, length - travelled);
+                if (drawing) {
+                    if (!current) {
+                        current = [a.clone().lerp(b, travelled / length)];
+                        pieces.push(current);
+                    }
+                    current.push(a.clone().lerp(b, (travelled + step) / length));
+                }
+
+                travelled += step;
+                remaining -= step;
+                if (remaining <= 1e-6) {
+                    drawing = !drawing;
+                    remaining = drawing ? dashSize : gapSize;
+                    current = null;
+                }
+            }
+        }
+
+        return pieces;
+    }
+
+    /**
+     * Dispose of an object's geometries and materials
+     */
+    disposeObject(object) {
+        object.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+    }
+
+    /**
+     * Switch the data-flow animation: 'off', 'particles' or 'dashes'
+     */
+    setFlowMode(mode) {
+        this.flowMode = mode;
+        for (const connection of this.connections) {
+            this.removeFlow(connection);
+        }
+    }
+
+    /**
+     * Advance the data-flow animation of every relation with a `flow` rate
+     * Flows are rebuilt whenever updateConnections gives a line a new path
+     */
+    updateFlow(delta) {
+        if (this.flowMode === 'off') return;
+
+        for (const line of this.connections) {
+            const path = line.userData.path;
+            if (!line.userData.relation.properties?.flow || !path) continue;
+
+            let flow = line.userData.flow;
+            if (!flow || flow.path !== path) {
+                flow = this.createFlow(line, path, flow?.offset ?? 0);
+            }
+            if (flow.length === 0) continue;
+
+            flow.offset = (flow.offset + flow.speed * delta) % flow.spacing;
+            if (flow.object.isInstancedMesh) {
+                this.placeFlowParticles(flow);
+            } else {
+                this.shiftFlowDashes(flow);
+            }
+        }
+    }
+
+    /**
+     * Build the particles or dash overlay that animate along a connection
+     * `flow` is the rate (particles per second), `flowspeed` the speed in
+     * units per second and `flowcolor` the color
+     */
+    createFlow(line, path, offset) {
+        this.removeFlow(line);
+
+        const relation = line.userData.relation;
+        const properties = relation.properties;
+        const style = line.userData.lineStyle;
+        const color = new THREE.Color(properties.flowcolor || properties.color || this.theme.palette.flow);
+        const speed = properties.flowspeed ?? 40;
+
+        // Keep the flow visible on top of wide tubes
+        const lift = style.width > 1 ? style.width * 0.4 : 0;
+        const points = path.map(point => point.clone().setY(point.y + lift));
+        const length = points.slice(1).reduce((sum, point, i) => sum + point.distanceTo(points[i]), 0);
+
+        const flow = {
+            path,
+            points,
+            length,
+            speed,
+            spacing: speed / properties.flow,
+            offset,
+            bidirectional: relation.arrow === '<->'
+        };
+
+        if (this.flowMode === 'dashes') {
+            const material = new THREE.LineDashedMaterial({ color, dashSize: flow.spacing / 2, gapSize: flow.spacing / 2 });
+            flow.object = new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), material);
+            flow.object.computeLineDistances();
+            flow.baseDistances = flow.object.geometry.attributes.lineDistance.array.slice();
+        } else {
+            const radius = Math.max(1.2, style.width * 0.6);
+            const capacity = Math.ceil(length / flow.spacing) + 1;
+            flow.object = new THREE.InstancedMesh(
+                new THREE.SphereGeometry(radius, 8, 6),
+                new THREE.MeshBasicMaterial({ color }),
+                capacity
+            );
+        }
+
+        line.add(flow.object);
+        line.userData.flow = flow;
+        if (line.userData.dimmed) {
+            this.setDimmed(flow.object, true);
+        }
+        return flow;
+    }
+
+    /**
+     * Spread particles along the path, `spacing` apart and shifted by the offset
+     * Bidirectional relations send every other particle backwards
+     */
+    placeFlowParticles(flow) {
+        const matrix = new THREE.Matrix4();
+        let count = 0;
+
+        for (let distance = flow.offset; distance <= flow.length; distance += flow.spacing) {
+            const along = flow.bidirectional && count % 2 === 1 ? flow.length - distance : distance;
+            matrix.setPosition(this.getPointAlongPath(flow.points, along / flow.length));
+            flow.object.setMatrixAt(count++, matrix);
+        }
+
+        flow.object.count = count;
+        flow.object.instanceMatrix.needsUpdate = true;
+    }
+
+    /**
+     * March the dash overlay forward by shifting its line distances
+     */
+    shiftFlowDashes(flow) {
+        const attribute = flow.object.geometry.attributes.lineDistance;
+        for (let i = 0; i < attribute.count; i++) {
+            attribute.array[i] = flow.baseDistances[i] - flow.offset;
+        }
+        attribute.needsUpdate = true;
+    }
+
+    /**
+     * Remove a connection's flow animation
+     */
+    removeFlow(line) {
+        const flow = line.userData.flow;
+        if (!flow) return;
+
+        line.remove(flow.object);
+        this.disposeObject(flow.object);
+        delete line.userData.flow;
+    }
+
+    /**
+     * Get the point at a fraction of a polyline's total length
+     */
+    getPointAlongPath(path, fraction) {
+        const lengths = path.slice(1).map((point, i) => point.distanceTo(path[i]));
+        let remaining = lengths.reduce((sum, length) => sum + length, 0) * fraction;
+
+        for (let i = 0; i < lengths.length; i++) {
+            if (remaining <= lengths[i] && lengths[i] > 0) {
+                return path[i].clone().lerp(path[i + 1], remaining / lengths[i]);
+            }
+            remaining -= lengths[i];
+        }
+
+        return path[path.length - 1].clone();
+    }
+
     /**
      * Create text label sprite with enhanced styling
      */
@@ -1309,6 +3065,7 @@ export class IsometricRenderer {
         const canvas = document.createElement('canvas');
         const context = canvas.getContext('2d');
         const fontSize = isContainer ? 28 : 32;
+        const theme = this.theme.label;
         
         canvas.width = 320;
         canvas.height = isContainer ? 80 : 64;
@@ -1316,13 +3073,14 @@ export class IsometricRenderer {
         // Enhanced background with gradient and border
         if (isContainer) {
             // Container labels get a more prominent style
+            const base = new THREE.Color(theme.containerBackground);
             const gradient = context.createLinearGradient(0, 0, 0, canvas.height);
-            gradient.addColorStop(0, 'rgba(100, 150, 200, 0.9)');
-            gradient.addColorStop(1, 'rgba(70, 120, 170, 0.9)');
+            gradient.addColorStop(0, toRgba(`#${base.clone().offsetHSL(0, 0, 0.06).getHexString()}`, 0.9));
+            gradient.addColorStop(1, toRgba(`#${base.clone().offsetHSL(0, 0, -0.06).getHexString()}`, 0.9));
             context.fillStyle = gradient;
         } else {
             // Component labels get a subtle style
-            context.fillStyle = 'rgba(255, 255, 255, 0.95)';
+            context.fillStyle = toRgba(theme.background, theme.backgroundOpacity);
         }
         
         // Rounded rectangle background
@@ -1346,21 +3104,21 @@ export class IsometricRenderer {
         context.fill();
         
         // Add border
-        context.strokeStyle = isContainer ? 'rgba(255, 255, 255, 0.8)' : 'rgba(200, 200, 200, 0.8)';
+        context.strokeStyle = toRgba(isContainer ? theme.containerBorder : theme.border, 0.8);
         context.lineWidth = 2;
         context.stroke();
         
         // Text with shadow for better readability
-        context.font = `bold ${fontSize}px Arial, sans-serif`;
+        context.font = `bold ${fontSize}px ${theme.font}`;
         context.textAlign = 'center';
         context.textBaseline = 'middle';
         
         // Text shadow
-        context.fillStyle = 'rgba(0, 0, 0, 0.3)';
+        context.fillStyle = toRgba('#000000', theme.shadowOpacity);
         context.fillText(text, canvas.width / 2 + 1, canvas.height / 2 + 1);
         
         // Main text
-        context.fillStyle = isContainer ? '#ffffff' : '#333333';
+        context.fillStyle = isContainer ? theme.containerColor : theme.color;
         context.fillText(text, canvas.width / 2, canvas.height / 2);
 
         const texture = new THREE.CanvasTexture(canvas);
@@ -1372,6 +3130,8 @@ export class IsometricRenderer {
         });
         const sprite = new THREE.Sprite(material);
         sprite.scale.set(25 * scale, (isContainer ? 12 : 10) * scale, 1);
+        sprite.userData.text = text;
+        sprite.userData.isContainerLabel = isContainer;
 
         return sprite;
     }
@@ -1395,6 +3155,7 @@ export class IsometricRenderer {
         const material = new THREE.SpriteMaterial({ map: texture });
         const sprite = new THREE.Sprite(material);
         sprite.scale.set(8, 8, 1);
+        sprite.userData.icon = icon;
 
         return sprite;
     }
@@ -1403,6 +3164,9 @@ export class IsometricRenderer {
      * Clear all rendered objects
      */
     clear() {
+        this.cancelConnect();
+        this.clearGuides();
+
         // Remove meshes and their highlight borders
         for (const mesh of this.meshes.values()) {
             // Remove highlight border if exists
@@ -1417,33 +3181,38 @@ export class IsometricRenderer {
         // Remove connections
         for (const connection of this.connections) {
             this.scene.remove(connection);
-            if (connection.geometry) connection.geometry.dispose();
-            if (connection.material) connection.material.dispose();
+            this.disposeObject(connection);
         }
         this.connections = [];
 
-        this.selectedObject = null;
+        this.selectedIds.clear();
         this.hoveredObject = null;
         this.draggedObject = null;
+        this.dragGroup = [];
         this.isDragging = false;
+        this.transition = null;
     }
 
     /**
      * Reset camera view
      */
     resetView() {
-        this.camera.position.set(100, 100, 100);
-        this.camera.lookAt(0, 0, 0);
-        this.camera.zoom = 1;
-        this.camera.updateProjectionMatrix();
+        this.changeView(null, () => {
+            this.camera.position.set(100, 100, 100);
+            this.camera.lookAt(0, 0, 0);
+            this.camera.zoom = 1;
+            this.camera.updateProjectionMatrix();
+        });
     }
 
     /**
      * Set zoom level
      */
     setZoom(zoom) {
-        this.camera.zoom = zoom;
-        this.camera.updateProjectionMatrix();
+        this.changeView('zoom', () => {
+            this.camera.zoom = zoom;
+            this.camera.updateProjectionMatrix();
+        });
     }
 
     /**
@@ -1452,9 +3221,11 @@ export class IsometricRenderer {
     setRotation(angle) {
         const radius = 100;
         const radians = (angle * Math.PI) / 180;
-        this.camera.position.x = Math.cos(radians) * radius;
-        this.camera.position.z = Math.sin(radians) * radius;
-        this.camera.lookAt(0, 0, 0);
+        this.changeView('rotate', () => {
+            this.camera.position.x = Math.cos(radians) * radius;
+            this.camera.position.z = Math.sin(radians) * radius;
+            this.camera.lookAt(0, 0, 0);
+        });
     }
 
     /**
@@ -1470,11 +3241,58 @@ export class IsometricRenderer {
         link.click();
     }
 
+    /**
+     * Capture a small JPEG preview of the current view as a data URL
+     */
+    createThumbnail(width = 160) {
+        this.renderer.render(this.scene, this.camera);
+        const source = this.renderer.domElement;
+        if (!source.width || !source.height) return null;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = Math.round(width * source.height / source.width);
+        canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+        return canvas.toDataURL('image/jpeg', 0.7);
+    }
+
+    /**
+     * Build an SVG document of the scene as seen through the current camera
+     */
+    toSVG() {
+        const exporter = new SVGExporter({ ...this.theme.shading, label: this.theme.label });
+        return exporter.export({
+            camera: this.camera,
+            width: this.container.clientWidth,
+            height: this.container.clientHeight,
+            background: this.scene.background,
+            meshes: this.meshes,
+            connections: this.connections
+        });
+    }
+
+    /**
+     * Export scene as SVG
+     */
+    exportSVG() {
+        const blob = new Blob([this.toSVG()], { type: 'image/svg+xml' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.download = 'isometric-diagram.svg';
+        link.href = url;
+        link.click();
+
+        URL.revokeObjectURL(url);
+    }
+
     /**
      * Animation loop
      */
     animate() {
         requestAnimationFrame(this.animate.bind(this));
+        this.updateFlow(this.clock.getDelta());
+        this.updateTransition(performance.now());
         this.renderer.render(this.scene, this.camera);
     }
 
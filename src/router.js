@@ -0,0 +1,352 @@
+/**
+ * Orthogonal Edge Router for Isometric Architecture Diagrams
+ * Routes relations as axis-aligned polylines on the ground plane around
+ * component and container footprints
+ */
+
+export class OrthogonalRouter {
+    constructor(options = {}) {
+        this.margin = options.margin ?? 6;          // Clearance kept around obstacles
+        this.bendPenalty = options.bendPenalty ?? 40; // Extra cost per right angle
+        this.edgeSpacing = options.edgeSpacing ?? 6;  // Gap between parallel segments
+    }
+
+    /**
+     * Route a batch of edges and spread overlapping segments apart
+     * Each edge is { source: rect, target: rect, passable: Set<id> } where a
+     * rect is { id, minX, maxX, minZ, maxZ }; obstacles in `passable` are ignored
+     * Returns one array of { x, z } points per edge
+     */
+    routeAll(edges, obstacles) {
+        const routes = edges.map(edge => this.route(edge, obstacles));
+        this.nudgeParallelSegments(routes);
+        return routes;
+    }
+
+    /**
+     * Route a single edge from the center of its source to the center of its
+     * target, then clip the ends to the footprint boundaries
+     */
+    route(edge, obstacles) {
+        const start = this.getCenter(edge.source);
+        const end = this.getCenter(edge.target);
+
+        const blocking = obstacles
+            .filter(obstacle => obstacle.id !== edge.source.id &&
+                obstacle.id !== edge.target.id &&
+                !(edge.passable && edge.passable.has(obstacle.id)))
+            .map(obstacle => this.inflate(obstacle, this.margin));
+
+        let points = this.findPath(start, end, blocking);
+        if (!points) {
+            // No clear path - fall back to a simple elbow
+            points = [start, { x: end.x, z: start.z }, end];
+        }
+
+        points = this.simplify(points);
+        points = this.clipToRect(points, edge.source);
+        points = this.clipToRect([...points].reverse(), edge.target).reverse();
+
+        return this.simplify(points);
+    }
+
+    /**
+     * A* search over the sparse grid formed by obstacle boundaries and endpoints
+     */
+    findPath(start, end, blocking) {
+        const xs = this.collectCoordinates([start.x, end.x], blocking, 'X');
+        const zs = this.collectCoordinates([start.z, end.z], blocking, 'Z');
+        const xIndex = new Map(xs.map((x, i) => [x, i]));
+        const zIndex = new Map(zs.map((z, i) => [z, i]));
+
+        const startKey = [xIndex.get(start.x), zIndex.get(start.z)];
+        const endKey = [xIndex.get(end.x), zIndex.get(end.z)];
+
+        const isFree = (x, z) => !blocking.some(rect => this.isInside(x, z, rect));
+        const directions = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+        // State = grid node + direction of arrival, so bends can be penalized
+        const stateKey = (i, j, d) => (i * zs.length + j) * 5 + d;
+        const heuristic = (i, j) => Math.abs(xs[i] - end.x) + Math.abs(zs[j] - end.z);
+
+        const open = new MinHeap();
+        const cost = new Map();
+        const previous = new Map();
+        const initial = stateKey(startKey[0], startKey[1], 4);
+
+        cost.set(initial, 0);
+        open.push({ key: initial, i: startKey[0], j: startKey[1], d: 4 }, heuristic(startKey[0], startKey[1]));
+
+        while (open.size > 0) {
+            const current = open.pop();
+            const currentCost = cost.get(current.key);
+
+            if (current.i === endKey[0] && current.j === endKey[1]) {
+                return this.rebuildPath(current.key, previous, xs, zs);
+            }
+
+            directions.forEach(([di, dj], d) => {
+                const i = current.i + di;
+                const j = current.j + dj;
+                if (i < 0 || j < 0 || i >= xs.length || j >= zs.length) return;
+
+                // The midpoint tells whether the step crosses an obstacle interior
+                const midX = (xs[current.i] + xs[i]) / 2;
+                const midZ = (zs[current.j] + zs[j]) / 2;
+                if (!isFree(midX, midZ)) return;
+
+                const isGoal = i === endKey[0] && j === endKey[1];
+                if (!isGoal && !isFree(xs[i], zs[j])) return;
+
+                const step = Math.abs(xs[i] - xs[current.i]) + Math.abs(zs[j] - zs[current.j]);
+                const bend = current.d !== 4 && current.d !== d ? this.bendPenalty : 0;
+                const nextCost = currentCost + step + bend;
+                const key = stateKey(i, j, d);
+
+                if (!cost.has(key) || nextCost < cost.get(key)) {
+                    cost.set(key, nextCost);
+                    previous.set(key, current.key);
+                    open.push({ key, i, j, d }, nextCost + heuristic(i, j));
+                }
+            });
+        }
+
+        return null;
+    }
+
+    /**
+     * Gather the candidate coordinates on one axis
+     */
+    collectCoordinates(seed, blocking, axis) {
+        const values = new Set(seed);
+        const clearance = this.margin;
+
+        for (const rect of blocking) {
+            const min = rect[`min${axis}`];
+            const max = rect[`max${axis}`];
+            values.add(min);
+            values.add(max);
+            values.add(min - clearance);
+            values.add(max + clearance);
+        }
+
+        return [...values].sort((a, b) => a - b);
+    }
+
+    /**
+     * Walk the predecessor chain back into a list of points
+     */
+    rebuildPath(key, previous, xs, zs) {
+        const points = [];
+        let current = key;
+
+        while (current !== undefined) {
+            const node = Math.floor(current / 5);
+            const i = Math.floor(node / zs.length);
+            const j = node % zs.length;
+            points.unshift({ x: xs[i], z: zs[j] });
+            current = previous.get(current);
+        }
+
+        return points;
+    }
+
+    /**
+     * Drop duplicate and collinear intermediate points
+     */
+    simplify(points) {
+        const unique = points.filter((point, i) =>
+            i === 0 || point.x !== points[i - 1].x || point.z !== points[i - 1].z
+        );
+
+        return unique.filter((point, i) => {
+            if (i === 0 || i === unique.length - 1) return true;
+            const prev = unique[i - 1];
+            const next = unique[i + 1];
+            return !((prev.x === point.x && point.x === next.x) ||
+                     (prev.z === point.z && point.z === next.z));
+        });
+    }
+
+    /**
+     * Trim the beginning of a polyline so it starts on the boundary of a rect
+     */
+    clipToRect(points, rect) {
+        let index = 0;
+        while (index < points.length - 2 && this.isInsideOrOn(points[index + 1], rect)) {
+            index++;
+        }
+
+        const inside = points[index];
+        const outside = points[index + 1];
+        if (!outside || !this.isInsideOrOn(inside, rect) || this.isInsideOrOn(outside, rect)) {
+            return points.slice(index);
+        }
+
+        const exit = { ...inside };
+        if (inside.x === outside.x) {
+            exit.z = outside.z > inside.z ? rect.maxZ : rect.minZ;
+        } else {
+            exit.x = outside.x > inside.x ? rect.maxX : rect.minX;
+        }
+
+        return [exit, ...points.slice(index + 1)];
+    }
+
+    /**
+     * Spread collinear, overlapping segments of different routes apart
+     */
+    nudgeParallelSegments(routes) {
+        const groups = new Map();
+
+        routes.forEach((points, routeIndex) => {
+            for (let i = 0; i < points.length - 1; i++) {
+                const a = points[i];
+                const b = points[i + 1];
+                const horizontal = a.z === b.z;
+                const coordinate = Math.round(horizontal ? a.z : a.x);
+                const key = `${horizontal ? 'H' : 'V'}:${coordinate}`;
+
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push({
+                    routeIndex,
+                    segmentIndex: i,
+                    horizontal,
+                    min: Math.min(horizontal ? a.x : a.z, horizontal ? b.x : b.z),
+                    max: Math.max(horizontal ? a.x : a.z, horizontal ? b.x : b.z)
+                });
+            }
+        });
+
+        const offsets = [];
+        for (const segments of groups.values()) {
+            for (const cluster of this.findOverlappingClusters(segments)) {
+                const routeIds = [...new Set(cluster.map(segment => segment.routeIndex))];
+                if (routeIds.length < 2) continue;
+
+                for (const segment of cluster) {
+                    const slot = routeIds.indexOf(segment.routeIndex);
+                    offsets.push({
+                        ...segment,
+                        offset: (slot - (routeIds.length - 1) / 2) * this.edgeSpacing
+                    });
+                }
+            }
+        }
+
+        // Offsets are computed first so every shift is measured from the original routes
+        for (const { routeIndex, segmentIndex, horizontal, offset } of offsets) {
+            const points = routes[routeIndex];
+            const axis = horizontal ? 'z' : 'x';
+            points[segmentIndex] = { ...points[segmentIndex], [axis]: points[segmentIndex][axis] + offset };
+            points[segmentIndex + 1] = { ...points[segmentIndex + 1], [axis]: points[segmentIndex + 1][axis] + offset };
+        }
+    }
+
+    /**
+     * Split collinear segments into clusters of overlapping extents
+     */
+    findOverlappingClusters(segments) {
+        const sorted = [...segments].sort((a, b) => a.min - b.min);
+        const clusters = [];
+        let current = [];
+        let reach = -Infinity;
+
+        for (const segment of sorted) {
+            if (current.length > 0 && segment.min >= reach) {
+                clusters.push(current);
+                current = [];
+                reach = -Infinity;
+            }
+            current.push(segment);
+            reach = Math.max(reach, segment.max);
+        }
+        if (current.length > 0) clusters.push(current);
+
+        return clusters;
+    }
+
+    /**
+     * Get the center point of a rect
+     */
+    getCenter(rect) {
+        return {
+            x: (rect.minX + rect.maxX) / 2,
+            z: (rect.minZ + rect.maxZ) / 2
+        };
+    }
+
+    /**
+     * Grow a rect by a margin on every side
+     */
+    inflate(rect, margin) {
+        return {
+            id: rect.id,
+            minX: rect.minX - margin,
+            maxX: rect.maxX + margin,
+            minZ: rect.minZ - margin,
+            maxZ: rect.maxZ + margin
+        };
+    }
+
+    /**
+     * Strict interior test (points on the boundary are free)
+     */
+    isInside(x, z, rect) {
+        return x > rect.minX && x < rect.maxX && z > rect.minZ && z < rect.maxZ;
+    }
+
+    /**
+     * Inclusive containment test
+     */
+    isInsideOrOn(point, rect) {
+        return point.x >= rect.minX && point.x <= rect.maxX &&
+               point.z >= rect.minZ && point.z <= rect.maxZ;
+    }
+}
+
+/**
+ * Minimal binary heap keyed by priority
+ */
+class MinHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(value, priority) {
+        this.items.push({ value, priority });
+        let index = this.items.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (this.items[parent].priority <= this.items[index].priority) break;
+            [this.items[parent], this.items[index]] = [this.items[index], this.items[parent]];
+            index = parent;
+        }
+    }
+
+    pop() {
+        const top = this.items[0];
+        const last = this.items.pop();
+        if (this.items.length > 0) {
+            this.items[0] = last;
+            let index = 0;
+            for (;;) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let smallest = index;
+                if (left < this.items.length && this.items[left].priority < this.items[smallest].priority) smallest = left;
+                if (right < this.items.length && this.items[right].priority < this.items[smallest].priority) smallest = right;
+                if (smallest === index) break;
+                [this.items[smallest], this.items[index]] = [this.items[index], this.items[smallest]];
+                index = smallest;
+            }
+        }
+        return top.value;
+    }
+}
+
+export default OrthogonalRouter;
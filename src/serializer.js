@@ -0,0 +1,673 @@
+/**
+ * DSL Serializer for Isometric Architecture Diagrams
+ * Turns diagram models back into DSL text and applies targeted edits to
+ * existing DSL text using the source positions recorded by the parser
+ */
+
+import DSLParser from './parser.js';
+
+// Properties whose values are always written as quoted strings
+const QUOTED_PROPERTIES = ['label', 'tooltip', 'link', 'image'];
+// Paths that are quoted in inline style properties too
+const ASSET_PROPERTIES = ['model', 'image'];
+// How far a duplicated element's pinned position is moved from the original
+const DUPLICATE_OFFSET = 40;
+
+export class DSLSerializer {
+    constructor(options = {}) {
+        // Share the app's parser so includes resolve the same way
+        this.parser = options.parser || new DSLParser();
+        this.indentUnit = '  ';
+    }
+
+    /**
+     * Serialize a whole diagram model to DSL text
+     */
+    serialize(diagram) {
+        const sections = [];
+
+        const layout = diagram.layout || {};
+        const settings = [`layout direction=${layout.direction || 'TB'} ranksep=${layout.ranksep ?? 50} nodesep=${layout.nodesep ?? 30}`];
+        if (diagram.theme) settings.push(`theme ${diagram.theme}`);
+        sections.push(settings.join('\n'));
+
+        const styles = Object.entries(diagram.styles || {}).map(([name, style]) => {
+            const properties = Object.entries(style).map(([key, value]) => `${key}=${this.formatValue(key, value, false)}`);
+            return ['style', name, ...properties].join(' ');
+        });
+        if (styles.length > 0) sections.push(styles.join('\n'));
+
+        for (const id of this.getTopLevelIds(diagram)) {
+            sections.push(this.serializeElement(diagram, id, ''));
+        }
+
+        const relations = diagram.relations.map(relation => this.serializeRelation(relation));
+        if (relations.length > 0) sections.push(relations.join('\n'));
+
+        for (const [targetId, annotation] of Object.entries(diagram.annotations || {})) {
+            const lines = Object.entries(annotation).map(([key, value]) =>
+                `${this.indentUnit}${key} ${this.formatValue(key, value, true)}`
+            );
+            sections.push([`annotation ${targetId} {`, ...lines, '}'].join('\n'));
+        }
+
+        for (const view of Object.values(diagram.views || {})) {
+            sections.push(this.serializeView(view));
+        }
+
+        return sections.join('\n\n') + '\n';
+    }
+
+    /**
+     * Serialize a view block
+     */
+    serializeView(view) {
+        const lines = view.label && view.label !== view.id ? [`${this.indentUnit}label ${this.quote(view.label)}`] : [];
+        for (const rule of view.rules) {
+            lines.push(`${this.indentUnit}${rule.action} ${rule.selector} ${rule.values.join(' ')}`);
+        }
+        return [`view ${view.id} {`, ...lines, '}'].join('\n');
+    }
+
+    /**
+     * Serialize a component or container block (recursing into children)
+     */
+    serializeElement(diagram, id, indent) {
+        const container = diagram.containers[id];
+        const element = container || diagram.components[id];
+        const keyword = container ? 'container' : 'component';
+        const inner = indent + this.indentUnit;
+
+        const lines = [`${indent}${keyword} ${id} {`];
+        for (const [property, value] of Object.entries(element.properties)) {
+            if (property === 'meta') {
+                for (const [key, metaValue] of Object.entries(value)) {
+                    lines.push(`${inner}${this.formatProperty(`meta.${key}`, metaValue)}`);
+                }
+            } else {
+                lines.push(`${inner}${this.formatProperty(property, value)}`);
+            }
+        }
+
+        if (container) {
+            for (const childId of container.children || []) {
+                if (!diagram.containers[childId] && !diagram.components[childId]) continue;
+                lines.push('');
+                lines.push(this.serializeElement(diagram, childId, inner));
+            }
+        }
+
+        lines.push(`${indent}}`);
+        return lines.join('\n');
+    }
+
+    /**
+     * Serialize a relation line with its arrow, label and properties
+     */
+    serializeRelation(relation) {
+        const parts = [`relation ${relation.from} ${relation.arrow || '->'} ${relation.to}`];
+        if (relation.label) {
+            parts.push(`: ${this.quote(relation.label)}`);
+        }
+        for (const [property, value] of Object.entries(relation.properties || {})) {
+            if (property === 'meta') {
+                for (const [key, metaValue] of Object.entries(value)) {
+                    parts.push(`meta.${key}=${this.quote(metaValue)}`);
+                }
+            } else if (property === 'tags') {
+                parts.push(`tags=${this.quote(value.join(' '))}`);
+            } else {
+                parts.push(`${property}=${this.formatValue(property, value, false)}`);
+            }
+        }
+        return parts.join(' ');
+    }
+
+    /**
+     * Top-level elements in source order where known
+     */
+    getTopLevelIds(diagram) {
+        const elements = [
+            ...Object.values(diagram.containers),
+            ...Object.values(diagram.components)
+        ].filter(element => !element.parent);
+
+        return elements
+            .map((element, index) => ({ id: element.id, order: element.source?.start ?? Infinity, index }))
+            .sort((a, b) => a.order - b.order || a.index - b.index)
+            .map(entry => entry.id);
+    }
+
+    /**
+     * Format a block property line (without indentation)
+     */
+    formatProperty(property, value) {
+        if (property === 'position') {
+            return `position x=${this.formatNumber(value.x)} z=${this.formatNumber(value.z)}`;
+        }
+        if (property === 'rank' || property === 'order') {
+            return `${property}=${value}`;
+        }
+        if (property === 'tags') {
+            return ['tags', ...value.map(tag => this.formatValue(property, tag, true))].join(' ');
+        }
+        // Meta entries are addressed as `meta.<key>`
+        if (property.startsWith('meta.')) {
+            return `meta ${property.slice(5)} ${this.quote(value)}`;
+        }
+        return `${property} ${this.formatValue(property, value, true)}`;
+    }
+
+    /**
+     * Format a property value, quoting strings where needed
+     */
+    formatValue(property, value, inBlock) {
+        const text = String(value);
+        if ((inBlock && QUOTED_PROPERTIES.includes(property)) || ASSET_PROPERTIES.includes(property) || /[\s"{}:=]/.test(text) || text === '') {
+            return this.quote(text);
+        }
+        return text;
+    }
+
+    /**
+     * Quote a string value
+     */
+    quote(text) {
+        // The DSL has no escape sequences, so embedded double quotes become single quotes
+        return `"${String(text).replace(/"/g, "'")}"`;
+    }
+
+    /**
+     * Format a coordinate without noisy decimals
+     */
+    formatNumber(value) {
+        return String(Math.round(value * 100) / 100);
+    }
+
+    /**
+     * Set (or add) a property of a component/container in existing DSL text
+     */
+    setProperty(text, elementId, property, value) {
+        const element = this.findElement(text, elementId);
+        return this.setBlockLine(text, element.source, property, this.formatProperty(property, value));
+    }
+
+    /**
+     * Remove a property of a component/container from existing DSL text
+     */
+    removeProperty(text, elementId, property) {
+        const element = this.findElement(text, elementId);
+        return this.removeBlockLine(text, element.source, property);
+    }
+
+    /**
+     * Set (or add) an annotation property of an element in existing DSL
+     * text, appending an annotation block when the element has none
+     */
+    setAnnotation(text, targetId, property, value) {
+        const source = this.findAnnotation(text, targetId);
+        const line = `${property} ${this.formatValue(property, value, true)}`;
+
+        if (source) {
+            return this.setBlockLine(text, source, property, line);
+        }
+
+        const block = [`annotation ${targetId} {`, `${this.indentUnit}${line}`, '}'].join('\n');
+        return `${text.replace(/\s*$/, '')}\n\n${block}\n`;
+    }
+
+    /**
+     * Remove an annotation property from existing DSL text, along with
+     * the annotation block once it is empty
+     */
+    removeAnnotation(text, targetId, property) {
+        const source = this.findAnnotation(text, targetId);
+        if (!source?.properties[property]) return text;
+
+        if (Object.keys(source.properties).length === 1) {
+            const { start, end } = this.getBlockCut(text, source);
+            return text.slice(0, start) + text.slice(end);
+        }
+        return this.removeBlockLine(text, source, property);
+    }
+
+    /**
+     * Replace the line of a block property, or add it after the block's
+     * last property (right after the opening brace when it has none)
+     */
+    setBlockLine(text, source, property, line) {
+        const existing = source.properties[property];
+
+        if (existing) {
+            return text.slice(0, existing.start) + line + text.slice(existing.end);
+        }
+
+        const propertyEnds = Object.values(source.properties).map(range => range.end);
+        const indent = this.getIndent(text, source.start) + this.indentUnit;
+
+        if (propertyEnds.length > 0) {
+            const insertAt = Math.max(...propertyEnds);
+            return text.slice(0, insertAt) + `\n${indent}${line}` + text.slice(insertAt);
+        }
+
+        const braceAt = text.indexOf('{', source.start) + 1;
+        return text.slice(0, braceAt) + `\n${indent}${line}` + text.slice(braceAt);
+    }
+
+    /**
+     * Remove the line of a block property
+     */
+    removeBlockLine(text, source, property) {
+        const range = source.properties[property];
+        if (!range) return text;
+
+        const { start, end } = this.expandToLines(text, range.start, range.end);
+        return text.slice(0, start) + text.slice(end);
+    }
+
+    /**
+     * Add a component/container block to existing DSL text, as the last
+     * member of a container or after the last top-level block
+     * `elements` ({ components, containers }) holds the new element and
+     * any elements nested in it
+     */
+    addElement(text, elements, elementId, parentId = null) {
+        const diagram = this.parseSource(text);
+        const model = { components: {}, containers: {}, ...elements };
+        const taken = [...Object.keys(model.components), ...Object.keys(model.containers)]
+            .find(id => diagram.components[id] || diagram.containers[id]);
+        if (taken) throw new Error(`Id '${taken}' is already used`);
+
+        if (parentId) {
+            const parent = diagram.containers[parentId];
+            if (!parent) throw new Error(`Container '${parentId}' not found in DSL`);
+            if (parent.source.file) {
+                throw new Error(`Container '${parentId}' is defined in included file '${parent.source.file}' and cannot be edited here`);
+            }
+            const block = this.serializeElement(model, elementId, this.getIndent(text, parent.source.start) + this.indentUnit);
+            const insertAt = this.getLineStart(text, parent.source.end - 1);
+            const previousLine = text.slice(this.getLineStart(text, insertAt - 1), insertAt).trim();
+            const insertion = (previousLine === '' || previousLine.endsWith('{') ? '' : '\n') + block + '\n';
+            return text.slice(0, insertAt) + insertion + text.slice(insertAt);
+        }
+
+        const block = this.serializeElement(model, elementId, '');
+        const last = [...Object.values(diagram.containers), ...Object.values(diagram.components)]
+            .filter(element => !element.parent && !element.source.file)
+            .sort((a, b) => b.source.end - a.source.end)[0];
+        return last ? this.insertAfter(text, last.source, block) : `${text.replace(/\s*$/, '')}\n\n${block}\n`;
+    }
+
+    /**
+     * Copy a component/container block (with everything nested in it) right
+     * after the original, under a new id; nested elements get unused
+     * `<id>_copy` ids and a pinned position is moved aside
+     */
+    duplicateElement(text, elementId, newId) {
+        const diagram = this.parseSource(text);
+        const element = this.getEditableElement(diagram, elementId);
+        const used = new Set([...Object.keys(diagram.components), ...Object.keys(diagram.containers)]);
+        if (used.has(newId)) throw new Error(`Id '${newId}' is already used`);
+
+        const copies = { components: {}, containers: {} };
+        const copy = (id, copyId) => {
+            const original = diagram.containers[id] || diagram.components[id];
+            const duplicate = { ...original, id: copyId, properties: structuredClone(original.properties) };
+            used.add(copyId);
+            if (diagram.containers[id]) {
+                duplicate.children = original.children.map(childId => copy(childId, this.createId(used, `${childId}_copy`)));
+                copies.containers[copyId] = duplicate;
+            } else {
+                copies.components[copyId] = duplicate;
+            }
+            return copyId;
+        };
+        copy(elementId, newId);
+
+        const properties = (copies.containers[newId] || copies.components[newId]).properties;
+        if (properties.label) properties.label = `${properties.label} (copy)`;
+        if (properties.position) {
+            properties.position = { x: properties.position.x + DUPLICATE_OFFSET, z: properties.position.z + DUPLICATE_OFFSET };
+        }
+
+        const block = this.serializeElement(copies, newId, this.getIndent(text, element.source.start));
+        return this.insertAfter(text, element.source, block);
+    }
+
+    /**
+     * Remove a component/container block from existing DSL text along with
+     * everything that refers to it or to elements nested in it: relations,
+     * annotations and view rule values
+     */
+    removeElement(text, elementId) {
+        const diagram = this.parseSource(text);
+        const element = this.getEditableElement(diagram, elementId);
+
+        const removed = new Set([elementId]);
+        const collect = (id) => (diagram.containers[id]?.children || []).forEach(childId => {
+            removed.add(childId);
+            collect(childId);
+        });
+        collect(elementId);
+
+        const ranges = [this.getBlockCut(text, element.source)];
+
+        for (const relation of diagram.relations) {
+            if (!removed.has(relation.from) && !removed.has(relation.to)) continue;
+            if (relation.source.file) {
+                throw new Error(`Relation '${relation.from} ${relation.arrow} ${relation.to}' is defined in included file '${relation.source.file}' and cannot be edited here`);
+            }
+            ranges.push(this.expandToLines(text, relation.source.start, relation.source.end));
+        }
+
+        for (const id of removed) {
+            const source = this.parser.annotationSources[id];
+            if (source && !source.file) ranges.push(this.getBlockCut(text, source));
+        }
+
+        // View rules lose the removed ids, and whole lines once they have none left
+        for (const view of Object.values(diagram.views)) {
+            for (const rule of view.rules) {
+                if (rule.selector !== 'id' && rule.selector !== 'container') continue;
+                const locations = rule.source.filter((location, i) => removed.has(rule.values[i]) && !location.file);
+                if (locations.length === 0) continue;
+
+                const offsets = locations.map(location => ({
+                    start: this.getOffset(text, location.line, location.column),
+                    end: this.getOffset(text, location.line, location.endColumn)
+                }));
+                const line = text.slice(this.getLineStart(text, offsets[0].start), this.getLineEnd(text, offsets[0].start));
+                if (locations.length === rule.values.length && !/[{}]/.test(line)) {
+                    const lineStart = this.getLineStart(text, offsets[0].start);
+                    ranges.push({ start: lineStart, end: Math.min(text.length, this.getLineEnd(text, lineStart) + 1) });
+                } else {
+                    // Drop each value with the whitespace before it
+                    for (const { start, end } of offsets) {
+                        ranges.push({ start: start - text.slice(0, start).match(/[ \t]*$/)[0].length, end });
+                    }
+                }
+            }
+        }
+
+        return this.removeRanges(text, ranges);
+    }
+
+    /**
+     * Add a relation line after the last relation of the DSL text (at the
+     * end when it has none)
+     */
+    addRelation(text, relation) {
+        const diagram = this.parseSource(text);
+        const problem = this.parser.validateRelation(diagram, relation)[0];
+        if (problem) throw new Error(problem.message);
+
+        const line = this.serializeRelation(relation);
+        const last = diagram.relations
+            .filter(candidate => !candidate.source.file)
+            .sort((a, b) => b.source.end - a.source.end)[0];
+        if (!last) return `${text.replace(/\s*$/, '')}\n\n${line}\n`;
+
+        const insertAt = this.getLineEnd(text, last.source.end);
+        return text.slice(0, insertAt) + `\n${line}` + text.slice(insertAt);
+    }
+
+    /**
+     * Remove a relation line from existing DSL text
+     */
+    removeRelation(text, relation) {
+        const { source } = this.findRelation(text, relation);
+        const { start, end } = this.expandToLines(text, source.start, source.end);
+        return text.slice(0, start) + text.slice(end);
+    }
+
+    /**
+     * Rewrite a relation line from an updated relation
+     */
+    replaceRelation(text, relation, updated) {
+        const { source } = this.findRelation(text, relation);
+        return text.slice(0, source.start) + this.serializeRelation(updated) + text.slice(source.end);
+    }
+
+    /**
+     * Move a component/container block into another container
+     * (or to the top level when newParentId is null)
+     */
+    moveToContainer(text, elementId, newParentId) {
+        const diagram = this.parseSource(text);
+        const element = this.getEditableElement(diagram, elementId);
+        if ((element.parent || null) === (newParentId || null)) return text;
+
+        const newParent = newParentId ? diagram.containers[newParentId] : null;
+        if (newParentId && !newParent) throw new Error(`Container '${newParentId}' not found in DSL`);
+        if (newParent?.source.file) {
+            throw new Error(`Container '${newParentId}' is defined in included file '${newParent.source.file}' and cannot be edited here`);
+        }
+        if (newParent && newParent.source.start >= element.source.start && newParent.source.end <= element.source.end) {
+            throw new Error(`Cannot move '${elementId}' into itself`);
+        }
+
+        // Cut the block including its indentation and trailing newline
+        const lines = this.expandToLines(text, element.source.start, element.source.end);
+        const block = this.reindent(
+            text.slice(lines.start, lines.end).replace(/\n$/, ''),
+            this.getIndent(text, element.source.start),
+            newParent ? this.getIndent(text, newParent.source.start) + this.indentUnit : ''
+        );
+        const cut = this.getBlockCut(text, element.source);
+
+        let insertAt;
+        if (newParent) {
+            // Before the line holding the container's closing brace
+            insertAt = this.getLineStart(text, newParent.source.end - 1);
+        } else {
+            // After the top-level block that used to enclose the element
+            let ancestor = element;
+            while (ancestor.parent) ancestor = diagram.containers[ancestor.parent];
+            insertAt = this.getLineEnd(text, ancestor.source.end);
+        }
+
+        const removed = text.slice(0, cut.start) + text.slice(cut.end);
+        if (insertAt > cut.start) insertAt -= cut.end - cut.start;
+
+        let insertion;
+        if (newParent) {
+            const previousLine = removed.slice(this.getLineStart(removed, insertAt - 1), insertAt).trim();
+            insertion = (previousLine === '' || previousLine.endsWith('{') ? '' : '\n') + block + '\n';
+        } else {
+            insertion = `\n\n${block}`;
+        }
+
+        return removed.slice(0, insertAt) + insertion + removed.slice(insertAt);
+    }
+
+    /**
+     * Parse text for its source positions
+     */
+    parseSource(text) {
+        try {
+            return this.parser.parse(text);
+        } catch (error) {
+            throw new Error(`DSL text must parse before canvas changes can be written back (${error.message})`);
+        }
+    }
+
+    /**
+     * Find a component/container and its source info in DSL text
+     */
+    findElement(text, elementId) {
+        return this.getEditableElement(this.parseSource(text), elementId);
+    }
+
+    /**
+     * Find a relation in DSL text by its ends, arrow and label, preferring
+     * the one at the same source position
+     */
+    findRelation(text, relation) {
+        const matches = this.parseSource(text).relations.filter(candidate =>
+            candidate.from === relation.from && candidate.to === relation.to &&
+            candidate.arrow === relation.arrow && candidate.label === relation.label
+        );
+        const found = matches.find(candidate => candidate.source.start === relation.source?.start) || matches[0];
+
+        const name = `${relation.from} ${relation.arrow} ${relation.to}`;
+        if (!found) throw new Error(`Relation '${name}' not found in DSL`);
+        if (found.source.file) {
+            throw new Error(`Relation '${name}' is defined in included file '${found.source.file}' and cannot be edited here`);
+        }
+        return found;
+    }
+
+    /**
+     * An id not used by any element of the DSL text: `base`, or `base_2`,
+     * `base_3` and so on
+     */
+    getUnusedId(text, base) {
+        const diagram = this.parseSource(text);
+        return this.createId(new Set([...Object.keys(diagram.components), ...Object.keys(diagram.containers)]), base);
+    }
+
+    /**
+     * First of `base`, `base_2`, `base_3`... not in a set of used ids
+     */
+    createId(used, base) {
+        let id = base;
+        for (let n = 2; used.has(id); n++) id = `${base}_${n}`;
+        return id;
+    }
+
+    /**
+     * Find the source of an element's annotation block in DSL text (null
+     * when it has none)
+     */
+    findAnnotation(text, targetId) {
+        this.parseSource(text);
+        const source = this.parser.annotationSources[targetId];
+        if (source?.file) {
+            throw new Error(`Annotation of '${targetId}' is defined in included file '${source.file}' and cannot be edited here`);
+        }
+        return source || null;
+    }
+
+    /**
+     * Get an element whose source lies in this DSL text (not in an included file)
+     */
+    getEditableElement(diagram, elementId) {
+        const element = diagram.components[elementId] || diagram.containers[elementId];
+        if (!element) throw new Error(`Element '${elementId}' not found in DSL`);
+        if (element.source.file) {
+            throw new Error(`Element '${elementId}' is defined in included file '${element.source.file}' and cannot be edited here`);
+        }
+        return element;
+    }
+
+    /**
+     * Insert a block on its own lines after another block, separated by a
+     * blank line
+     */
+    insertAfter(text, source, block) {
+        const insertAt = this.getLineEnd(text, source.end);
+        return text.slice(0, insertAt) + `\n\n${block}` + text.slice(insertAt);
+    }
+
+    /**
+     * Range of whole lines to cut a block out, taking a separating blank
+     * line along if the block would leave a double gap
+     */
+    getBlockCut(text, source) {
+        const cut = this.expandToLines(text, source.start, source.end);
+        const nextLine = text.slice(cut.end, this.getLineEnd(text, cut.end)).trim();
+        if (cut.start > 0 && (nextLine === '' || nextLine.startsWith('}'))) {
+            const previousLineStart = this.getLineStart(text, cut.start - 1);
+            if (text.slice(previousLineStart, cut.start).trim() === '') {
+                cut.start = previousLineStart;
+            }
+        }
+        return cut;
+    }
+
+    /**
+     * Remove ranges ({ start, end }) from text, merging touching ones;
+     * blank lines left after a blank line are dropped
+     */
+    removeRanges(text, ranges) {
+        const merged = [];
+        for (const range of [...ranges].sort((a, b) => a.start - b.start)) {
+            const last = merged[merged.length - 1];
+            if (last && range.start <= last.end) {
+                last.end = Math.max(last.end, range.end);
+            } else {
+                merged.push({ ...range });
+            }
+        }
+
+        return merged.reduceRight((result, { start, end }) => {
+            const before = result.slice(0, start);
+            let after = result.slice(end);
+            if (before === '' || /\n[ \t]*\n$/.test(before)) {
+                after = after.replace(/^([ \t]*\n)+/, '');
+            }
+            return before + after;
+        }, text);
+    }
+
+    /**
+     * Get the offset of a 1-based line and column
+     */
+    getOffset(text, line, column) {
+        let lineStart = 0;
+        for (let i = 1; i < line; i++) lineStart = text.indexOf('\n', lineStart) + 1;
+        return lineStart + column - 1;
+    }
+
+    /**
+     * Get the whitespace indentation of the line containing an offset
+     */
+    getIndent(text, offset) {
+        const lineStart = this.getLineStart(text, offset);
+        return text.slice(lineStart).match(/^[ \t]*/)[0];
+    }
+
+    /**
+     * Get the offset of the start of the line containing an offset
+     */
+    getLineStart(text, offset) {
+        return text.lastIndexOf('\n', offset - 1) + 1;
+    }
+
+    /**
+     * Get the offset of the end of the line containing an offset (before the newline)
+     */
+    getLineEnd(text, offset) {
+        const newline = text.indexOf('\n', offset);
+        return newline === -1 ? text.length : newline;
+    }
+
+    /**
+     * Grow a range to whole lines when only whitespace surrounds it
+     */
+    expandToLines(text, start, end) {
+        const lineStart = this.getLineStart(text, start);
+        const lineEnd = this.getLineEnd(text, end);
+
+        const before = text.slice(lineStart, start);
+        const after = text.slice(end, lineEnd);
+        if (before.trim() !== '' || after.trim() !== '') {
+            return { start, end };
+        }
+
+        return { start: lineStart, end: Math.min(text.length, lineEnd + 1) };
+    }
+
+    /**
+     * Replace a block's indentation prefix on every line
+     */
+    reindent(block, fromIndent, toIndent) {
+        return block.split('\n').map(line => {
+            if (line.trim() === '') return '';
+            const stripped = line.startsWith(fromIndent) ? line.slice(fromIndent.length) : line.trimStart();
+            return toIndent + stripped;
+        }).join('\n');
+    }
+}
+
+export default DSLSerializer;
@@ -0,0 +1,191 @@
+/**
+ * Shape Library
+ * Geometry factories for component shapes, extensible with custom shapes
+ */
+
+import * as THREE from 'three';
+import { mergeGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+
+export class ShapeLibrary {
+    constructor(options = {}) {
+        this.height = options.height ?? 20;
+        this.factories = new Map();
+        this.footprints = new Map(); // name -> cached ground plane size
+        this.flatTops = new Set();   // shapes that can show an image on top
+
+        for (const [name, factory] of Object.entries(BUILTIN_SHAPES)) {
+            this.register(name, factory, { flatTop: FLAT_TOP_SHAPES.includes(name) });
+        }
+    }
+
+    /**
+     * Register a shape
+     * `factory({ height })` returns a BufferGeometry centered on the origin,
+     * `height` tall, whose ground plane bounds become the shape's footprint
+     * `options.flatTop` puts component images on the top face instead of
+     * a billboard above the shape
+     */
+    register(name, factory, options = {}) {
+        if (!name || typeof name !== 'string') {
+            throw new Error('Shape name must be a non-empty string');
+        }
+        if (typeof factory !== 'function') {
+            throw new Error(`Shape '${name}' needs a factory function`);
+        }
+
+        this.factories.set(name, factory);
+        this.footprints.delete(name);
+        if (options.flatTop) {
+            this.flatTops.add(name);
+        } else {
+            this.flatTops.delete(name);
+        }
+    }
+
+    /**
+     * Check whether a shape is registered
+     */
+    has(name) {
+        return this.factories.has(name);
+    }
+
+    /**
+     * Check whether a shape has a flat top face (unknown names draw rectangles)
+     */
+    hasFlatTop(name) {
+        return this.flatTops.has(this.has(name) ? name : 'rectangle');
+    }
+
+    /**
+     * Names of all registered shapes
+     */
+    names() {
+        return [...this.factories.keys()];
+    }
+
+    /**
+     * Build the geometry of a shape (rectangle for unknown names)
+     */
+    createGeometry(name) {
+        const factory = this.factories.get(name) || this.factories.get('rectangle');
+        return factory({ height: this.height });
+    }
+
+    /**
+     * Ground plane size of a shape, measured once from its geometry
+     */
+    getFootprint(name) {
+        const key = this.has(name) ? name : 'rectangle';
+        if (!this.footprints.has(key)) {
+            const geometry = this.createGeometry(key);
+            geometry.computeBoundingBox();
+            const size = geometry.boundingBox.getSize(new THREE.Vector3());
+            this.footprints.set(key, { width: Math.round(size.x), depth: Math.round(size.z) });
+            geometry.dispose();
+        }
+        return { ...this.footprints.get(key) };
+    }
+}
+
+/**
+ * Center a composed geometry on the ground plane origin with its base at -height/2
+ */
+function standOnBase(geometry, height) {
+    geometry.computeBoundingBox();
+    const { min, max } = geometry.boundingBox;
+    geometry.translate(-(min.x + max.x) / 2, -height / 2 - min.y, -(min.z + max.z) / 2);
+    return geometry;
+}
+
+/**
+ * Merge parts into one geometry, disposing of the parts
+ */
+function merge(parts) {
+    const geometry = mergeGeometries(parts);
+    parts.forEach(part => part.dispose());
+    return geometry;
+}
+
+const FLAT_TOP_SHAPES = ['rectangle', 'cylinder', 'hexagon', 'server', 'disks'];
+
+export const BUILTIN_SHAPES = {
+    rectangle: ({ height }) => new THREE.BoxGeometry(30, height, 20),
+
+    pyramid: ({ height }) => new THREE.ConeGeometry(15, height, 4),
+
+    cylinder: ({ height }) => new THREE.CylinderGeometry(12, 12, height),
+
+    sphere: ({ height }) => new THREE.SphereGeometry(height / 2, 24, 16),
+
+    hexagon: ({ height }) => new THREE.CylinderGeometry(14, 14, height, 6),
+
+    // Cabinet with rack units sticking out of the front
+    server: ({ height }) => {
+        const parts = [new THREE.BoxGeometry(22, height, 18)];
+        const units = 4;
+        const unitHeight = (height - 4) / units;
+        for (let i = 0; i < units; i++) {
+            const unit = new THREE.BoxGeometry(18, unitHeight * 0.7, 1);
+            unit.translate(0, -height / 2 + 2 + unitHeight * (i + 0.5), 9.5);
+            parts.push(unit);
+        }
+        return merge(parts);
+    },
+
+    // Three platters with small gaps, the classic storage symbol
+    disks: ({ height }) => {
+        const gap = 1.5;
+        const diskHeight = (height - gap * 2) / 3;
+        const parts = [];
+        for (let i = 0; i < 3; i++) {
+            const disk = new THREE.CylinderGeometry(12, 12, diskHeight, 32);
+            disk.translate(0, -height / 2 + diskHeight / 2 + i * (diskHeight + gap), 0);
+            parts.push(disk);
+        }
+        return merge(parts);
+    },
+
+    cloud: ({ height }) => {
+        const puffs = [
+            [9, 0, 0, 0],
+            [7, -10, -2, 2],
+            [7, 10, -2, -1],
+            [6, 4, -3, 7],
+            [6, -4, -3, -6]
+        ];
+        const parts = puffs.map(([radius, x, y, z]) => {
+            const puff = new THREE.SphereGeometry(radius, 16, 12);
+            puff.translate(x, y, z);
+            return puff;
+        });
+        return standOnBase(merge(parts), height);
+    },
+
+    // Horizontal tube with rings marking the queued messages
+    queue: ({ height }) => {
+        const radius = height * 0.4;
+        const tube = new THREE.CylinderGeometry(radius, radius, 30, 24);
+        tube.rotateZ(Math.PI / 2);
+        const parts = [tube];
+        for (const x of [-9, -3, 3, 9]) {
+            const ring = new THREE.CylinderGeometry(radius + 0.6, radius + 0.6, 1.2, 24);
+            ring.rotateZ(Math.PI / 2);
+            ring.translate(x, 0, 0);
+            parts.push(ring);
+        }
+        return standOnBase(merge(parts), height);
+    },
+
+    // Head on a tapered body
+    user: ({ height }) => {
+        const headRadius = height * 0.2;
+        const bodyHeight = height - headRadius * 2;
+        const body = new THREE.CylinderGeometry(5, 8, bodyHeight, 24);
+        body.translate(0, bodyHeight / 2, 0);
+        const head = new THREE.SphereGeometry(headRadius, 16, 12);
+        head.translate(0, bodyHeight + headRadius, 0);
+        return standOnBase(merge([body, head]), height);
+    }
+};
+
+export default ShapeLibrary;
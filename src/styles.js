@@ -0,0 +1,74 @@
+/**
+ * Style Resolution
+ * Computes the effective style of an element from its style's `extend`
+ * chain and the style properties set on the element itself
+ */
+
+// Properties a style defines, and elements may override inline
+export const STYLE_PROPERTIES = ['icon', 'color', 'shape', 'model', 'image', 'opacity', 'bordercolor', 'floor', 'labelposition'];
+
+// Container floor patterns and label positions
+export const FLOOR_PATTERNS = ['none', 'grid', 'dots', 'stripes'];
+export const LABEL_POSITIONS = ['top', 'front', 'corner'];
+
+/**
+ * Merge a style with the styles it extends; closer styles win
+ * Unknown and cyclic `extend` references end the chain
+ */
+export function resolveStyle(styles, name) {
+    const resolved = {};
+    for (const styleName of getStyleChain(styles, name).reverse()) {
+        Object.assign(resolved, styles[styleName]);
+    }
+    delete resolved.extend;
+    return resolved;
+}
+
+/**
+ * Names of a style and the styles it extends, closest first
+ */
+export function getStyleChain(styles, name) {
+    const chain = [];
+    let current = name;
+
+    while (current && styles[current] && !chain.includes(current)) {
+        chain.push(current);
+        current = styles[current].extend;
+    }
+
+    return chain;
+}
+
+/**
+ * Style of a component or container: its `type` style overridden by
+ * style properties set in the element's block
+ */
+export function resolveElementStyle(styles, element) {
+    const style = resolveStyle(styles || {}, element.properties.type);
+
+    for (const property of STYLE_PROPERTIES) {
+        if (element.properties[property] !== undefined) {
+            style[property] = element.properties[property];
+        }
+    }
+
+    return style;
+}
+
+/**
+ * Find a cycle of `extend` references starting at a style
+ * Returns the style names along the cycle, or null
+ */
+export function findExtendCycle(styles, name) {
+    const chain = [];
+    let current = name;
+
+    while (current && styles[current]) {
+        const index = chain.indexOf(current);
+        if (index !== -1) return [...chain.slice(index), current];
+        chain.push(current);
+        current = styles[current].extend;
+    }
+
+    return null;
+}
@@ -0,0 +1,392 @@
+/**
+ * SVG Exporter for Isometric Architecture Diagrams
+ * Projects the rendered scene through the orthographic camera into vector paths
+ */
+
+import * as THREE from 'three';
+import { getTheme } from './themes.js';
+
+export class SVGExporter {
+    constructor(options = {}) {
+        // Mirrors the renderer's key light so exported faces shade the same way
+        this.lightDirection = (options.lightDirection || new THREE.Vector3(50, 100, 50)).clone().normalize();
+        this.ambient = options.ambient ?? 0.45;
+        this.diffuse = options.diffuse ?? 0.55;
+        this.precision = options.precision ?? 2;
+        this.label = options.label || getTheme('light').label;
+    }
+
+    /**
+     * Build an SVG document from the renderer state
+     * `scene` is { camera, width, height, background, meshes, connections }
+     */
+    export(scene) {
+        const { camera, width, height } = scene;
+        camera.updateMatrixWorld();
+        camera.updateProjectionMatrix();
+
+        this.camera = camera;
+        this.width = width;
+        this.height = height;
+        this.viewDirection = camera.getWorldDirection(new THREE.Vector3());
+        this.pixelsPerUnit = (height * camera.zoom) / (camera.top - camera.bottom);
+
+        const meshes = [...scene.meshes.values()];
+        // Collapsed containers are solid blocks, drawn like components
+        const isOpenContainer = mesh => mesh.userData.type === 'container' && !mesh.userData.collapsed;
+        const containers = meshes
+            .filter(isOpenContainer)
+            .sort((a, b) => this.getDepth(a.position) - this.getDepth(b.position) || a.position.y - b.position.y);
+        const components = meshes
+            .filter(mesh => !isOpenContainer(mesh))
+            .sort((a, b) => this.getDepth(a.position) - this.getDepth(b.position));
+
+        // Painter's order: container volumes sit behind everything they hold,
+        // connections run along the floor, then components back to front,
+        // and finally floating labels
+        const layers = [
+            containers.map(mesh => this.renderContainer(mesh)),
+            scene.connections.map(connection => this.renderConnection(connection)),
+            components.map(mesh => this.renderComponent(mesh)),
+            containers.map(mesh => this.renderSprites(mesh)),
+            scene.connections.map(connection => this.renderSprites(connection))
+        ];
+
+        const background = scene.background
+            ? `<rect width="100%" height="100%" fill="${this.toHex(scene.background)}"/>`
+            : '';
+
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+            background,
+            ...layers.flat().filter(Boolean),
+            '</svg>'
+        ].filter(Boolean).join('\n');
+    }
+
+    /**
+     * Distance along the view direction (larger is closer to the camera)
+     */
+    getDepth(worldPosition) {
+        return -worldPosition.clone().sub(this.camera.position).dot(this.viewDirection);
+    }
+
+    /**
+     * Project a world position to SVG pixel coordinates
+     */
+    project(worldPosition) {
+        const ndc = worldPosition.clone().project(this.camera);
+        return {
+            x: ((ndc.x + 1) / 2) * this.width,
+            y: ((1 - ndc.y) / 2) * this.height
+        };
+    }
+
+    /**
+     * Render a component's visible faces followed by its icon and label
+     */
+    renderComponent(mesh) {
+        // Loaded models replace the shape geometry, each part in its own color
+        mesh.updateMatrixWorld();
+        const parts = [];
+        if (mesh.userData.model) {
+            mesh.userData.model.traverse(child => {
+                if (child.isMesh) parts.push(child);
+            });
+        } else {
+            parts.push(mesh);
+        }
+
+        const faces = parts
+            .flatMap(part => this.collectFaces(part).map(face => ({ ...face, color: this.getMaterialColor(part.material) })))
+            .filter(face => face.normal.dot(this.viewDirection) < 0)
+            .sort((a, b) => a.depth - b.depth);
+
+        const opacity = mesh.material.opacity ?? 1;
+        const paths = faces.map(face => {
+            const shade = this.ambient + this.diffuse * Math.max(0, face.normal.dot(this.lightDirection));
+            const fill = this.toHex(face.color.clone().multiplyScalar(shade));
+            // Stroke in the fill color hides hairline seams between triangles
+            return `<path d="${this.toPath(face.points, true)}" fill="${fill}" stroke="${fill}" stroke-width="0.5" stroke-linejoin="round"/>`;
+        });
+
+        // Images lying on the top face
+        for (const child of mesh.children) {
+            if (child.userData.image?.href && !child.isSprite) {
+                paths.push(this.renderTopImage(child));
+            }
+        }
+
+        return [
+            `<g data-id="${this.escape(mesh.userData.id || '')}" opacity="${opacity}">`,
+            ...paths,
+            '</g>',
+            this.renderSprites(mesh)
+        ].join('\n');
+    }
+
+    /**
+     * Render an image plane as an SVG image mapped onto its projected corners
+     */
+    renderTopImage(plane) {
+        plane.updateMatrixWorld();
+        const position = plane.geometry.attributes.position;
+        // Plane vertices 0, 1 and 2 are the image's top-left, top-right and bottom-left
+        const [origin, right, down] = [0, 1, 2].map(i =>
+            this.project(new THREE.Vector3().fromBufferAttribute(position, i).applyMatrix4(plane.matrixWorld))
+        );
+
+        const { width, height } = plane.geometry.parameters;
+        const matrix = [
+            (right.x - origin.x) / width,
+            (right.y - origin.y) / width,
+            (down.x - origin.x) / height,
+            (down.y - origin.y) / height,
+            origin.x,
+            origin.y
+        ];
+
+        return `<image href="${this.escape(plane.userData.image.href)}" width="${width}" height="${height}" preserveAspectRatio="xMidYMid meet" transform="matrix(${matrix.join(' ')})"/>`;
+    }
+
+    /**
+     * Base color of a (possibly multi-) material
+     */
+    getMaterialColor(material) {
+        const first = Array.isArray(material) ? material[0] : material;
+        return first?.color || new THREE.Color(0x999999);
+    }
+
+    /**
+     * Render a container as translucent faces plus its outline edges
+     */
+    renderContainer(mesh) {
+        const fill = this.toHex(mesh.material.color);
+        const opacity = mesh.material.opacity ?? 0.1;
+        const faces = this.collectFaces(mesh).sort((a, b) => a.depth - b.depth);
+
+        const parts = faces.map(face =>
+            `<path d="${this.toPath(face.points, true)}" fill="${fill}" fill-opacity="${opacity}"/>`
+        );
+
+        for (const child of mesh.children) {
+            if (child.isLineSegments) {
+                const stroke = this.toHex(child.material.color);
+                const edgeOpacity = child.material.opacity ?? 1;
+                parts.push(`<path d="${this.segmentsToPath(child)}" fill="none" stroke="${stroke}" stroke-opacity="${edgeOpacity}" stroke-width="1"/>`);
+            }
+        }
+
+        return [
+            `<g data-id="${this.escape(mesh.userData.id || '')}">`,
+            ...parts,
+            '</g>'
+        ].join('\n');
+    }
+
+    /**
+     * Render a connection polyline with its arrow heads
+     */
+    renderConnection(line) {
+        const points = this.getWorldPoints(line).map(point => this.project(point));
+        if (points.length < 2) return '';
+
+        const style = line.userData.lineStyle || { color: line.material.color, width: 1, dash: 'solid' };
+        const stroke = this.toHex(style.color);
+        const dashArray = this.getDashArray(style);
+        const parts = [
+            `<path d="${this.toPath(points, false)}" fill="none" stroke="${stroke}" stroke-width="${1.5 * style.width}" stroke-linejoin="round"${dashArray ? ` stroke-dasharray="${dashArray}"` : ''}/>`
+        ];
+
+        for (const arrow of [line.userData.arrow, line.userData.startArrow]) {
+            if (arrow) parts.push(this.renderArrowHead(arrow, stroke));
+        }
+
+        return [
+            `<g data-from="${this.escape(line.userData.fromId || '')}" data-to="${this.escape(line.userData.toId || '')}">`,
+            ...parts,
+            '</g>'
+        ].join('\n');
+    }
+
+    /**
+     * SVG dash array for a dashed or dotted relation, in pixels
+     */
+    getDashArray(style) {
+        const scale = Math.max(1, style.width / 2) * this.pixelsPerUnit;
+        if (style.dash === 'dashed') return `${4 * scale} ${3 * scale}`;
+        if (style.dash === 'dotted') return `${1 * scale} ${2 * scale}`;
+        return null;
+    }
+
+    /**
+     * Render an arrow helper's cone as a flat triangle
+     */
+    renderArrowHead(arrow, fill) {
+        const direction = new THREE.Vector3(0, 1, 0).applyQuaternion(arrow.quaternion);
+        const base = arrow.getWorldPosition(new THREE.Vector3());
+        const tip = base.clone().addScaledVector(direction, arrow.cone.scale.y);
+        const side = new THREE.Vector3().crossVectors(direction, new THREE.Vector3(0, 1, 0));
+        if (side.lengthSq() === 0) side.set(1, 0, 0);
+        side.normalize().multiplyScalar(arrow.cone.scale.x / 2);
+
+        const head = [tip, base.clone().add(side), base.clone().sub(side)].map(point => this.project(point));
+        return `<path d="${this.toPath(head, true)}" fill="${fill}"/>`;
+    }
+
+    /**
+     * Render text labels and icons attached to an object
+     */
+    renderSprites(object) {
+        const parts = [];
+
+        for (const child of object.children) {
+            if (!child.isSprite) continue;
+
+            const center = this.project(child.getWorldPosition(new THREE.Vector3()));
+            const spriteWidth = child.scale.x * this.pixelsPerUnit;
+            const spriteHeight = child.scale.y * this.pixelsPerUnit;
+
+            if (child.userData.image?.href) {
+                parts.push(`<image href="${this.escape(child.userData.image.href)}" x="${center.x - spriteWidth / 2}" y="${center.y - spriteHeight / 2}" width="${spriteWidth}" height="${spriteHeight}" preserveAspectRatio="xMidYMid meet"/>`);
+            } else if (child.userData.icon) {
+                parts.push(this.renderText(child.userData.icon, center, spriteHeight * 0.5, 'none'));
+            } else if (child.userData.text) {
+                parts.push(this.renderLabel(child.userData.text, center, spriteWidth, spriteHeight, child.userData.isContainerLabel));
+            }
+        }
+
+        return parts.join('\n');
+    }
+
+    /**
+     * Render a rounded label box matching the canvas labels
+     */
+    renderLabel(text, center, width, height, isContainer) {
+        const inset = height * 0.06;
+        const boxWidth = width - inset * 2;
+        const boxHeight = height - inset * 2;
+        const fill = isContainer ? this.label.containerBackground : this.label.background;
+        const fillOpacity = isContainer ? 0.9 : this.label.backgroundOpacity;
+        const stroke = isContainer ? this.label.containerBorder : this.label.border;
+        const fontSize = height * (isContainer ? 0.35 : 0.5);
+
+        // Label canvases are 320px wide and get squeezed onto the sprite, so the
+        // text is condensed the same way (roughly 0.6em per bold Arial glyph)
+        const canvasFontSize = isContainer ? 28 : 32;
+        const textLength = Math.min(boxWidth * 0.95, text.length * 0.6 * canvasFontSize * width / 320);
+
+        return [
+            `<rect x="${this.round(center.x - boxWidth / 2)}" y="${this.round(center.y - boxHeight / 2)}" width="${this.round(boxWidth)}" height="${this.round(boxHeight)}" rx="${this.round(boxHeight * 0.15)}" fill="${fill}" fill-opacity="${fillOpacity}" stroke="${stroke}" stroke-opacity="0.8"/>`,
+            this.renderText(text, center, fontSize, isContainer ? this.label.containerColor : this.label.color, textLength)
+        ].join('\n');
+    }
+
+    /**
+     * Render centered text, optionally condensed to a fixed length
+     */
+    renderText(text, center, fontSize, fill, textLength = null) {
+        const fillAttribute = fill === 'none' ? '' : ` fill="${fill}"`;
+        const lengthAttributes = textLength ? ` textLength="${this.round(textLength)}" lengthAdjust="spacingAndGlyphs"` : '';
+        return `<text x="${this.round(center.x)}" y="${this.round(center.y)}" font-family="${this.escape(this.label.font)}" font-weight="bold" font-size="${this.round(fontSize)}" text-anchor="middle" dominant-baseline="central"${fillAttribute}${lengthAttributes}>${this.escape(text)}</text>`;
+    }
+
+    /**
+     * Collect a mesh's triangles in world space with normals and depths
+     */
+    collectFaces(mesh) {
+        mesh.updateMatrixWorld();
+        const geometry = mesh.geometry;
+        const position = geometry.attributes.position;
+        const index = geometry.index;
+        const count = index ? index.count : position.count;
+        const faces = [];
+
+        const vertex = (i) => new THREE.Vector3()
+            .fromBufferAttribute(position, index ? index.getX(i) : i)
+            .applyMatrix4(mesh.matrixWorld);
+
+        for (let i = 0; i + 2 < count; i += 3) {
+            const a = vertex(i);
+            const b = vertex(i + 1);
+            const c = vertex(i + 2);
+            const normal = new THREE.Vector3().crossVectors(
+                new THREE.Vector3().subVectors(b, a),
+                new THREE.Vector3().subVectors(c, a)
+            );
+            if (normal.lengthSq() === 0) continue;
+            normal.normalize();
+
+            const centroid = a.clone().add(b).add(c).divideScalar(3);
+            faces.push({
+                normal,
+                depth: this.getDepth(centroid),
+                points: [a, b, c].map(point => this.project(point))
+            });
+        }
+
+        return faces;
+    }
+
+    /**
+     * Get the world-space points of a line
+     */
+    getWorldPoints(line) {
+        line.updateMatrixWorld();
+        const position = line.geometry.attributes.position;
+        if (!position) return [];
+
+        const points = [];
+        for (let i = 0; i < position.count; i++) {
+            points.push(new THREE.Vector3().fromBufferAttribute(position, i).applyMatrix4(line.matrixWorld));
+        }
+        return points;
+    }
+
+    /**
+     * Convert line segment pairs into a single path
+     */
+    segmentsToPath(segments) {
+        const points = this.getWorldPoints(segments).map(point => this.project(point));
+        const commands = [];
+        for (let i = 0; i + 1 < points.length; i += 2) {
+            commands.push(`M${this.round(points[i].x)},${this.round(points[i].y)}L${this.round(points[i + 1].x)},${this.round(points[i + 1].y)}`);
+        }
+        return commands.join('');
+    }
+
+    /**
+     * Convert projected points into path data
+     */
+    toPath(points, closed) {
+        const commands = points.map((point, i) => `${i === 0 ? 'M' : 'L'}${this.round(point.x)},${this.round(point.y)}`);
+        return commands.join('') + (closed ? 'Z' : '');
+    }
+
+    /**
+     * Convert a THREE.Color to a CSS hex string
+     */
+    toHex(color) {
+        return `#${color.getHexString()}`;
+    }
+
+    /**
+     * Round a coordinate to the configured precision
+     */
+    round(value) {
+        return Number(value.toFixed(this.precision));
+    }
+
+    /**
+     * Escape text for XML content and attributes
+     */
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+export default SVGExporter;
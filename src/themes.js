@@ -0,0 +1,121 @@
+/**
+ * Themes
+ * Scene colors, lighting and label styling for the renderer and SVG export
+ */
+
+export const THEMES = {
+    light: {
+        name: 'light',
+        background: '#f0f0f0',
+        grid: { visible: true, center: '#cccccc', lines: '#eeeeee' },
+        lights: {
+            ambient: { color: '#404040', intensity: 0.6 },
+            directional: { color: '#ffffff', intensity: 0.8 },
+            hemisphere: { sky: '#87ceeb', ground: '#98fb98', intensity: 0.4 },
+            shadows: true
+        },
+        // Face shading of SVG export, matching the lights above
+        shading: { ambient: 0.45, diffuse: 0.55 },
+        palette: {
+            component: '#4caf50',
+            container: '#cccccc',
+            containerBorder: '#999999',
+            containerBorderOpacity: 0.3,
+            connection: '#666666',
+            flow: '#2196f3'
+        },
+        label: {
+            font: 'Arial, sans-serif',
+            color: '#333333',
+            background: '#ffffff',
+            backgroundOpacity: 0.95,
+            border: '#c8c8c8',
+            shadowOpacity: 0.3,
+            containerColor: '#ffffff',
+            containerBackground: '#5587b9',
+            containerBorder: '#ffffff'
+        }
+    },
+
+    dark: {
+        name: 'dark',
+        background: '#1e1f26',
+        grid: { visible: true, center: '#4a4c58', lines: '#2c2e38' },
+        lights: {
+            ambient: { color: '#606070', intensity: 0.7 },
+            directional: { color: '#ffffff', intensity: 0.7 },
+            hemisphere: { sky: '#3a4a6a', ground: '#202020', intensity: 0.4 },
+            shadows: true
+        },
+        shading: { ambient: 0.4, diffuse: 0.5 },
+        palette: {
+            component: '#66bb6a',
+            container: '#6c7290',
+            containerBorder: '#8a90b0',
+            containerBorderOpacity: 0.5,
+            connection: '#b0b4c0',
+            flow: '#4fc3f7'
+        },
+        label: {
+            font: 'Arial, sans-serif',
+            color: '#eeeeee',
+            background: '#2d2f3a',
+            backgroundOpacity: 0.95,
+            border: '#555868',
+            shadowOpacity: 0.6,
+            containerColor: '#ffffff',
+            containerBackground: '#3d5a80',
+            containerBorder: '#8a90b0'
+        }
+    },
+
+    // High contrast on white paper: no grid or shadows, flat light, black lines
+    print: {
+        name: 'print',
+        background: '#ffffff',
+        grid: { visible: false, center: '#ffffff', lines: '#ffffff' },
+        lights: {
+            ambient: { color: '#ffffff', intensity: 0.7 },
+            directional: { color: '#ffffff', intensity: 0.5 },
+            hemisphere: { sky: '#ffffff', ground: '#ffffff', intensity: 0.2 },
+            shadows: false
+        },
+        shading: { ambient: 0.6, diffuse: 0.4 },
+        palette: {
+            component: '#bdbdbd',
+            container: '#ffffff',
+            containerBorder: '#000000',
+            containerBorderOpacity: 0.9,
+            connection: '#000000',
+            flow: '#000000'
+        },
+        label: {
+            font: 'Arial, sans-serif',
+            color: '#000000',
+            background: '#ffffff',
+            backgroundOpacity: 1,
+            border: '#000000',
+            shadowOpacity: 0,
+            containerColor: '#000000',
+            containerBackground: '#ffffff',
+            containerBorder: '#000000'
+        }
+    }
+};
+
+export const THEME_NAMES = Object.keys(THEMES);
+
+/**
+ * Get a theme by name, falling back to the light theme
+ */
+export function getTheme(name) {
+    return THEMES[name] || THEMES.light;
+}
+
+/**
+ * CSS rgba() for a hex color and an opacity
+ */
+export function toRgba(hex, opacity = 1) {
+    const value = parseInt(hex.slice(1), 16);
+    return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${opacity})`;
+}
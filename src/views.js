@@ -0,0 +1,172 @@
+/**
+ * Views and Collapsed Containers
+ * Subsets of a diagram picked by `view` rules or by collapsing containers;
+ * elements left out have their relations redirected to the nearest
+ * container that is still shown
+ */
+
+import { getStyleChain } from './styles.js';
+
+// What a view rule matches elements by
+export const VIEW_SELECTORS = ['id', 'container', 'type', 'tag'];
+
+/**
+ * Diagram model restricted to a view (the diagram itself when the view is unknown)
+ * `include` rules pick elements (all elements when a view has none) along with
+ * the containers around them, then `exclude` rules remove elements
+ */
+export function applyView(diagram, name) {
+    const view = name && diagram.views?.[name];
+    if (!view) return diagram;
+
+    const elements = { ...diagram.components, ...diagram.containers };
+    const includes = view.rules.filter(rule => rule.action === 'include');
+    const excludes = view.rules.filter(rule => rule.action === 'exclude');
+
+    const visible = new Set(includes.length > 0 ? [] : Object.keys(elements));
+    for (const rule of includes) {
+        for (const id of matchRule(diagram, rule)) {
+            for (let current = id; current && !visible.has(current); current = elements[current]?.parent) {
+                visible.add(current);
+            }
+        }
+    }
+    for (const rule of excludes) {
+        matchRule(diagram, rule).forEach(id => visible.delete(id));
+    }
+
+    return { ...restrictDiagram(diagram, visible), view: name };
+}
+
+/**
+ * Diagram model with the given containers collapsed into single blocks
+ * Their contents are left out and relations to them end at the block
+ */
+export function collapseContainers(diagram, collapsedIds) {
+    const collapsed = [...collapsedIds].filter(id => diagram.containers[id]);
+    if (collapsed.length === 0) return diagram;
+
+    const hidden = new Set(collapsed.flatMap(id => getDescendants(diagram, id)));
+    const visible = new Set(
+        [...Object.keys(diagram.components), ...Object.keys(diagram.containers)].filter(id => !hidden.has(id))
+    );
+
+    const restricted = restrictDiagram(diagram, visible);
+    for (const id of collapsed) {
+        if (restricted.containers[id]) {
+            restricted.containers[id].collapsed = true;
+            restricted.containers[id].hiddenCount = getDescendants(diagram, id).length;
+        }
+    }
+    return restricted;
+}
+
+/**
+ * Copy of a diagram with only the visible elements, hidden ones being
+ * replaced by the nearest visible container around them
+ * Relations to hidden elements end at that container and relations that
+ * end up between the same two elements are merged, counting the relations
+ * merged; relations left without an end, or ending inside their other
+ * end, are dropped
+ * Elements shown under a stand-in for their hidden container are marked
+ * `reparented` (their DSL position is relative to the hidden one)
+ */
+function restrictDiagram(diagram, visible) {
+    const elements = { ...diagram.components, ...diagram.containers };
+
+    // Nearest shown element at or around an element
+    const shown = (id) => {
+        let current = id;
+        while (current && !visible.has(current)) current = elements[current]?.parent;
+        return current || null;
+    };
+
+    // Children of hidden containers move up to the nearest shown container
+    const shownChildren = (id) => (elements[id].children || []).flatMap(childId =>
+        visible.has(childId) ? [childId] : (diagram.containers[childId] ? shownChildren(childId) : [])
+    );
+
+    // Element copy under its nearest shown container
+    const place = (element) => {
+        const parent = shown(element.parent);
+        return parent === (element.parent || null) ? { ...element, parent } : { ...element, parent, reparented: true };
+    };
+
+    const restricted = { ...diagram, components: {}, containers: {}, relations: [] };
+
+    for (const [id, component] of Object.entries(diagram.components)) {
+        if (visible.has(id)) {
+            restricted.components[id] = place(component);
+        }
+    }
+    for (const [id, container] of Object.entries(diagram.containers)) {
+        if (visible.has(id)) {
+            restricted.containers[id] = { ...place(container), children: shownChildren(id) };
+        }
+    }
+
+    const contains = (outer, id) => {
+        for (let current = elements[id] && shown(elements[id].parent); current; current = shown(elements[current].parent)) {
+            if (current === outer) return true;
+        }
+        return false;
+    };
+    const merged = new Map(); // "from to" -> merged relation
+
+    for (const relation of diagram.relations) {
+        const from = shown(relation.from);
+        const to = shown(relation.to);
+        if (!from || !to || from === to || contains(from, to) || contains(to, from)) continue;
+
+        const key = `${from}\u0000${to}`;
+        const existing = merged.get(key);
+        if (existing) {
+            existing.count++;
+            if (existing.label !== relation.label) existing.label = '';
+            continue;
+        }
+
+        const redirected = from === relation.from && to === relation.to
+            ? { ...relation, count: 1 }
+            : { ...relation, from, to, count: 1, collapsed: true };
+        merged.set(key, redirected);
+        restricted.relations.push(redirected);
+    }
+
+    return restricted;
+}
+
+/**
+ * Ids of the elements a view rule matches
+ */
+function matchRule(diagram, rule) {
+    const elements = [...Object.values(diagram.components), ...Object.values(diagram.containers)];
+
+    switch (rule.selector) {
+        case 'id':
+            return rule.values.filter(id => diagram.components[id] || diagram.containers[id]);
+        case 'container':
+            return rule.values.flatMap(id => (diagram.containers[id] ? getDescendants(diagram, id, [id]) : []));
+        case 'type':
+            return elements
+                .filter(element => getStyleChain(diagram.styles, element.properties.type).some(name => rule.values.includes(name)))
+                .map(element => element.id);
+        case 'tag':
+            return elements
+                .filter(element => (element.properties.tags || []).some(tag => rule.values.includes(tag)))
+                .map(element => element.id);
+        default:
+            return [];
+    }
+}
+
+/**
+ * A container's nested children and components, appended to `ids`
+ */
+export function getDescendants(diagram, containerId, ids = []) {
+    for (const childId of diagram.containers[containerId]?.children || []) {
+        ids.push(childId);
+        if (diagram.containers[childId]) getDescendants(diagram, childId, ids);
+    }
+    return ids;
+}
@@ -0,0 +1,229 @@
+/**
+ * Diagram Workspace
+ * Named diagrams persisted in IndexedDB, with migration of the single
+ * diagram the app used to keep in localStorage
+ */
+
+const DB_NAME = 'isometric-diagram-workspace';
+const DB_VERSION = 1;
+const STORE_NAME = 'diagrams';
+
+// Keys used before the workspace existed
+const LEGACY_DSL_KEY = 'isometric-diagram-dsl';
+const LEGACY_TIMESTAMP_KEY = 'isometric-diagram-timestamp';
+
+// Remembers which diagram was open last
+const ACTIVE_KEY = 'isometric-diagram-active';
+
+export class DiagramWorkspace {
+    constructor(options = {}) {
+        this.indexedDB = options.indexedDB || globalThis.indexedDB;
+        this.storage = options.storage || globalThis.localStorage;
+        this.db = null;
+    }
+
+    /**
+     * Open the database, creating the store on first use
+     */
+    async open() {
+        if (this.db) return this.db;
+        if (!this.indexedDB) {
+            throw new Error('IndexedDB is not available in this browser');
+        }
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = this.indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                store.createIndex('updatedAt', 'updatedAt');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        return this.db;
+    }
+
+    /**
+     * Run a request against the diagram store
+     */
+    async request(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = operation(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * List all diagrams, most recently modified first
+     */
+    async list() {
+        const diagrams = await this.request('readonly', store => store.getAll());
+        return diagrams.sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    /**
+     * Get a diagram by id
+     */
+    async get(id) {
+        return (await this.request('readonly', store => store.get(id))) || null;
+    }
+
+    /**
+     * Create a diagram
+     */
+    async create({ name, dsl = '', thumbnail = null, updatedAt = Date.now() } = {}) {
+        const diagrams = await this.list();
+        const diagram = {
+            id: this.generateId(),
+            name: this.getUniqueName(name || 'Untitled diagram', diagrams),
+            dsl,
+            thumbnail,
+            createdAt: updatedAt,
+            updatedAt
+        };
+
+        await this.request('readwrite', store => store.put(diagram));
+        return diagram;
+    }
+
+    /**
+     * Store new content for a diagram and bump its last-modified time
+     */
+    async save(id, dsl) {
+        return this.update(id, { dsl, updatedAt: Date.now() });
+    }
+
+    /**
+     * Store a diagram's thumbnail (does not count as a modification)
+     */
+    async setThumbnail(id, thumbnail) {
+        return this.update(id, { thumbnail });
+    }
+
+    /**
+     * Rename a diagram
+     */
+    async rename(id, name) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) throw new Error('Diagram name cannot be empty');
+
+        const others = (await this.list()).filter(diagram => diagram.id !== id);
+        return this.update(id, { name: this.getUniqueName(trimmed, others), updatedAt: Date.now() });
+    }
+
+    /**
+     * Copy a diagram under a new name
+     */
+    async duplicate(id) {
+        const source = await this.get(id);
+        if (!source) throw new Error(`Diagram '${id}' not found`);
+
+        return this.create({
+            name: `${source.name} copy`,
+            dsl: source.dsl,
+            thumbnail: source.thumbnail
+        });
+    }
+
+    /**
+     * Delete a diagram
+     */
+    async delete(id) {
+        await this.request('readwrite', store => store.delete(id));
+        if (this.getActiveId() === id) {
+            this.setActiveId(null);
+        }
+    }
+
+    /**
+     * Merge changes into a stored diagram
+     */
+    async update(id, changes) {
+        const diagram = await this.get(id);
+        if (!diagram) throw new Error(`Diagram '${id}' not found`);
+
+        const updated = { ...diagram, ...changes };
+        await this.request('readwrite', store => store.put(updated));
+        return updated;
+    }
+
+    /**
+     * Move the diagram saved by earlier versions into the workspace
+     * Returns the migrated diagram, or null when there was nothing to migrate
+     */
+    async migrateLegacyStorage() {
+        let dsl;
+        let timestamp;
+        try {
+            dsl = this.storage?.getItem(LEGACY_DSL_KEY);
+            timestamp = Number(this.storage?.getItem(LEGACY_TIMESTAMP_KEY)) || Date.now();
+        } catch (error) {
+            console.warn('Could not read legacy localStorage diagram:', error);
+            return null;
+        }
+        if (!dsl) return null;
+
+        const diagram = await this.create({ name: 'My diagram', dsl, updatedAt: timestamp });
+
+        // Only forget the old copy once it is safely stored
+        this.storage.removeItem(LEGACY_DSL_KEY);
+        this.storage.removeItem(LEGACY_TIMESTAMP_KEY);
+        this.setActiveId(diagram.id);
+        return diagram;
+    }
+
+    /**
+     * Id of the diagram that was open last
+     */
+    getActiveId() {
+        try {
+            return this.storage?.getItem(ACTIVE_KEY) || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Remember the open diagram
+     */
+    setActiveId(id) {
+        try {
+            if (id) {
+                this.storage?.setItem(ACTIVE_KEY, id);
+            } else {
+                this.storage?.removeItem(ACTIVE_KEY);
+            }
+        } catch (error) {
+            console.warn('Could not store active diagram:', error);
+        }
+    }
+
+    /**
+     * Make a name unique among existing diagrams by appending a number
+     */
+    getUniqueName(name, diagrams) {
+        const taken = new Set(diagrams.map(diagram => diagram.name));
+        if (!taken.has(name)) return name;
+
+        let counter = 2;
+        while (taken.has(`${name} ${counter}`)) counter++;
+        return `${name} ${counter}`;
+    }
+
+    /**
+     * Generate a diagram id
+     */
+    generateId() {
+        if (globalThis.crypto?.randomUUID) {
+            return globalThis.crypto.randomUUID();
+        }
+        return `diagram-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+}
+
+export default DiagramWorkspace;
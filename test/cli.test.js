@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, existsSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import DSLParser from '../src/parser.js';
+import HeadlessRenderer from '../src/headless.js';
+
+const CLI = new URL('../bin/isodiagram.js', import.meta.url).pathname;
+const EXAMPLE = new URL('../examples/microservices.dsl', import.meta.url).pathname;
+
+function run(...args) {
+    return spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', timeout: 60000 });
+}
+
+for (const [option, value] of [['--scale', 'x'], ['--scale', '0'], ['--padding', '-1'], ['--padding', 'abc']]) {
+    test(`${option} ${value} is a usage error`, () => {
+        const output = path.join(mkdtempSync(path.join(tmpdir(), 'isodiagram-')), 'out.svg');
+        const result = run('render', EXAMPLE, '-o', output, option, value);
+
+        assert.equal(result.status, 2);
+        assert.match(result.stderr, new RegExp(`Invalid value for ${option}`));
+        assert.match(result.stderr, /Usage: isodiagram render/);
+        assert.equal(existsSync(output), false);
+    });
+}
+
+test('a scene with non-finite positions has no finite size', () => {
+    const { diagram } = new DSLParser().analyze('component api {\n    label "API"\n}\n');
+    const renderer = new HeadlessRenderer();
+    renderer.render(diagram);
+    assert.equal(renderer.hasFiniteSize(), true);
+
+    renderer.meshes.get('api').position.x = NaN;
+    renderer.fitToContent();
+    assert.equal(renderer.hasFiniteSize(), false);
+    renderer.dispose();
+});
@@ -0,0 +1,82 @@
+/**
+ * Minimal DOM for testing panels outside a browser: elements with
+ * children, classes, events, tables and selects, installed as globals
+ */
+
+class FakeNode {
+    constructor(tagName) {
+        this.tagName = tagName.toUpperCase();
+        this.children = [];
+        this.className = '';
+        this.style = {};
+        this.textContent = '';
+        this.value = '';
+        this.listeners = {};
+        this.classList = {
+            add: (name) => { if (!this.classList.contains(name)) this.className = `${this.className} ${name}`.trim(); },
+            remove: (name) => { this.className = this.className.split(' ').filter(other => other !== name).join(' '); },
+            contains: (name) => this.className.split(' ').includes(name)
+        };
+    }
+
+    set innerHTML(html) {
+        this.children = [];
+    }
+
+    append(...nodes) {
+        for (const node of nodes) {
+            this.appendChild(node instanceof FakeNode ? node : Object.assign(new FakeNode('#text'), { textContent: String(node) }));
+        }
+    }
+
+    appendChild(node) {
+        this.children.push(node);
+        return node;
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] ||= []).push(listener);
+    }
+
+    dispatch(type) {
+        for (const listener of this.listeners[type] || []) listener({ type, target: this });
+    }
+
+    // Tables
+    insertRow() {
+        return this.appendChild(new FakeNode('tr'));
+    }
+
+    insertCell() {
+        return this.appendChild(new FakeNode('td'));
+    }
+
+    // Selects
+    add(option) {
+        this.appendChild(option);
+        if (this.children.length === 1) this.value = option.value;
+    }
+
+    /**
+     * Every descendant matching a predicate, in document order
+     */
+    findAll(predicate) {
+        return this.children.flatMap(child => [...(predicate(child) ? [child] : []), ...child.findAll(predicate)]);
+    }
+}
+
+export function installDom() {
+    globalThis.Node = FakeNode;
+    globalThis.Option = class extends FakeNode {
+        constructor(text, value) {
+            super('option');
+            this.textContent = text;
+            this.value = value;
+        }
+    };
+    globalThis.document = { createElement: (tagName) => new FakeNode(tagName) };
+}
+
+export function createElement(tagName) {
+    return new FakeNode(tagName);
+}
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import HistoryManager, { createSnapshotCommand } from '../src/history.js';
+
+// A value the commands switch between snapshots of
+function createState(initial = 0) {
+    const state = { value: initial };
+    state.set = (value) => {
+        state.value = value;
+    };
+    return state;
+}
+
+function change(history, state, value, coalesceKey = null) {
+    const before = state.value;
+    state.set(value);
+    history.push(createSnapshotCommand(`Set ${value}`, before, value, state.set, coalesceKey));
+}
+
+test('undo and redo step through commands in order', () => {
+    const history = new HistoryManager();
+    const state = createState();
+    change(history, state, 1);
+    change(history, state, 2);
+
+    assert.equal(history.undo(), true);
+    assert.equal(state.value, 1);
+    assert.equal(history.undo(), true);
+    assert.equal(state.value, 0);
+    assert.equal(history.undo(), false);
+
+    assert.equal(history.redo(), true);
+    assert.equal(state.value, 1);
+    assert.equal(history.canRedo(), true);
+
+    change(history, state, 5);
+    assert.equal(history.canRedo(), false);
+    assert.equal(history.redo(), false);
+    assert.equal(history.undo(), true);
+    assert.equal(state.value, 1);
+});
+
+test('changes made while undoing are not recorded', () => {
+    const history = new HistoryManager();
+    const state = createState();
+    history.push({
+        label: 'Nested',
+        undo: () => change(history, state, -1),
+        redo: () => {}
+    });
+
+    history.undo();
+    assert.equal(state.value, -1);
+    assert.equal(history.canUndo(), false);
+});
+
+test('the oldest commands are dropped past the limit', () => {
+    const history = new HistoryManager({ limit: 2 });
+    const state = createState();
+    [1, 2, 3].forEach(value => change(history, state, value));
+
+    history.undo();
+    history.undo();
+    assert.equal(history.undo(), false);
+    assert.equal(state.value, 1);
+});
+
+test('rapid commands with the same coalesce key merge into one step', () => {
+    const history = new HistoryManager();
+    const state = createState();
+    change(history, state, 1, 'label');
+    change(history, state, 2, 'label');
+    change(history, state, 3, 'other');
+
+    assert.equal(history.undoStack.length, 2);
+    history.undo();
+    assert.equal(state.value, 2);
+    history.undo();
+    assert.equal(state.value, 0);
+    history.redo();
+    assert.equal(state.value, 2);
+});
+
+test('commands do not merge outside the window or into a redone command', () => {
+    const history = new HistoryManager({ coalesceWindow: 0 });
+    const state = createState();
+    change(history, state, 1, 'label');
+    change(history, state, 2, 'label');
+    assert.equal(history.undoStack.length, 2);
+
+    const windowed = new HistoryManager();
+    const other = createState();
+    change(windowed, other, 1, 'label');
+    windowed.undo();
+    windowed.redo();
+    change(windowed, other, 2, 'label');
+    assert.equal(windowed.undoStack.length, 2);
+});
+
+test('listeners hear about every change', () => {
+    let calls = 0;
+    const history = new HistoryManager({ onChange: () => calls++ });
+    const state = createState();
+    change(history, state, 1);
+    history.undo();
+    history.redo();
+    history.clear();
+
+    assert.equal(calls, 4);
+    assert.equal(history.canUndo(), false);
+});
@@ -0,0 +1,63 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import DSLParser from '../src/parser.js';
+import DSLSerializer from '../src/serializer.js';
+import PropertiesInspector from '../src/inspector.js';
+import { installDom, createElement } from './helpers/dom.js';
+
+const SHARED = `component shared_db {
+    label "Shared DB"
+}
+`;
+
+const TEXT = `include "shared.dsl"
+
+component api {
+    label "API"
+}
+`;
+
+before(installDom);
+
+const parser = new DSLParser({
+    resolveInclude: (path) => (path === 'shared.dsl' ? { file: 'shared.dsl', text: SHARED } : null)
+});
+
+function analyze(text) {
+    // The app names the document after the open workspace diagram
+    return parser.analyze(text, { file: 'My diagram' }).diagram;
+}
+
+test('elements of the open workspace diagram can be edited', () => {
+    const diagram = analyze(TEXT);
+    const edits = [];
+    const panel = createElement('div');
+    const inspector = new PropertiesInspector(panel, { onEdit: edit => edits.push(edit) });
+
+    inspector.show({ type: 'component', id: 'api' }, diagram.components.api, diagram);
+
+    assert.equal(panel.findAll(node => node.className === 'inspector-note').length, 0);
+    const label = panel.findAll(node => node.tagName === 'INPUT')[0];
+    assert.equal(label.value, 'API');
+
+    label.value = 'Gateway';
+    label.dispatch('change');
+    assert.deepEqual(edits, [{ id: 'api', target: 'property', property: 'label', value: 'Gateway' }]);
+
+    const serializer = new DSLSerializer({ parser });
+    const edited = serializer.setProperty(TEXT, edits[0].id, edits[0].property, edits[0].value);
+    assert.equal(analyze(edited).components.api.properties.label, 'Gateway');
+});
+
+test('elements of included files are shown read-only', () => {
+    const diagram = analyze(TEXT);
+    const panel = createElement('div');
+    const inspector = new PropertiesInspector(panel, { onEdit: () => {} });
+
+    inspector.show({ type: 'component', id: 'shared_db' }, diagram.components.shared_db, diagram);
+
+    const notes = panel.findAll(node => node.className === 'inspector-note');
+    assert.equal(notes.length, 1);
+    assert.equal(notes[0].textContent, 'Defined in shared.dsl; edit it there.');
+    assert.equal(panel.findAll(node => node.tagName === 'INPUT').length, 0);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import DSLParser from '../src/parser.js';
+import LayeredLayout from '../src/layout.js';
+
+const edges = (...pairs) => pairs.map(([from, to]) => ({ from, to }));
+
+test('assignRanks puts every node one rank below its deepest predecessor', () => {
+    const ranks = new LayeredLayout().assignRanks(['a', 'b', 'c', 'd'], edges(['a', 'b'], ['b', 'c'], ['a', 'c']));
+
+    assert.deepEqual(ranks, { a: 0, b: 1, c: 2, d: 0 });
+});
+
+test('assignRanks keeps fixed ranks and ranks successors below them', () => {
+    const ranks = new LayeredLayout().assignRanks(['a', 'b', 'c', 'd'], edges(['a', 'b'], ['b', 'c']), { b: 3, d: 2 });
+
+    assert.deepEqual(ranks, { a: 0, b: 3, c: 4, d: 2 });
+});
+
+test('rank and order properties place elements on the ground plane', () => {
+    const diagram = new DSLParser().parse(`component a {
+}
+component b {
+    rank=1
+    order=2
+}
+component c {
+    rank=1
+    order=0
+}
+component d {
+    rank=1
+    order=1
+}
+relation a -> b
+`);
+    const { components } = new LayeredLayout().run(diagram);
+
+    // Top to bottom: ranks run along Z, order along X
+    assert.equal(components.b.z, components.c.z);
+    assert.equal(components.c.z, components.d.z);
+    assert.ok(components.a.z < components.b.z);
+    assert.ok(components.c.x < components.d.x);
+    assert.ok(components.d.x < components.b.x);
+});
@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import DSLParser from '../src/parser.js';
+
+const SHARED = `component shared_db {
+    label "Shared DB"
+}
+`;
+
+function createParser() {
+    return new DSLParser({
+        resolveInclude: (path) => (path === 'shared.dsl' ? { file: 'shared.dsl', text: SHARED } : null)
+    });
+}
+
+test('elements of a named document carry no source file; included ones do', () => {
+    const text = `include "shared.dsl"
+
+component api {
+    label "API"
+}
+
+relation api -> shared_db
+`;
+    const { diagram, diagnostics } = createParser().analyze(text, { file: 'My diagram' });
+
+    assert.deepEqual(diagnostics.filter(diagnostic => diagnostic.severity === 'error'), []);
+    assert.equal(diagram.components.api.source.file, null);
+    assert.equal(diagram.relations[0].source.file, null);
+    assert.equal(diagram.components.shared_db.source.file, 'shared.dsl');
+});
+
+test('diagnostics of a named document still name it', () => {
+    const { diagnostics } = createParser().analyze('component api {\n    type missing\n}\n', { file: 'My diagram' });
+
+    assert.ok(diagnostics.length > 0);
+    assert.ok(diagnostics.every(diagnostic => diagnostic.file === 'My diagram'));
+});
+
+test('invalid layout spacings are reported and keep the default', () => {
+    const text = 'layout direction=LR ranksep=abc nodesep=-5\n\ncomponent api {\n    label "API"\n}\n';
+    const { diagram, diagnostics } = createParser().analyze(text);
+
+    assert.equal(diagram.layout.direction, 'LR');
+    assert.equal(diagram.layout.ranksep, 50);
+    assert.equal(diagram.layout.nodesep, 30);
+
+    const invalid = diagnostics.filter(diagnostic => diagnostic.code === 'invalid-value');
+    assert.deepEqual(invalid.map(({ message, line, column, endColumn }) => ({ message, line, column, endColumn })), [
+        { message: "Invalid ranksep 'abc', expected a non-negative number", line: 1, column: 29, endColumn: 32 },
+        { message: "Invalid nodesep '-5', expected a non-negative number", line: 1, column: 41, endColumn: 43 }
+    ]);
+});
+
+test('valid layout spacings are kept', () => {
+    const { diagram, diagnostics } = createParser().analyze('layout ranksep=80 nodesep=12.5\n');
+
+    assert.deepEqual(diagnostics, []);
+    assert.equal(diagram.layout.ranksep, 80);
+    assert.equal(diagram.layout.nodesep, 12.5);
+});
+
+test('ids may be words the DSL uses as keywords or properties', () => {
+    const text = `component api {
+    label "API"
+}
+
+component order {
+    label "Orders"
+    order 1
+}
+
+component view {}
+component position {}
+component model {}
+
+container floor {
+    component tags {}
+}
+
+relation api -> order
+relation view -> tags : "reads" color=#ff0000
+
+annotation order {
+    tooltip "Order service"
+}
+`;
+    const { diagram, diagnostics } = createParser().analyze(text);
+
+    assert.deepEqual(diagnostics, []);
+    assert.deepEqual(Object.keys(diagram.components), ['api', 'order', 'view', 'position', 'model', 'tags']);
+    assert.deepEqual(Object.keys(diagram.containers), ['floor']);
+    assert.equal(diagram.components.tags.parent, 'floor');
+    assert.equal(diagram.components.order.properties.order, 1);
+    assert.deepEqual(diagram.relations.map(({ from, to }) => [from, to]), [['api', 'order'], ['view', 'tags']]);
+    assert.equal(diagram.relations[1].properties.color, '#ff0000');
+    assert.deepEqual(diagram.annotations.order, { tooltip: 'Order service' });
+});
+
+test('a missing id is still reported at the end of its line', () => {
+    const { diagnostics } = createParser().analyze('component\ncontainer box {}\n');
+
+    assert.equal(diagnostics[0].severity, 'error');
+    assert.equal(diagnostics[0].line, 1);
+});
+
+test('rank and order must be whole numbers', () => {
+    const text = 'component api {\n    rank 1.5\n    order 2abc\n}\n\ncomponent web {\n    rank 2\n    order -1\n}\n';
+    const { diagram, diagnostics } = createParser().analyze(text);
+
+    assert.deepEqual(diagnostics.map(({ message, code, line, column }) => ({ message, code, line, column })), [
+        { message: "Property 'rank' of 'api' must be a whole number, got '1.5'", code: 'invalid-value', line: 2, column: 10 },
+        { message: "Property 'order' of 'api' must be a whole number, got '2abc'", code: 'invalid-value', line: 3, column: 11 }
+    ]);
+    assert.equal(diagram.components.api.properties.rank, undefined);
+    assert.equal(diagram.components.api.properties.order, undefined);
+    assert.equal(diagram.components.web.properties.rank, 2);
+    assert.equal(diagram.components.web.properties.order, -1);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import OrthogonalRouter from '../src/router.js';
+
+const rect = (id, x, z, half = 10) => ({ id, minX: x - half, maxX: x + half, minZ: z - half, maxZ: z + half });
+
+const isOrthogonal = (points) => points.slice(1).every((point, i) => point.x === points[i].x || point.z === points[i].z);
+
+const onBoundary = (point, box) => point.x >= box.minX && point.x <= box.maxX && point.z >= box.minZ && point.z <= box.maxZ &&
+    (point.x === box.minX || point.x === box.maxX || point.z === box.minZ || point.z === box.maxZ);
+
+// Whether a segment passes through the inside of a rect
+const crosses = (a, b, box) => {
+    const [minX, maxX] = [Math.min(a.x, b.x), Math.max(a.x, b.x)];
+    const [minZ, maxZ] = [Math.min(a.z, b.z), Math.max(a.z, b.z)];
+    return minX < box.maxX && maxX > box.minX && minZ < box.maxZ && maxZ > box.minZ;
+};
+
+test('a clear route runs straight between the facing boundaries', () => {
+    const source = rect('a', 0, 0);
+    const target = rect('b', 100, 0);
+
+    const points = new OrthogonalRouter().route({ source, target }, [source, target]);
+
+    assert.deepEqual(points, [{ x: 10, z: 0 }, { x: 90, z: 0 }]);
+});
+
+test('routes bend around obstacles unless they are passable', () => {
+    const router = new OrthogonalRouter();
+    const source = rect('a', 0, 0);
+    const target = rect('b', 100, 0);
+    const wall = rect('wall', 50, 0, 15);
+
+    const points = router.route({ source, target }, [source, target, wall]);
+    assert.ok(isOrthogonal(points));
+    assert.ok(points.length > 2);
+    assert.ok(onBoundary(points[0], source));
+    assert.ok(onBoundary(points[points.length - 1], target));
+    assert.ok(points.slice(1).every((point, i) => !crosses(points[i], point, wall)));
+
+    const passing = router.route({ source, target, passable: new Set(['wall']) }, [source, target, wall]);
+    assert.deepEqual(passing, [{ x: 10, z: 0 }, { x: 90, z: 0 }]);
+});
+
+test('overlapping parallel segments of different routes are spread apart', () => {
+    const router = new OrthogonalRouter({ edgeSpacing: 6 });
+    const source = rect('a', 0, 0);
+    const target = rect('b', 100, 0);
+
+    const routes = router.routeAll([{ source, target }, { source, target }], [source, target]);
+
+    assert.deepEqual(routes.map(points => points[0].z), [-3, 3]);
+    assert.ok(routes.every(isOrthogonal));
+});
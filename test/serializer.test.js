@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import DSLParser from '../src/parser.js';
+import DSLSerializer from '../src/serializer.js';
+
+const TEXT = `container backend {
+    label "Backend"
+
+    component api {
+        label "API"
+        position x=40 z=20
+    }
+
+    component worker {
+        label "Worker"
+    }
+}
+
+container data {
+    component db {
+        label "DB"
+    }
+}
+
+component web {
+    label "Web"
+}
+
+relation web -> api : "calls"
+relation api -> db
+relation worker -> db
+
+annotation api {
+    tooltip "Public API"
+}
+
+view core {
+    include id api web
+}
+`;
+
+const parser = new DSLParser();
+const serializer = new DSLSerializer({ parser });
+
+test('moveToContainer nests a block in its new container', () => {
+    const text = serializer.moveToContainer(TEXT, 'api', 'data');
+    const diagram = parser.parse(text);
+
+    assert.equal(diagram.components.api.parent, 'data');
+    assert.deepEqual(diagram.containers.data.children, ['db', 'api']);
+    assert.deepEqual(diagram.containers.backend.children, ['worker']);
+    assert.deepEqual(diagram.components.api.properties.position, { x: 40, z: 20 });
+    assert.equal(diagram.relations.length, 3);
+});
+
+test('moveToContainer to the top level and back restores the nesting', () => {
+    const out = serializer.moveToContainer(TEXT, 'worker', null);
+    assert.equal(parser.parse(out).components.worker.parent, null);
+
+    const back = parser.parse(serializer.moveToContainer(out, 'worker', 'backend'));
+    assert.equal(back.components.worker.parent, 'backend');
+    assert.deepEqual(back.containers.backend.children, ['api', 'worker']);
+});
+
+test('moveToContainer refuses to move a container into itself', () => {
+    const text = `container outer {
+    container inner {
+    }
+}
+`;
+    assert.throws(() => serializer.moveToContainer(text, 'outer', 'inner'), /into itself/);
+});
+
+test('setProperty replaces an existing line and adds a missing one', () => {
+    let text = serializer.setProperty(TEXT, 'api', 'position', { x: 100.004, z: -20 });
+    text = serializer.setProperty(text, 'worker', 'rank', 2);
+    text = serializer.setProperty(text, 'web', 'label', 'Web app');
+    const diagram = parser.parse(text);
+
+    assert.deepEqual(diagram.components.api.properties.position, { x: 100, z: -20 });
+    assert.equal(diagram.components.worker.properties.rank, 2);
+    assert.equal(diagram.components.web.properties.label, 'Web app');
+    assert.equal(text.match(/position/g).length, 1);
+});
+
+test('removeElement drops the block and everything referring to it', () => {
+    const text = serializer.removeElement(TEXT, 'backend');
+    const diagram = parser.parse(text);
+
+    assert.equal(diagram.containers.backend, undefined);
+    assert.equal(diagram.components.api, undefined);
+    assert.equal(diagram.components.worker, undefined);
+    assert.deepEqual(diagram.relations, []);
+    assert.equal(diagram.annotations.api, undefined);
+    assert.deepEqual(diagram.views.core.rules.map(rule => rule.values), [['web']]);
+});
+
+test('duplicateElement copies a block with its nested elements under unused ids', () => {
+    const text = serializer.duplicateElement(TEXT, 'backend', 'backend2');
+    const diagram = parser.parse(text);
+
+    assert.equal(diagram.containers.backend2.properties.label, 'Backend (copy)');
+    assert.deepEqual(diagram.containers.backend2.children, ['api_copy', 'worker_copy']);
+    assert.equal(diagram.components.api_copy.parent, 'backend2');
+    assert.deepEqual(diagram.components.api_copy.properties.position, { x: 40, z: 20 });
+    assert.deepEqual(diagram.containers.backend.children, ['api', 'worker']);
+    assert.throws(() => serializer.duplicateElement(TEXT, 'api', 'web'), /already used/);
+});
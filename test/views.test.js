@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import DSLParser from '../src/parser.js';
+import { applyView } from '../src/views.js';
+
+const DIAGRAM = `style service color=#2196F3
+style worker extend=service
+
+container backend {
+    component api {
+        type service
+        tags public
+    }
+    component jobs {
+        type worker
+    }
+    container storage {
+        component db {
+            type database
+        }
+    }
+}
+
+component web {
+    type service
+}
+
+relation web -> api
+relation api -> db
+relation web -> jobs
+relation web -> db
+
+view no_backend {
+    exclude id backend
+}
+
+view services {
+    include type service
+}
+
+view storage_only {
+    include container storage
+}
+
+view public_minus_web {
+    include tag public
+    include id web
+    exclude id api
+}
+`;
+
+function parse(text = DIAGRAM) {
+    return new DSLParser().parse(text);
+}
+
+const ids = (diagram) => [...Object.keys(diagram.containers), ...Object.keys(diagram.components)].sort();
+
+test('an unknown view leaves the diagram as it is', () => {
+    const diagram = parse();
+
+    assert.equal(applyView(diagram, 'missing'), diagram);
+    assert.equal(applyView(diagram, null), diagram);
+});
+
+test('include rules pick elements with their containers', () => {
+    const services = applyView(parse(), 'services');
+    assert.equal(services.view, 'services');
+    assert.deepEqual(ids(services), ['api', 'backend', 'jobs', 'web']);
+
+    const storage = applyView(parse(), 'storage_only');
+    assert.deepEqual(ids(storage), ['backend', 'db', 'storage']);
+    assert.deepEqual(storage.containers.backend.children, ['storage']);
+});
+
+test('exclude rules apply after the includes', () => {
+    const restricted = applyView(parse(), 'public_minus_web');
+
+    assert.deepEqual(ids(restricted), ['backend', 'web']);
+    assert.deepEqual(restricted.containers.backend.children, []);
+});
+
+test('relations to hidden elements end at the nearest shown container and are merged', () => {
+    const restricted = applyView(parse(), 'services');
+    const relations = restricted.relations.map(({ from, to, count, collapsed }) => ({ from, to, count, collapsed }));
+
+    assert.deepEqual(relations, [
+        { from: 'web', to: 'api', count: 1, collapsed: undefined },
+        { from: 'web', to: 'jobs', count: 1, collapsed: undefined },
+        { from: 'web', to: 'backend', count: 1, collapsed: true }
+    ]);
+});
+
+test('children of a hidden container are marked as reparented', () => {
+    const restricted = applyView(parse(), 'no_backend');
+
+    assert.equal(restricted.containers.backend, undefined);
+    assert.equal(restricted.components.api.parent, null);
+    assert.equal(restricted.components.api.reparented, true);
+    assert.equal(restricted.containers.storage.parent, null);
+    assert.equal(restricted.containers.storage.reparented, true);
+    assert.equal(restricted.components.db.parent, 'storage');
+    assert.equal(restricted.components.db.reparented, undefined);
+    assert.equal(restricted.components.web.reparented, undefined);
+});